@@ -0,0 +1,216 @@
+/**
+ * DMC Madeira - Trip enquiries
+ * Validation, spam checks, team routing and the e-mail text for enquiries sent from the
+ * contact page form (assets/js/enquiry-form.js). Used by api/enquiry.js.
+ *
+ * validate() returns an error code per field, matching the form's own checks so the
+ * visitor sees the same message either way: required, choose, email, phone, date, range,
+ * past, order, consent, tooLong.
+ */
+
+'use strict';
+
+// Trip types and the team inbox each one goes to (the addresses on contact-us.html)
+const TRIP_TYPES = {
+    leisure: { label: 'Leisure & tailor-made', to: 'bookings@dmcmadeira.pt' },
+    groups: { label: 'Groups & incentives', to: 'groups@dmcmadeira.pt' },
+    shorex: { label: 'Shore excursion', to: 'operation@dmcmadeira.pt' },
+    wine: { label: 'Wine tourism', to: 'bookings@dmcmadeira.pt' },
+    other: { label: 'Something else', to: 'travel@dmcmadeira.pt' }
+};
+
+// Experience pages a visitor can be interested in, by file name
+const INTERESTS = {
+    'cultural-discovery': 'Cultural discovery',
+    'gastronomy-wine': 'Gastronomy & wine',
+    'golf': 'Golf',
+    'family-adventures': 'Family adventures',
+    'madeira-by-sea': 'Madeira by sea',
+    'nature-wellness': 'Nature & wellness',
+    'photography-birdwatching': 'Photography & birdwatching',
+    'private-wine-tourism': 'Private wine tourism'
+};
+
+const LANGUAGES = ['en', 'pt'];
+
+const LIMITS = {
+    name: 100,
+    company: 100,
+    email: 254,
+    phone: 30,
+    message: 3000,
+    adults: 500,
+    children: 200
+};
+
+// A person takes longer than this to fill in three steps
+const MIN_FILL_TIME = 3000;
+
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]{2,}$/;
+const PHONE_PATTERN = /^\+?[0-9 ().-]{6,}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function text(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Single-line fields end up in mail headers, so line breaks are never allowed
+function line(value) {
+    return text(value).replace(/[\r\n]+/g, ' ');
+}
+
+function flag(value) {
+    return value === true || value === 'true' || value === 'on' || value === '1';
+}
+
+function list(value) {
+    if (Array.isArray(value)) return value.map(text);
+    return text(value) ? [text(value)] : [];
+}
+
+function isDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Yesterday in UTC, so a visitor ahead of the server's clock can still pick their today
+function earliestDate(now) {
+    return new Date(now - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Spam checks: a filled-in honeypot, or a form sent faster than a person could
+ * fillTime is measured by the form (milliseconds on the page, kept across reloads of a
+ * draft), as the visitor's clock can't be compared with this server's
+ * Returns the reason, or null
+ */
+function spamReason(data) {
+    if (text(data.website)) return 'honeypot';
+
+    const fillTime = Number(data.fillTime);
+    if (!Number.isFinite(fillTime) || fillTime <= 0) return 'no fill time';
+    if (fillTime < MIN_FILL_TIME) return 'sent too fast';
+    return null;
+}
+
+/**
+ * Validates the posted fields
+ * Returns { errors } with a code per field, or { enquiry } with the cleaned values
+ */
+function validate(data, now = Date.now()) {
+    const errors = {};
+    const fail = (field, code) => {
+        if (!errors[field]) errors[field] = code;
+    };
+
+    const enquiry = {
+        type: text(data.type),
+        interests: list(data.interests),
+        arrival: text(data.arrival),
+        departure: text(data.departure),
+        flexible: flag(data.flexible),
+        adults: text(String(data.adults ?? '')),
+        children: text(String(data.children ?? '')),
+        name: line(data.name),
+        email: line(data.email),
+        phone: line(data.phone),
+        company: line(data.company),
+        message: text(data.message),
+        lang: LANGUAGES.includes(data.lang) ? data.lang : 'en'
+    };
+
+    if (!Object.hasOwn(TRIP_TYPES, enquiry.type)) fail('type', 'choose');
+
+    enquiry.interests = enquiry.interests.filter(interest => Object.hasOwn(INTERESTS, interest));
+
+    ['arrival', 'departure'].forEach(field => {
+        if (enquiry[field] && !isDate(enquiry[field])) fail(field, 'date');
+    });
+    if (!enquiry.arrival && !enquiry.flexible) fail('arrival', 'required');
+    if (enquiry.arrival && !errors.arrival && enquiry.arrival < earliestDate(now)) fail('arrival', 'past');
+    if (enquiry.arrival && enquiry.departure && !errors.arrival && !errors.departure
+        && enquiry.departure < enquiry.arrival) {
+        fail('departure', 'order');
+    }
+
+    [['adults', 1], ['children', 0]].forEach(([field, min]) => {
+        if (!enquiry[field]) {
+            if (min) fail(field, 'required');
+            enquiry[field] = 0;
+            return;
+        }
+        const count = Number(enquiry[field]);
+        if (!Number.isInteger(count) || count < min || count > LIMITS[field]) fail(field, 'range');
+        enquiry[field] = count;
+    });
+
+    if (!enquiry.name) fail('name', 'required');
+    if (!enquiry.email) fail('email', 'required');
+    else if (!EMAIL_PATTERN.test(enquiry.email)) fail('email', 'email');
+    if (enquiry.phone && !PHONE_PATTERN.test(enquiry.phone)) fail('phone', 'phone');
+
+    ['name', 'email', 'phone', 'company', 'message'].forEach(field => {
+        if (enquiry[field].length > LIMITS[field]) fail(field, 'tooLong');
+    });
+
+    if (!flag(data.privacy)) fail('privacy', 'consent');
+
+    return Object.keys(errors).length ? { errors } : { enquiry };
+}
+
+/**
+ * The team inbox for an enquiry
+ */
+function recipient(enquiry) {
+    return TRIP_TYPES[enquiry.type].to;
+}
+
+/**
+ * The e-mail the team receives: plain text, replying goes to the visitor
+ */
+function message(enquiry) {
+    const type = TRIP_TYPES[enquiry.type].label;
+    const guests = enquiry.adults + enquiry.children;
+    const dates = enquiry.arrival
+        ? `${enquiry.arrival}${enquiry.departure ? ` to ${enquiry.departure}` : ''}`
+        : 'not set';
+
+    const rows = [
+        ['Trip type', type],
+        ['Interests', enquiry.interests.map(interest => INTERESTS[interest]).join(', ') || 'none selected'],
+        ['Dates', `${dates}${enquiry.flexible ? ' (flexible)' : ''}`],
+        ['Adults', enquiry.adults],
+        ['Children', enquiry.children],
+        ['Name', enquiry.name],
+        ['E-mail', enquiry.email],
+        ['Phone', enquiry.phone || '-'],
+        ['Company', enquiry.company || '-'],
+        ['Language', enquiry.lang === 'pt' ? 'Portuguese' : 'English']
+    ];
+    const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+
+    return {
+        to: recipient(enquiry),
+        replyTo: `"${enquiry.name.replace(/["\\<>]/g, '')}" <${enquiry.email}>`,
+        subject: `Website enquiry: ${type}, ${enquiry.name} (${guests} ${guests === 1 ? 'guest' : 'guests'})`,
+        text: [
+            ...rows.map(([label, value]) => `${`${label}:`.padEnd(width)}${value}`),
+            '',
+            'Message:',
+            enquiry.message || '-',
+            '',
+            '--',
+            'Sent from the enquiry form on dmcmadeira.pt'
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    TRIP_TYPES,
+    INTERESTS,
+    spamReason,
+    validate,
+    recipient,
+    message
+};
@@ -0,0 +1,108 @@
+/**
+ * DMC Madeira - Mail transports
+ * Sends the messages built by api/_lib/enquiry.js. The transport is picked with the
+ * ENQUIRY_TRANSPORT environment variable:
+ *
+ * - console: prints the message to the function log (default outside production)
+ * - file:    writes it as an .eml file to ENQUIRY_OUTBOX (default tmp/enquiries/),
+ *            which any mail client opens
+ * - resend:  sends it through the Resend HTTP API (RESEND_API_KEY)
+ *
+ * Other settings:
+ * - ENQUIRY_FROM: sender address (default "DMC Madeira website <website@dmcmadeira.pt>")
+ * - ENQUIRY_TO:   sends every enquiry to this address instead of the team inboxes,
+ *                 for preview deployments
+ *
+ * Production has no default: without ENQUIRY_TRANSPORT, send() fails rather than
+ * dropping enquiries into a log. More transports can be added with register(name, send),
+ * where send(message) resolves once the message is accepted.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'DMC Madeira website <website@dmcmadeira.pt>';
+const RESEND_URL = 'https://api.resend.com/emails';
+
+const transports = new Map();
+
+function register(name, send) {
+    transports.set(name, send);
+}
+
+function eml(message) {
+    return [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Reply-To: ${message.replyTo}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+    ].join('\r\n');
+}
+
+register('console', async (message) => {
+    console.log(`Enquiry for ${message.to}\n${eml(message)}`);
+});
+
+register('file', async (message) => {
+    const outbox = process.env.ENQUIRY_OUTBOX || path.join(process.cwd(), 'tmp', 'enquiries');
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.split('@')[0]}.eml`;
+
+    await fs.promises.mkdir(outbox, { recursive: true });
+    await fs.promises.writeFile(path.join(outbox, name), eml(message));
+    console.log(`Enquiry for ${message.to} written to ${path.join(outbox, name)}`);
+});
+
+register('resend', async (message) => {
+    if (!process.env.RESEND_API_KEY) throw new Error('RESEND_API_KEY is not set');
+
+    const response = await fetch(RESEND_URL, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            from: message.from,
+            to: [message.to],
+            reply_to: message.replyTo,
+            subject: message.subject,
+            text: message.text
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Resend answered ${response.status}: ${await response.text()}`);
+    }
+});
+
+function transportName() {
+    if (process.env.ENQUIRY_TRANSPORT) return process.env.ENQUIRY_TRANSPORT;
+    return process.env.VERCEL_ENV === 'production' ? null : 'console';
+}
+
+/**
+ * Sends { to, replyTo, subject, text } with the configured transport
+ */
+async function send(message) {
+    const name = transportName();
+    if (!name) throw new Error('ENQUIRY_TRANSPORT is not set');
+    if (!transports.has(name)) throw new Error(`Unknown ENQUIRY_TRANSPORT "${name}"`);
+
+    await transports.get(name)({
+        ...message,
+        from: process.env.ENQUIRY_FROM || DEFAULT_FROM,
+        to: process.env.ENQUIRY_TO || message.to
+    });
+}
+
+module.exports = {
+    register,
+    send
+};
@@ -0,0 +1,72 @@
+/**
+ * DMC Madeira - Enquiry endpoint
+ * Vercel serverless function behind the contact page form: POST /api/enquiry
+ *
+ * Takes the form as JSON, checks it again (the browser's checks can be skipped),
+ * and e-mails it to the team inbox for the trip type (see api/_lib/enquiry.js) through
+ * the configured transport (see api/_lib/mail.js).
+ *
+ * Responses, all JSON:
+ * - 200 { ok: true }                            sent
+ * - 422 { ok: false, errors: { field: code } }  invalid fields, codes as in the form
+ * - 400 / 405 / 415                             not a JSON POST
+ * - 500 { ok: false, error: 'unavailable' }     the message couldn't be sent
+ *
+ * Spam (honeypot filled in, or sent within seconds of loading the form) also gets
+ * { ok: true }, so bots learn nothing, but is only logged.
+ */
+
+'use strict';
+
+const enquiries = require('./_lib/enquiry');
+const mail = require('./_lib/mail');
+
+function reply(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+}
+
+// Vercel parses JSON bodies into req.body; other runtimes may hand over the raw string
+function readBody(req) {
+    if (req.body && typeof req.body === 'object') return req.body;
+    if (typeof req.body === 'string' && req.body) return JSON.parse(req.body);
+    return null;
+}
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return reply(res, 405, { ok: false, error: 'method' });
+    }
+    if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+        return reply(res, 415, { ok: false, error: 'type' });
+    }
+
+    let data;
+    try {
+        data = readBody(req);
+    } catch (error) {
+        data = null;
+    }
+    if (!data || Array.isArray(data)) return reply(res, 400, { ok: false, error: 'body' });
+
+    const spam = enquiries.spamReason(data);
+    if (spam) {
+        console.warn(`Enquiry dropped: ${spam}`);
+        return reply(res, 200, { ok: true });
+    }
+
+    const { errors, enquiry } = enquiries.validate(data);
+    if (errors) return reply(res, 422, { ok: false, errors });
+
+    try {
+        await mail.send(enquiries.message(enquiry));
+    } catch (error) {
+        console.error('Enquiry not sent:', error);
+        return reply(res, 500, { ok: false, error: 'unavailable' });
+    }
+
+    return reply(res, 200, { ok: true });
+};
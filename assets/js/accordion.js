@@ -0,0 +1,313 @@
+/**
+ * DMC Madeira - Accordion
+ * Disclosure panels with ARIA state, keyboard support, animated height and hash links.
+ *
+ * Usage (through the DMC registry, dmc.js):
+ * <div data-accordion='{"multiple": true}'>
+ *     <div data-accordion-item id="cruise-shorex">
+ *         <div data-accordion-trigger><h3>Title</h3><button>...</button></div>
+ *         <div data-accordion-content>...</div>
+ *     </div>
+ * </div>
+ *
+ * The trigger's own <button> (or the trigger itself, if it is the button) becomes the
+ * disclosure control. Triggers without a button are made focusable and keyboard operable.
+ * Open items get the `is-open` class; icons and panel styles are left to the page CSS.
+ *
+ * Options:
+ * - multiple: Allow several items open at once (default: false)
+ * - hash: Write the open item's id to the URL, and open + scroll to the item named by the
+ *   URL hash on load and on hashchange, e.g. contact-us.html#cruise-shorex (default: true)
+ * - animate: Animate panel height (default: true, off under reduced motion)
+ *
+ * Events: `accordion:open` and `accordion:close` bubble from the item with
+ * { id, index, accordion }.
+ */
+
+// Attributes the accordion sets, restored to their original values by destroy()
+const DMC_ACCORDION_ATTRIBUTES = [
+    'id', 'role', 'tabindex', 'inert', 'style',
+    'aria-expanded', 'aria-controls', 'aria-labelledby'
+];
+
+class DMCAccordion {
+    constructor(element, options = {}) {
+        this.container = typeof element === 'string' ? document.querySelector(element) : element;
+
+        if (!this.container) {
+            console.warn('DMCAccordion: Container element not found');
+            return;
+        }
+
+        this.options = {
+            multiple: false,
+            hash: true,
+            animate: true,
+            ...options
+        };
+
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+
+        this.abortController = new AbortController();
+        this.snapshot = new Map();
+        this.items = this.getItems().map((item, index) => this.setupItem(item, index));
+
+        this.bindEvents();
+
+        if (this.options.hash) {
+            this.openFromHash({ scroll: true });
+        }
+    }
+
+    // Items belonging to this accordion, not to one nested inside it
+    getItems() {
+        return Array.from(this.container.querySelectorAll('[data-accordion-item]'))
+            .filter(item => item.parentElement.closest('[data-accordion]') === this.container);
+    }
+
+    setupItem(item, index) {
+        const trigger = item.querySelector('[data-accordion-trigger]');
+        const panel = item.querySelector('[data-accordion-content]');
+        if (!trigger || !panel) return null;
+
+        const control = trigger.matches('button') ? trigger : trigger.querySelector('button') || trigger;
+        [control, trigger, panel].forEach(el => this.snapshotElement(el));
+
+        const baseId = item.id || `accordion-${DMCAccordion.uid++}`;
+        if (!control.id) control.id = `${baseId}-trigger`;
+        if (!panel.id) panel.id = `${baseId}-panel`;
+
+        if (!control.matches('button')) {
+            control.setAttribute('role', 'button');
+            control.setAttribute('tabindex', '0');
+        }
+        control.setAttribute('aria-controls', panel.id);
+
+        // Icon-only buttons take their name from the visible title next to them
+        if (control !== trigger && !control.textContent.trim()) {
+            const title = trigger.querySelector('h2, h3, h4, h5, h6, [class*="title"]');
+            if (title) {
+                this.snapshotElement(title);
+                if (!title.id) title.id = `${baseId}-title`;
+                control.setAttribute('aria-labelledby', title.id);
+            }
+        }
+
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-labelledby', control.id);
+
+        const entry = { item, trigger, control, panel, index };
+        this.setExpanded(entry, item.classList.contains('is-open'));
+        return entry;
+    }
+
+    snapshotElement(element) {
+        if (this.snapshot.has(element)) return;
+
+        const attributes = {};
+        DMC_ACCORDION_ATTRIBUTES.forEach(name => {
+            attributes[name] = element.getAttribute(name);
+        });
+        this.snapshot.set(element, attributes);
+    }
+
+    bindEvents() {
+        const { signal } = this.abortController;
+
+        this.items.forEach(entry => {
+            if (!entry) return;
+
+            entry.trigger.addEventListener('click', (e) => {
+                // Let links inside the trigger do their own thing
+                if (e.target.closest('a[href]')) return;
+                this.toggle(entry.index);
+            }, { signal });
+
+            if (entry.control === entry.trigger && !entry.trigger.matches('button')) {
+                entry.trigger.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        this.toggle(entry.index);
+                    }
+                }, { signal });
+            }
+
+            entry.panel.addEventListener('transitionend', (e) => {
+                if (e.target === entry.panel && e.propertyName === 'max-height') {
+                    this.finishAnimation(entry);
+                }
+            }, { signal });
+        });
+
+        if (this.options.hash) {
+            window.addEventListener('hashchange', () => this.openFromHash({ scroll: true }), { signal });
+        }
+    }
+
+    getEntry(itemOrIndex) {
+        if (typeof itemOrIndex === 'number') return this.items[itemOrIndex] || null;
+        return this.items.find(entry => entry && entry.item === itemOrIndex) || null;
+    }
+
+    isOpen(itemOrIndex) {
+        const entry = this.getEntry(itemOrIndex);
+        return !!entry && entry.item.classList.contains('is-open');
+    }
+
+    toggle(itemOrIndex) {
+        if (this.isOpen(itemOrIndex)) {
+            this.close(itemOrIndex);
+        } else {
+            this.open(itemOrIndex);
+        }
+    }
+
+    open(itemOrIndex, { animate = true, updateHash = true } = {}) {
+        const entry = this.getEntry(itemOrIndex);
+        if (!entry || this.isOpen(entry.index)) return;
+
+        if (!this.options.multiple) {
+            this.items.forEach(other => {
+                if (other && other !== entry && this.isOpen(other.index)) {
+                    this.close(other.index, { animate, updateHash: false });
+                }
+            });
+        }
+
+        this.setExpanded(entry, true);
+        this.animate(entry, true, animate);
+
+        if (updateHash && this.options.hash && entry.item.id) {
+            this.replaceHash(`#${entry.item.id}`);
+        }
+        this.emit(entry, 'open');
+    }
+
+    close(itemOrIndex, { animate = true, updateHash = true } = {}) {
+        const entry = this.getEntry(itemOrIndex);
+        if (!entry || !this.isOpen(entry.index)) return;
+
+        this.setExpanded(entry, false);
+        this.animate(entry, false, animate);
+
+        if (updateHash && this.options.hash && entry.item.id && window.location.hash === `#${entry.item.id}`) {
+            this.replaceHash('');
+        }
+        this.emit(entry, 'close');
+    }
+
+    setExpanded(entry, expanded) {
+        entry.item.classList.toggle('is-open', expanded);
+        entry.control.setAttribute('aria-expanded', String(expanded));
+        // Keep links in closed panels out of the tab order and the accessibility tree
+        entry.panel.inert = !expanded;
+    }
+
+    prefersReducedMotion() {
+        return !!(this.reducedMotion && this.reducedMotion.matches);
+    }
+
+    // Animate from/to the panel's real height; the page CSS supplies the max-height transition
+    animate(entry, opening, animate) {
+        const { panel } = entry;
+        const duration = parseFloat(window.getComputedStyle(panel).transitionDuration) || 0;
+
+        if (!animate || !this.options.animate || this.prefersReducedMotion() || !duration) {
+            panel.style.maxHeight = opening ? 'none' : '';
+            return;
+        }
+
+        if (opening) {
+            panel.style.maxHeight = `${panel.scrollHeight}px`;
+        } else {
+            // Pin the current height (it may be 'none'), force a reflow, then collapse
+            panel.style.maxHeight = `${panel.scrollHeight}px`;
+            void panel.offsetHeight;
+            panel.style.maxHeight = '0px';
+        }
+    }
+
+    finishAnimation(entry) {
+        entry.panel.style.maxHeight = this.isOpen(entry.index) ? 'none' : '';
+    }
+
+    openFromHash({ scroll = false } = {}) {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        if (!id) return;
+
+        const target = document.getElementById(id);
+        if (!target || !this.container.contains(target)) return;
+
+        const entry = this.getEntry(target.closest('[data-accordion-item]'));
+        if (!entry) return;
+
+        this.open(entry.index, { animate: false, updateHash: false });
+
+        if (scroll) {
+            // Wait a frame so the opened panel has its height before measuring
+            requestAnimationFrame(() => this.scrollTo(target));
+        }
+    }
+
+    scrollTo(target) {
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        const top = target.getBoundingClientRect().top + window.pageYOffset - headerHeight - 20;
+
+        window.scrollTo({
+            top,
+            behavior: this.prefersReducedMotion() ? 'auto' : 'smooth'
+        });
+    }
+
+    replaceHash(hash) {
+        if (!window.history.replaceState) return;
+        const url = window.location.pathname + window.location.search + hash;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    emit(entry, event) {
+        entry.item.dispatchEvent(new CustomEvent(`accordion:${event}`, {
+            bubbles: true,
+            detail: { id: entry.item.id || null, index: entry.index, accordion: this }
+        }));
+    }
+
+    destroy() {
+        this.abortController.abort();
+
+        this.items.forEach(entry => {
+            if (entry) entry.panel.inert = false;
+        });
+
+        this.snapshot.forEach((attributes, element) => {
+            Object.keys(attributes).forEach(name => {
+                if (attributes[name] === null) {
+                    element.removeAttribute(name);
+                } else {
+                    element.setAttribute(name, attributes[name]);
+                }
+            });
+        });
+        this.snapshot.clear();
+        this.items = [];
+    }
+}
+
+DMCAccordion.uid = 0;
+
+// Register with the component registry so [data-accordion] markup initialises itself
+if (typeof DMC !== 'undefined') {
+    DMC.register('accordion', {
+        attribute: 'data-accordion',
+        create: (element, options) => new DMCAccordion(element, options),
+        destroy: (accordion) => accordion.destroy()
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMCAccordion;
+}
@@ -0,0 +1,303 @@
+/**
+ * DMC Madeira - Analytics
+ * Turns site interactions into dataLayer events for Google Tag Manager, within the
+ * visitor's cookie choice.
+ *
+ * Loaded after consent.js, before the components:
+ * <script src="assets/js/analytics.js"></script>
+ *
+ * Most events come from the components' own bubbling CustomEvents, so components don't
+ * need to know about analytics. Scripts can also send their own:
+ * DMCAnalytics.track('video_play', { label: 'dQw4w9WgXcQ' });
+ *
+ * Every event is pushed with the same keys, null when they don't apply, so a value from
+ * one event never lingers into the next in GTM's data model:
+ * dataLayer.push({
+ *     event: 'dmc_<name>',
+ *     dmc: {
+ *         name: '<name>',
+ *         label: string | null,
+ *         value: number | null,
+ *         section: 'header' | 'footer' | 'whatsapp' | 'shortlist' | 'search' | 'content' (where
+ *                  on the page it happened),
+ *         experience: string | null (enquiries: the ?experience= the visitor came with,
+ *                     else the experiences ticked; shortlist_send: the experiences sent;
+ *                     comma-separated),
+ *         page: location.pathname,
+ *         lang: 'en' | 'pt'
+ *     }
+ * });
+ *
+ * Events (name: label / value):
+ * - carousel_navigate: carousel aria-label / slide number; moves made by autoplay are left out
+ * - accordion_open:    item id, else its title / item number
+ * - lightbox_view:     image file name / image number, on open and on every change
+ * - video_play:        video id or file name / -
+ * - contact_click:     'email', 'phone' or 'whatsapp' / - (mailto:, tel: and wa.me links)
+ * - language_switch:   language switched to / -
+ * - scroll_depth:      - / 25, 50, 75 or 100 (percent of the page, once each per page)
+ * - enquiry_step:      trip type / step number reached
+ * - enquiry_submit, enquiry_sent, enquiry_error: trip type / -
+ * - shortlist_add, shortlist_remove: experience id / experiences saved afterwards
+ * - shortlist_send:    'enquiry', 'email', 'whatsapp', 'link' or 'print' / experiences sent
+ * - search_select:     result URL / its position in the results
+ *
+ * Consent: events are pushed once the visitor has accepted analytics cookies. Before any
+ * choice they are queued (up to 50 per page) and sent or dropped when it is made; after
+ * a refusal they are dropped.
+ *
+ * Debug: ?dmc-debug=1 logs every event to the console, with what became of it, for the
+ * rest of the session (?dmc-debug=0 stops it). DMCAnalytics.debug(true) does the same.
+ */
+
+(function() {
+    'use strict';
+
+    const DEBUG_KEY = 'dmc-analytics-debug';
+    const QUEUE_LIMIT = 50;
+    const SCROLL_DEPTHS = [25, 50, 75, 100];
+
+    const queue = [];
+    const scrollDepthsSent = new Set();
+    let debugging = readDebug();
+
+    window.dataLayer = window.dataLayer || [];
+
+    function readDebug() {
+        try {
+            const param = new URLSearchParams(window.location.search).get('dmc-debug');
+            if (param !== null) {
+                if (param === '0') {
+                    sessionStorage.removeItem(DEBUG_KEY);
+                } else {
+                    sessionStorage.setItem(DEBUG_KEY, '1');
+                }
+            }
+            return sessionStorage.getItem(DEBUG_KEY) === '1';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function debug(on) {
+        debugging = !!on;
+        try {
+            if (debugging) {
+                sessionStorage.setItem(DEBUG_KEY, '1');
+            } else {
+                sessionStorage.removeItem(DEBUG_KEY);
+            }
+        } catch (error) {
+            // Storage blocked: debugging lasts for this page
+        }
+    }
+
+    function log(status, entry) {
+        if (debugging) console.info(`DMCAnalytics: ${status} ${entry.event}`, entry.dmc);
+    }
+
+    // 'granted', 'denied' or 'pending' (no choice made yet)
+    function consentState() {
+        if (typeof DMCConsent === 'undefined') return 'denied';
+        if (DMCConsent.has('analytics')) return 'granted';
+        return DMCConsent.hasDecision() ? 'denied' : 'pending';
+    }
+
+    function sectionOf(element) {
+        if (!element || !element.closest) return 'content';
+        if (element.closest('.whatsapp-float, .whatsapp-panel')) return 'whatsapp';
+        if (element.closest('.shortlist-drawer')) return 'shortlist';
+        if (element.closest('.search-overlay')) return 'search';
+        if (element.closest('header')) return 'header';
+        if (element.closest('footer')) return 'footer';
+        return 'content';
+    }
+
+    function lang() {
+        if (typeof DMCLanguage !== 'undefined') return DMCLanguage.current();
+        return (document.documentElement.lang || 'en').slice(0, 2).toLowerCase();
+    }
+
+    function track(name, params = {}) {
+        const entry = {
+            event: `dmc_${name}`,
+            dmc: {
+                name,
+                label: params.label != null ? String(params.label).trim().slice(0, 100) : null,
+                value: typeof params.value === 'number' ? params.value : null,
+                section: params.section || sectionOf(params.element),
+                experience: params.experience || null,
+                page: window.location.pathname,
+                lang: lang()
+            }
+        };
+
+        const state = consentState();
+        if (state === 'granted') {
+            window.dataLayer.push(entry);
+            log('sent', entry);
+        } else if (state === 'pending' && queue.length < QUEUE_LIMIT) {
+            queue.push(entry);
+            log('queued', entry);
+        } else {
+            log('dropped', entry);
+        }
+    }
+
+    function flush() {
+        const state = consentState();
+        if (state === 'pending') return;
+
+        queue.splice(0).forEach(entry => {
+            if (state === 'granted') {
+                window.dataLayer.push(entry);
+                log('sent', entry);
+            } else {
+                log('dropped', entry);
+            }
+        });
+    }
+
+    /**
+     * Listeners
+     */
+    function fileName(src) {
+        return src ? src.split(/[?#]/)[0].split('/').pop() : null;
+    }
+
+    function bindComponentEvents() {
+        document.addEventListener('carousel:change', (e) => {
+            if (e.detail.autoplay) return;
+            track('carousel_navigate', {
+                label: e.target.getAttribute('aria-label'),
+                value: e.detail.index + 1,
+                element: e.target
+            });
+        });
+
+        document.addEventListener('accordion:open', (e) => {
+            const trigger = e.target.querySelector('[data-accordion-trigger]');
+            track('accordion_open', {
+                label: e.detail.id || (trigger ? trigger.textContent.replace(/\s+/g, ' ') : null),
+                value: e.detail.index + 1,
+                element: e.target
+            });
+        });
+
+        ['lightbox:open', 'lightbox:change'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                track('lightbox_view', {
+                    label: fileName(e.detail.src),
+                    value: e.detail.index + 1,
+                    element: e.target
+                });
+            });
+        });
+
+        ['step', 'submit', 'sent', 'error'].forEach(type => {
+            document.addEventListener(`enquiry:${type}`, (e) => {
+                const { detail } = e;
+                // Reaching step 1 is just seeing the form
+                if (type === 'step' && detail.step === 1) return;
+
+                track(`enquiry_${type}`, {
+                    label: detail.type,
+                    value: type === 'step' ? detail.step : null,
+                    experience: detail.experience || (detail.interests || []).join(',') || null,
+                    element: e.target
+                });
+            });
+        });
+
+        ['add', 'remove'].forEach(type => {
+            document.addEventListener(`shortlist:${type}`, (e) => {
+                track(`shortlist_${type}`, { label: e.detail.id, value: e.detail.count, element: e.target });
+            });
+        });
+
+        document.addEventListener('shortlist:send', (e) => {
+            const { channel, count, ids } = e.detail;
+            track('shortlist_send', { label: channel, value: count, experience: ids.join(','), element: e.target });
+        });
+
+        document.addEventListener('search:select', (e) => {
+            track('search_select', { label: e.detail.url, value: e.detail.position, element: e.target });
+        });
+
+        document.addEventListener('video:play', (e) => {
+            const { provider, id } = e.detail || {};
+            track('video_play', { label: provider === 'file' ? fileName(id) : id, element: e.target });
+        });
+
+        // Other native video, which doesn't bubble 'play', so listen in the capture phase.
+        // The video component's own players already report through video:play.
+        document.addEventListener('play', (e) => {
+            if (e.target.tagName !== 'VIDEO' || e.target.hasAttribute('data-video-player')) return;
+            track('video_play', { label: fileName(e.target.currentSrc), element: e.target });
+        }, true);
+    }
+
+    function bindClicks() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest ? e.target.closest('a[href]') : null;
+            if (!link) return;
+
+            if (link.hasAttribute('hreflang')) {
+                track('language_switch', { label: link.getAttribute('hreflang'), element: link });
+                return;
+            }
+
+            // Links a script took over (like the WhatsApp button opening its panel) aren't contacts yet
+            if (e.defaultPrevented) return;
+
+            const href = link.getAttribute('href');
+            let method = null;
+            if (/^mailto:/i.test(href)) {
+                method = 'email';
+            } else if (/^tel:/i.test(href)) {
+                method = 'phone';
+            } else if (/^https?:\/\/(wa\.me|api\.whatsapp\.com|web\.whatsapp\.com)\//i.test(href)) {
+                method = 'whatsapp';
+            }
+
+            if (method) track('contact_click', { label: method, element: link });
+        });
+    }
+
+    function bindScrollDepth() {
+        let ticking = false;
+
+        const measure = () => {
+            ticking = false;
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const percent = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+
+            SCROLL_DEPTHS.forEach(depth => {
+                if (percent >= depth - 1 && !scrollDepthsSent.has(depth)) {
+                    scrollDepthsSent.add(depth);
+                    track('scroll_depth', { value: depth, section: 'content' });
+                }
+            });
+        };
+
+        window.addEventListener('scroll', () => {
+            if (ticking) return;
+            ticking = true;
+            requestAnimationFrame(measure);
+        }, { passive: true });
+    }
+
+    if (typeof DMCConsent !== 'undefined') {
+        DMCConsent.onChange(flush);
+    }
+
+    bindComponentEvents();
+    bindClicks();
+    bindScrollDepth();
+
+    window.DMCAnalytics = {
+        track,
+        debug
+    };
+
+})();
@@ -0,0 +1,340 @@
+/**
+ * DMC Madeira - Article List
+ * Category filters, text search and pagination for the Insider article grid.
+ *
+ * Usage (through the DMC registry, dmc.js):
+ * <main data-article-list='{"pageSize": 9}'>
+ *     <input type="search" data-article-search>
+ *     <button data-filter="all">...</button> <button data-filter="food">...</button>
+ *     <p data-article-count></p>
+ *     <div data-article-items>
+ *         <article class="article-card" data-category="food culture">...</article>
+ *     </div>
+ *     <div data-article-empty hidden>... <button data-article-reset>...</button></div>
+ *     <nav data-article-pagination>
+ *         <button data-article-prev></button> <div data-article-pages></div> <button data-article-next></button>
+ *     </nav>
+ * </main>
+ *
+ * Cards list their categories in data-category (space separated). Search matches the
+ * card title, image alt and optional data-keywords, ignoring case and accents.
+ *
+ * The view is kept in the URL (?category=food&q=wine&page=2): filter and page changes
+ * add a history entry so the back button steps through them, typing replaces it.
+ *
+ * Options:
+ * - pageSize: Cards per page (default: 9)
+ * - labels: Strings for counts and pagination ({count}, {page} are replaced);
+ *   defaults come from DMCLanguage in the page language, see language.js
+ *
+ * Events: `articles:change` bubbles from the container with
+ * { category, query, page, pages, total } after every render.
+ */
+
+class DMCArticleList {
+    constructor(element, options = {}) {
+        this.container = typeof element === 'string' ? document.querySelector(element) : element;
+
+        if (!this.container) {
+            console.warn('DMCArticleList: Container element not found');
+            return;
+        }
+
+        this.options = {
+            pageSize: 9,
+            ...options,
+            labels: {
+                count: '{count} articles',
+                countOne: '1 article',
+                page: 'Page {page}',
+                ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('articles') : {}),
+                ...(options.labels || {})
+            }
+        };
+
+        this.itemsContainer = this.container.querySelector('[data-article-items]');
+        this.cards = this.itemsContainer
+            ? Array.from(this.itemsContainer.querySelectorAll('.article-card'))
+            : [];
+        this.filters = Array.from(this.container.querySelectorAll('[data-filter]'));
+        this.search = this.container.querySelector('[data-article-search]');
+        this.count = this.container.querySelector('[data-article-count]');
+        this.empty = this.container.querySelector('[data-article-empty]');
+        this.pagination = this.container.querySelector('[data-article-pagination]');
+        this.pages = this.container.querySelector('[data-article-pages]');
+        this.prevBtn = this.container.querySelector('[data-article-prev]');
+        this.nextBtn = this.container.querySelector('[data-article-next]');
+
+        this.abortController = new AbortController();
+        this.searchTimeout = null;
+        this.index = this.cards.map(card => ({
+            card,
+            categories: (card.getAttribute('data-category') || '').split(/\s+/).filter(Boolean),
+            text: DMCArticleList.normalize([
+                card.querySelector('.article-card__title')?.textContent,
+                card.querySelector('img')?.getAttribute('alt'),
+                card.getAttribute('data-keywords')
+            ].join(' '))
+        }));
+
+        this.state = this.readState();
+        this.bindEvents();
+        this.render();
+    }
+
+    // Lowercase, strip accents and collapse whitespace so "Época" matches "epoca"
+    static normalize(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    readState() {
+        const params = new URLSearchParams(window.location.search);
+        const category = params.get('category');
+        const page = parseInt(params.get('page'), 10);
+
+        return {
+            category: this.filters.some(f => f.dataset.filter === category) ? category : 'all',
+            query: params.get('q') || '',
+            page: page > 0 ? page : 1
+        };
+    }
+
+    writeState(push) {
+        const params = new URLSearchParams(window.location.search);
+        const set = (name, value) => {
+            if (value) {
+                params.set(name, value);
+            } else {
+                params.delete(name);
+            }
+        };
+
+        set('category', this.state.category !== 'all' ? this.state.category : '');
+        set('q', this.state.query.trim());
+        set('page', this.state.page > 1 ? String(this.state.page) : '');
+
+        const search = params.toString();
+        const url = window.location.pathname + (search ? `?${search}` : '') + window.location.hash;
+        if (url === window.location.pathname + window.location.search + window.location.hash) return;
+
+        if (push) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
+    bindEvents() {
+        const { signal } = this.abortController;
+
+        this.filters.forEach(filter => {
+            filter.addEventListener('click', () => {
+                this.setState({ category: filter.dataset.filter, page: 1 }, true);
+            }, { signal });
+        });
+
+        if (this.search) {
+            this.search.addEventListener('input', () => {
+                clearTimeout(this.searchTimeout);
+                this.searchTimeout = setTimeout(() => {
+                    this.setState({ query: this.search.value, page: 1 }, false);
+                }, 250);
+            }, { signal });
+
+            // Enter in the search box shouldn't submit or reload anything
+            this.search.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') e.preventDefault();
+            }, { signal });
+        }
+
+        this.container.querySelectorAll('[data-article-reset]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.search) this.search.value = '';
+                this.setState({ category: 'all', query: '', page: 1 }, true);
+            }, { signal });
+        });
+
+        if (this.prevBtn) {
+            this.prevBtn.addEventListener('click', () => this.goToPage(this.state.page - 1), { signal });
+        }
+        if (this.nextBtn) {
+            this.nextBtn.addEventListener('click', () => this.goToPage(this.state.page + 1), { signal });
+        }
+
+        if (this.pages) {
+            this.pages.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-page]');
+                if (button) this.goToPage(parseInt(button.dataset.page, 10));
+            }, { signal });
+        }
+
+        window.addEventListener('popstate', () => {
+            this.state = this.readState();
+            this.render();
+        }, { signal });
+    }
+
+    setState(changes, push) {
+        this.state = { ...this.state, ...changes };
+        this.render();
+        this.writeState(push);
+    }
+
+    goToPage(page) {
+        if (page < 1 || page > this.getPageCount(this.getMatches().length)) return;
+
+        this.setState({ page }, true);
+
+        // Bring the top of the list back into view and give screen readers the new count
+        const header = document.querySelector('.header');
+        const top = this.container.querySelector('.articles-grid') || this.itemsContainer;
+        if (top) {
+            window.scrollTo({
+                top: top.getBoundingClientRect().top + window.pageYOffset - (header ? header.offsetHeight : 0),
+                behavior: 'smooth'
+            });
+        }
+        if (this.count) {
+            this.count.setAttribute('tabindex', '-1');
+            this.count.focus({ preventScroll: true });
+        }
+    }
+
+    getMatches() {
+        const { category } = this.state;
+        const terms = DMCArticleList.normalize(this.state.query).split(' ').filter(Boolean);
+
+        return this.index.filter(entry => (
+            (category === 'all' || entry.categories.includes(category))
+            && terms.every(term => entry.text.includes(term))
+        ));
+    }
+
+    getPageCount(total) {
+        return Math.max(1, Math.ceil(total / this.options.pageSize));
+    }
+
+    render() {
+        const matches = this.getMatches();
+        const pageCount = this.getPageCount(matches.length);
+        this.state.page = Math.min(this.state.page, pageCount);
+
+        const start = (this.state.page - 1) * this.options.pageSize;
+        const visible = new Set(matches.slice(start, start + this.options.pageSize).map(entry => entry.card));
+        this.cards.forEach(card => {
+            card.hidden = !visible.has(card);
+        });
+
+        this.filters.forEach(filter => {
+            const isActive = filter.dataset.filter === this.state.category;
+            filter.classList.toggle('filter-tag--active', isActive);
+            filter.setAttribute('aria-pressed', String(isActive));
+        });
+
+        if (this.search && this.search.value !== this.state.query && document.activeElement !== this.search) {
+            this.search.value = this.state.query;
+        }
+
+        if (this.count) {
+            this.count.textContent = matches.length === 1
+                ? this.options.labels.countOne
+                : this.options.labels.count.replace('{count}', matches.length);
+        }
+
+        if (this.empty) {
+            this.empty.hidden = matches.length > 0;
+        }
+
+        this.renderPagination(pageCount);
+
+        this.container.dispatchEvent(new CustomEvent('articles:change', {
+            bubbles: true,
+            detail: {
+                category: this.state.category,
+                query: this.state.query,
+                page: this.state.page,
+                pages: pageCount,
+                total: matches.length
+            }
+        }));
+    }
+
+    // Page numbers with ellipses once there are more than seven pages: 1 … 4 5 6 … 12
+    getPageList(pageCount) {
+        const current = this.state.page;
+        if (pageCount <= 7) {
+            return Array.from({ length: pageCount }, (_, i) => i + 1);
+        }
+
+        const pages = [1];
+        const from = Math.max(2, current - 1);
+        const to = Math.min(pageCount - 1, current + 1);
+        if (from > 2) pages.push(null);
+        for (let page = from; page <= to; page++) pages.push(page);
+        if (to < pageCount - 1) pages.push(null);
+        pages.push(pageCount);
+        return pages;
+    }
+
+    renderPagination(pageCount) {
+        if (!this.pagination) return;
+
+        this.pagination.hidden = pageCount < 2;
+        if (this.prevBtn) this.prevBtn.disabled = this.state.page <= 1;
+        if (this.nextBtn) this.nextBtn.disabled = this.state.page >= pageCount;
+
+        if (!this.pages) return;
+
+        this.pages.innerHTML = '';
+        this.getPageList(pageCount).forEach(page => {
+            if (page === null) {
+                const ellipsis = document.createElement('span');
+                ellipsis.className = 'pagination__ellipsis';
+                ellipsis.textContent = '…';
+                ellipsis.setAttribute('aria-hidden', 'true');
+                this.pages.appendChild(ellipsis);
+                return;
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'pagination__number';
+            button.dataset.page = page;
+            button.textContent = page;
+            button.setAttribute('aria-label', this.options.labels.page.replace('{page}', page));
+            if (page === this.state.page) {
+                button.classList.add('pagination__number--active');
+                button.setAttribute('aria-current', 'page');
+            }
+            this.pages.appendChild(button);
+        });
+    }
+
+    destroy() {
+        this.abortController.abort();
+        clearTimeout(this.searchTimeout);
+        this.cards.forEach(card => {
+            card.hidden = false;
+        });
+        this.filters.forEach(filter => filter.removeAttribute('aria-pressed'));
+    }
+}
+
+// Register with the component registry so [data-article-list] markup initialises itself
+if (typeof DMC !== 'undefined') {
+    DMC.register('article-list', {
+        attribute: 'data-article-list',
+        create: (element, options) => new DMCArticleList(element, options),
+        destroy: (list) => list.destroy()
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMCArticleList;
+}
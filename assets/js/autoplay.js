@@ -0,0 +1,204 @@
+/**
+ * DMC Madeira - Autoplay
+ * Shared autoplay for carousels and marquees: a visible play/pause button (WCAG 2.2.2) and
+ * pausing while the visitor is busy with the content.
+ *
+ * Usage (from a component; carousel.js and marquee.js load it through the scripts partial):
+ * this.autoplay = new DMCAutoplay(this.container, {
+ *     delay: 5000,
+ *     onTick: () => this.next(),
+ *     onChange: (running) => { ... },
+ *     labels: { play: 'Start automatic slide show', pause: 'Stop automatic slide show' }
+ * });
+ * this.container.appendChild(this.autoplay.control);
+ *
+ * The component places the button (`control`); destroy() removes it again.
+ *
+ * It pauses while the pointer is over the container, while focus is inside it (the button
+ * excepted), during touches, while the tab is hidden, and for any reason the component
+ * passes to pause(reason) until resume(reason), e.g. 'drag' or 'offscreen'. When the last
+ * reason clears it waits a full delay again before the next tick. The button stops it until
+ * pressed again. Under prefers-reduced-motion it starts stopped, and only the button
+ * starts it.
+ *
+ * Options:
+ * - delay: Milliseconds between ticks, or null for continuous motion the component
+ *   animates itself, e.g. a marquee (default: 5000)
+ * - onTick: Called every delay while running
+ * - onChange: Called with true or false whenever it starts or stops running
+ * - progress: Show the time until the next tick as a ring around the button (default: false)
+ * - labels: Button labels, { play, pause }
+ */
+
+class DMCAutoplay {
+    constructor(element, options = {}) {
+        this.container = element;
+        this.options = {
+            delay: 5000,
+            onTick: () => {},
+            onChange: () => {},
+            progress: false,
+            ...options,
+            labels: {
+                play: 'Play',
+                pause: 'Pause',
+                ...(options.labels || {})
+            }
+        };
+
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+
+        // Whether the visitor wants it playing; the reasons below hold it meanwhile
+        this.playing = !(this.reducedMotion && this.reducedMotion.matches);
+        this.reasons = new Set(document.hidden ? ['hidden'] : []);
+        this.running = false;
+        this.timer = null;
+
+        this.abortController = new AbortController();
+        this.control = this.createControl();
+
+        this.bindEvents();
+        this.update();
+    }
+
+    createControl() {
+        const control = document.createElement('button');
+        control.type = 'button';
+        control.className = 'autoplay-toggle';
+        control.innerHTML = `
+            ${this.options.progress ? '<svg class="autoplay-toggle__progress" viewBox="0 0 40 40" aria-hidden="true"><circle cx="20" cy="20" r="18" pathLength="100"></circle></svg>' : ''}
+            <svg class="autoplay-toggle__icon autoplay-toggle__icon--pause" width="16" height="16" viewBox="0 0 16 16" aria-hidden="true"><path d="M4 3h3v10H4zM9 3h3v10H9z" fill="currentColor"/></svg>
+            <svg class="autoplay-toggle__icon autoplay-toggle__icon--play" width="16" height="16" viewBox="0 0 16 16" aria-hidden="true"><path d="M5 2.5v11L13.5 8z" fill="currentColor"/></svg>
+        `;
+        return control;
+    }
+
+    bindEvents() {
+        const { signal } = this.abortController;
+
+        this.control.addEventListener('click', () => this.toggle(), { signal });
+
+        // Mouse hover only: taps fire mouseenter too, without a mouseleave to match
+        this.container.addEventListener('pointerenter', (e) => {
+            if (e.pointerType !== 'touch') this.pause('hover');
+        }, { signal });
+        this.container.addEventListener('pointerleave', () => this.resume('hover'), { signal });
+
+        this.container.addEventListener('focusin', (e) => {
+            if (e.target !== this.control) this.pause('focus');
+        }, { signal });
+        this.container.addEventListener('focusout', (e) => {
+            if (!e.relatedTarget || !this.container.contains(e.relatedTarget) || e.relatedTarget === this.control) {
+                this.resume('focus');
+            }
+        }, { signal });
+
+        this.container.addEventListener('touchstart', () => this.pause('touch'), { passive: true, signal });
+        ['touchend', 'touchcancel'].forEach(type => {
+            this.container.addEventListener(type, () => this.resume('touch'), { signal });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        }, { signal });
+
+        if (this.reducedMotion && this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', () => {
+                if (this.reducedMotion.matches) this.stop();
+            }, { signal });
+        }
+    }
+
+    play() {
+        this.playing = true;
+        this.update();
+    }
+
+    stop() {
+        this.playing = false;
+        this.update();
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.stop();
+        } else {
+            this.play();
+        }
+    }
+
+    pause(reason) {
+        this.reasons.add(reason);
+        this.update();
+    }
+
+    resume(reason) {
+        if (!this.reasons.delete(reason)) return;
+        this.update();
+    }
+
+    // Waits a full delay again, e.g. after the visitor moved the carousel themselves
+    restart() {
+        if (this.running) this.schedule();
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    update() {
+        const running = this.playing && this.reasons.size === 0;
+
+        this.control.classList.toggle('is-stopped', !this.playing);
+        this.control.setAttribute('aria-label', this.playing ? this.options.labels.pause : this.options.labels.play);
+
+        if (running === this.running) return;
+        this.running = running;
+
+        if (running) {
+            this.schedule();
+        } else {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.control.classList.remove('is-counting');
+        }
+        this.options.onChange(running);
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        if (!this.options.delay) return;
+
+        this.timer = setTimeout(() => {
+            this.options.onTick();
+            if (this.running) this.schedule();
+        }, this.options.delay);
+
+        if (this.options.progress) {
+            // Restart the ring's CSS animation
+            this.control.style.setProperty('--autoplay-delay', `${this.options.delay}ms`);
+            this.control.classList.remove('is-counting');
+            void this.control.offsetWidth;
+            this.control.classList.add('is-counting');
+        }
+    }
+
+    destroy() {
+        this.abortController.abort();
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.running = false;
+        this.control.remove();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMCAutoplay;
+}
@@ -4,16 +4,46 @@
  * 
  * Usage:
  * const carousel = new DMCCarousel(element, options);
+ * or declaratively, through the DMC registry (dmc.js):
+ * <div data-carousel='{"slidesPerView": 3}'>...</div>
  * 
  * Options:
+ * - mode: 'transform' (JS positions the slides) or 'scroll' (native overflow
+ *   scrolling with CSS scroll-snap; slide sizes come from the page CSS) (default: 'transform')
  * - slidesPerView: Number of slides visible (default: 4)
  * - gap: Gap between slides in pixels (default: 24)
- * - autoplay: Enable autoplay (default: false)
+ * - autoplay: Enable autoplay, with a play/pause button (default: false). The button goes in
+ *   [data-carousel-autoplay] when the markup has one, else after the dots (autoplay.js)
  * - autoplaySpeed: Autoplay interval in ms (default: 5000)
- * - infinite: Enable infinite scroll (default: false)
+ * - autoplayProgress: Show the time until the next slide around the button (default: false)
+ * - infinite: Rewind to the first/last slide at the ends (default: false)
+ * - loop: Seamless loop using cloned edge slides (default: false)
+ * - pagination: Generate dots into [data-carousel-dots] (default: true when that element exists)
+ * - dotClass: Class name for generated dots (default: 'carousel-dot')
+ * - on: Event handlers keyed by event name, same as calling carousel.on()
  * - breakpoints: Object with responsive settings
+ * - label: Accessible name for the carousel region (default: 'Carousel')
+ * - hideOffscreen: Hide slides outside the viewport from assistive tech and make
+ *   them inert (default: true, false in scroll mode where they stay reachable)
+ * - labels: Strings for buttons and announcements ({current} and {total} are replaced);
+ *   defaults come from DMCLanguage in the page language, see language.js
+ *
+ * Keyboard: Arrow keys, Home and End move the carousel while focus is inside it.
+ *
+ * Events:
+ * carousel.on('change' | 'dragstart' | 'dragend' | 'reachStart' | 'reachEnd', handler)
+ * Handlers receive { index, previousIndex, total, range: { start, end }, autoplay }, where
+ * autoplay is true for the moves autoplay makes and false for the visitor's own.
+ * The same events are dispatched on the container as bubbling `carousel:<name>`
+ * CustomEvents, so page scripts can listen without a reference to the instance.
  */
 
+// Attributes the carousel sets, restored to their original values by destroy()
+const DMC_CAROUSEL_ATTRIBUTES = [
+    'style', 'id', 'role', 'tabindex', 'inert', 'disabled',
+    'aria-roledescription', 'aria-label', 'aria-hidden', 'aria-controls'
+];
+
 class DMCCarousel {
     constructor(element, options = {}) {
         this.container = typeof element === 'string' ? document.querySelector(element) : element;
@@ -23,30 +53,85 @@ class DMCCarousel {
             return;
         }
 
+        // One instance per container: re-initialising replaces the old one
+        const existing = DMCCarousel.getInstance(this.container);
+        if (existing) {
+            existing.destroy();
+        }
+
+        this.userOptions = options;
+        this.listeners = {};
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+
+        Object.entries(options.on || {}).forEach(([event, handler]) => this.on(event, handler));
+
+        if (this.setup()) {
+            DMCCarousel.instances.set(this.container, this);
+        }
+    }
+
+    static getInstance(element) {
+        return DMCCarousel.instances.get(element) || null;
+    }
+
+    // Read the DOM and options, then build the carousel
+    setup() {
         this.track = this.container.querySelector('[data-carousel-track]');
         this.slides = Array.from(this.track?.children || []);
         this.prevBtn = this.container.querySelector('[data-carousel-prev]');
         this.nextBtn = this.container.querySelector('[data-carousel-next]');
         this.progressBar = this.container.querySelector('[data-carousel-progress]');
+        this.dotsContainer = this.container.querySelector('[data-carousel-dots]');
         
         if (!this.track || this.slides.length === 0) {
             console.warn('DMCCarousel: Track or slides not found');
-            return;
+            return false;
         }
 
+        const options = this.userOptions;
+
         // Default options
         this.options = {
+            mode: 'transform',
             slidesPerView: 4,
             gap: 24,
             autoplay: false,
             autoplaySpeed: 5000,
+            autoplayProgress: false,
             infinite: false,
+            loop: false,
+            pagination: Boolean(this.dotsContainer),
+            dotClass: 'carousel-dot',
+            on: {},
             breakpoints: {},
-            ...options
+            label: 'Carousel',
+            hideOffscreen: options.mode !== 'scroll',
+            ...options,
+            labels: {
+                prev: 'Previous slide',
+                next: 'Next slide',
+                slide: '{current} of {total}',
+                status: 'Slide {current} of {total}',
+                dot: 'Go to slide {current}',
+                play: 'Start automatic slide show',
+                pause: 'Stop automatic slide show',
+                ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('carousel') : {}),
+                ...(options.labels || {})
+            }
         };
 
         this.currentIndex = 0;
-        this.autoplayInterval = null;
+        this.clones = [];
+        this.loopTimeout = null;
+        this.resizeTimeout = null;
+        this.scrollTarget = null;
+        this.scrollTimeout = null;
+        this.scrollFrame = null;
+        this.dots = [];
+        this.autoplay = null;
+        this.autoplayStep = false;
         this.isAnimating = false;
         this.touchStartX = 0;
         this.touchEndX = 0;
@@ -56,31 +141,70 @@ class DMCCarousel {
         this.dragStartX = 0;
         this.dragMoved = false;
 
+        // Cloned slides are not supported on a natively scrolled track
+        if (this.isScrollMode()) {
+            this.options.loop = false;
+        }
+
+        this.snapshotDOM();
         this.init();
+        return true;
     }
 
     init() {
+        // Every listener is registered with this signal so teardown() can drop them at once
+        this.abortController = new AbortController();
+
+        this.setupAccessibility();
         this.calculateDimensions();
         this.bindEvents();
+
+        // Start on the first real slide, past the leading clones
+        if (this.options.loop) {
+            this.track.style.transition = 'none';
+            this.setTranslate(this.getTranslateFor(this.currentIndex));
+            void this.track.offsetWidth;
+            this.track.style.transition = this.getTransition();
+        }
+
         this.updateControls();
         this.updateProgress();
+        this.updateSlideVisibility();
         
         if (this.options.autoplay) {
-            this.startAutoplay();
+            this.setupAutoplay();
         }
     }
 
+    isScrollMode() {
+        return this.options.mode === 'scroll';
+    }
+
     calculateDimensions() {
-        const containerWidth = this.container.offsetWidth;
+        if (this.isScrollMode()) {
+            this.maxIndex = this.getScrollMaxIndex();
+            this.buildPagination();
+            return;
+        }
+
+        // The track spans the visible viewport, excluding any padding on the container
+        const containerWidth = this.track.clientWidth || this.container.offsetWidth;
         const currentOptions = this.getResponsiveOptions();
         const { slidesPerView, gap } = currentOptions;
 
         // Calculate slide width
         this.slideWidth = (containerWidth - (gap * (slidesPerView - 1))) / slidesPerView;
-        this.maxIndex = Math.max(0, this.slides.length - slidesPerView);
+        this.maxIndex = this.options.loop
+            ? this.slides.length - 1
+            : Math.max(0, this.slides.length - slidesPerView);
+
+        if (this.options.loop) {
+            this.setupClones(Math.ceil(slidesPerView));
+        }
+        this.buildPagination();
 
-        // Apply styles to slides
-        this.slides.forEach(slide => {
+        // Apply styles to slides (clones included)
+        [...this.slides, ...this.clones].forEach(slide => {
             slide.style.flex = `0 0 ${this.slideWidth}px`;
             slide.style.minWidth = `${this.slideWidth}px`;
         });
@@ -89,6 +213,211 @@ class DMCCarousel {
         this.track.style.gap = `${gap}px`;
     }
 
+    // Scroll mode: snap positions are read from the rendered slides
+    getMaxScroll() {
+        return Math.max(0, this.track.scrollWidth - this.track.clientWidth);
+    }
+
+    getScrollPositions() {
+        const trackLeft = this.track.getBoundingClientRect().left;
+        return this.slides.map(slide =>
+            slide.getBoundingClientRect().left - trackLeft + this.track.scrollLeft
+        );
+    }
+
+    getScrollMaxIndex() {
+        const maxScroll = this.getMaxScroll();
+        const positions = this.getScrollPositions();
+        const lastIndex = positions.findIndex(position => position >= maxScroll - 1);
+        return lastIndex === -1 ? Math.max(0, positions.length - 1) : lastIndex;
+    }
+
+    scrollToIndex(index) {
+        const target = Math.max(0, Math.min(index, this.maxIndex));
+        const positions = this.getScrollPositions();
+
+        this.scrollTarget = target;
+        this.track.scrollTo({
+            left: Math.min(positions[target] || 0, this.getMaxScroll()),
+            behavior: this.prefersReducedMotion() ? 'auto' : 'smooth'
+        });
+    }
+
+    // Derive the current index from the native scroll position
+    syncFromScroll() {
+        const scrollLeft = this.track.scrollLeft;
+        const positions = this.getScrollPositions();
+        const previousIndex = this.currentIndex;
+
+        let index = 0;
+        positions.forEach((position, i) => {
+            if (Math.abs(position - scrollLeft) < Math.abs(positions[index] - scrollLeft)) {
+                index = i;
+            }
+        });
+        if (scrollLeft >= this.getMaxScroll() - 1) {
+            index = this.maxIndex;
+        }
+        this.currentIndex = Math.min(index, this.maxIndex);
+
+        this.updateControls();
+        this.updateProgress();
+        this.updatePagination();
+        this.updateSlideVisibility();
+
+        if (this.currentIndex !== previousIndex) {
+            // Only announce moves the user asked for through the controls
+            if (this.scrollTarget !== null) this.announce();
+            this.emit('change', { previousIndex });
+            if (this.currentIndex === 0) this.emit('reachStart');
+            if (this.currentIndex >= this.maxIndex) this.emit('reachEnd');
+        }
+    }
+
+    handleScroll() {
+        if (!this.scrollFrame) {
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.syncFromScroll();
+            });
+        }
+
+        // Forget the pending button target once scrolling settles
+        clearTimeout(this.scrollTimeout);
+        this.scrollTimeout = setTimeout(() => {
+            this.scrollTarget = null;
+        }, 150);
+    }
+
+    // Loop mode: copies of the last slides go before the first and vice versa
+    setupClones(count) {
+        if (this.clones.length === count * 2) return;
+
+        this.clones.forEach(clone => clone.remove());
+        this.clones = [];
+
+        const total = this.slides.length;
+        const makeClone = (slide) => {
+            const clone = slide.cloneNode(true);
+            clone.removeAttribute('id');
+            clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+            clone.setAttribute('data-carousel-clone', '');
+            clone.setAttribute('aria-hidden', 'true');
+            clone.inert = true;
+            this.clones.push(clone);
+            return clone;
+        };
+
+        for (let i = 0; i < count; i++) {
+            this.track.appendChild(makeClone(this.slides[i % total]));
+        }
+        for (let i = 0; i < count; i++) {
+            const slide = this.slides[(total - 1 - i + total * count) % total];
+            this.track.insertBefore(makeClone(slide), this.track.firstChild);
+        }
+    }
+
+    // Number of cloned slides in front of the first real slide
+    getOffset() {
+        return this.options.loop ? this.clones.length / 2 : 0;
+    }
+
+    getSlideStep() {
+        return this.slideWidth + this.getResponsiveOptions().gap;
+    }
+
+    setTranslate(translateX) {
+        this.track.style.webkitTransform = `translateX(${translateX}px)`;
+        this.track.style.transform = `translateX(${translateX}px)`;
+    }
+
+    getTranslateFor(index) {
+        return -(index + this.getOffset()) * this.getSlideStep();
+    }
+
+    clampIndex(index) {
+        if (this.options.loop) {
+            return Math.max(-this.getOffset(), Math.min(index, this.slides.length));
+        }
+        return Math.max(0, Math.min(index, this.maxIndex));
+    }
+
+    // Jump from a clone back to the matching real slide without animating
+    settleLoop() {
+        if (!this.loopTimeout) return;
+
+        clearTimeout(this.loopTimeout);
+        this.loopTimeout = null;
+        this.track.style.transition = 'none';
+        this.setTranslate(this.getTranslateFor(this.currentIndex));
+        // Force a reflow so the jump is applied before the transition returns
+        void this.track.offsetWidth;
+    }
+
+    // Pagination dots
+    buildPagination() {
+        if (!this.options.pagination || !this.dotsContainer) return;
+
+        const count = Math.ceil(this.maxIndex) + 1;
+        if (this.dots.length === count) return;
+
+        this.dotsContainer.innerHTML = '';
+        this.dots = Array.from({ length: count }, (_, i) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = this.options.dotClass;
+            dot.setAttribute('aria-controls', this.track.id);
+            dot.setAttribute('aria-label', this.formatLabel(this.options.labels.dot, i + 1));
+            dot.addEventListener('click', () => {
+                this.restartAutoplay();
+                this.goTo(Math.min(i, this.maxIndex), true);
+            }, { signal: this.abortController.signal });
+            this.dotsContainer.appendChild(dot);
+            return dot;
+        });
+        this.updatePagination();
+    }
+
+    updatePagination() {
+        const activeDot = Math.ceil(this.currentIndex);
+        this.dots.forEach((dot, i) => {
+            const isActive = i === activeDot;
+            dot.classList.toggle('is-active', isActive);
+            if (isActive) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    // Event API
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(fn => fn !== handler);
+    }
+
+    emit(event, extra = {}) {
+        const detail = {
+            index: this.currentIndex,
+            total: this.slides.length,
+            range: this.getVisibleRange(),
+            autoplay: this.autoplayStep,
+            ...extra
+        };
+
+        (this.listeners[event] || []).forEach(handler => handler.call(this, detail));
+        this.container.dispatchEvent(new CustomEvent(`carousel:${event}`, {
+            bubbles: true,
+            detail: { ...detail, carousel: this }
+        }));
+    }
+
     getResponsiveOptions() {
         const windowWidth = window.innerWidth;
         let options = { ...this.options };
@@ -107,24 +436,215 @@ class DMCCarousel {
         return options;
     }
 
+    // Accessibility setup: roles, labels and the live region
+    setupAccessibility() {
+        const { labels } = this.options;
+
+        DMCCarousel.instanceCount = (DMCCarousel.instanceCount || 0) + 1;
+        if (!this.track.id) {
+            this.track.id = `dmc-carousel-track-${DMCCarousel.instanceCount}`;
+        }
+
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-roledescription', 'carousel');
+        if (!this.container.hasAttribute('aria-label') && !this.container.hasAttribute('aria-labelledby')) {
+            this.container.setAttribute('aria-label', this.options.label);
+        }
+        if (!this.container.hasAttribute('tabindex')) {
+            this.container.setAttribute('tabindex', '0');
+        }
+
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            if (!slide.hasAttribute('aria-label') && !slide.hasAttribute('aria-labelledby')) {
+                slide.setAttribute('aria-label', this.formatLabel(labels.slide, index + 1));
+            }
+        });
+
+        [[this.prevBtn, labels.prev], [this.nextBtn, labels.next]].forEach(([btn, label]) => {
+            if (!btn) return;
+            btn.setAttribute('aria-controls', this.track.id);
+            if (!btn.hasAttribute('aria-label')) {
+                btn.setAttribute('aria-label', label);
+            }
+        });
+
+        // Polite live region announcing the current position
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.container.appendChild(this.liveRegion);
+    }
+
+    formatLabel(template, current) {
+        return template
+            .replace('{current}', current)
+            .replace('{total}', this.slides.length);
+    }
+
+    prefersReducedMotion() {
+        return Boolean(this.reducedMotion && this.reducedMotion.matches);
+    }
+
+    getTransition() {
+        return this.prefersReducedMotion() ? 'none' : 'transform 0.5s ease';
+    }
+
+    // Slides that are at least partly inside the viewport
+    getVisibleRange() {
+        if (this.isScrollMode()) {
+            const visible = this.slides
+                .map((slide, index) => (this.isSlideVisible(index) ? index : -1))
+                .filter(index => index !== -1);
+            return visible.length
+                ? { start: visible[0], end: visible[visible.length - 1] }
+                : { start: this.currentIndex, end: this.currentIndex };
+        }
+
+        const { slidesPerView } = this.getResponsiveOptions();
+        const total = this.slides.length;
+        const start = Math.floor(this.currentIndex);
+        const count = Math.ceil(this.currentIndex + slidesPerView) - start;
+
+        if (this.options.loop) {
+            return { start, end: (start + Math.min(count, total) - 1) % total };
+        }
+        return { start, end: Math.min(total, start + count) - 1 };
+    }
+
+    isSlideVisible(index) {
+        if (this.isScrollMode()) {
+            const trackRect = this.track.getBoundingClientRect();
+            const slideRect = this.slides[index].getBoundingClientRect();
+            return slideRect.right > trackRect.left + 1 && slideRect.left < trackRect.right - 1;
+        }
+
+        const { start } = this.getVisibleRange();
+        const { slidesPerView } = this.getResponsiveOptions();
+        const total = this.slides.length;
+        const count = Math.ceil(this.currentIndex + slidesPerView) - start;
+        const offset = this.options.loop ? (index - start + total) % total : index - start;
+
+        return offset >= 0 && offset < count;
+    }
+
+    updateSlideVisibility() {
+        if (!this.options.hideOffscreen) return;
+
+        const active = document.activeElement;
+
+        this.slides.forEach((slide, index) => {
+            const hidden = !this.isSlideVisible(index);
+            slide.setAttribute('aria-hidden', hidden ? 'true' : 'false');
+
+            // Keep focus inside the carousel if it sat on a slide that is now hidden
+            if (hidden && slide.contains(active)) {
+                this.container.focus({ preventScroll: true });
+            }
+            slide.inert = hidden;
+        });
+    }
+
+    announce() {
+        if (!this.liveRegion) return;
+        this.liveRegion.textContent = this.formatLabel(this.options.labels.status, this.currentIndex + 1);
+    }
+
+    handleKeydown(e) {
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const keyActions = {
+            ArrowLeft: () => this.prev(),
+            ArrowRight: () => this.next(),
+            Home: () => this.goTo(0),
+            End: () => this.goTo(this.maxIndex)
+        };
+        const action = keyActions[e.key];
+        if (!action) return;
+
+        e.preventDefault();
+        this.restartAutoplay();
+        action();
+    }
+
+    // Bring a slide into view when focus lands on it (e.g. tabbing into a partly visible card)
+    handleFocusIn(e) {
+        // The browser already scrolls focused slides into view on a native scroller
+        if (this.isScrollMode()) return;
+
+        const slideIndex = this.slides.findIndex(slide => slide.contains(e.target));
+        if (slideIndex === -1) return;
+
+        const { slidesPerView } = this.getResponsiveOptions();
+        const fullyVisible = Math.max(1, Math.floor(slidesPerView));
+
+        if (this.options.loop) {
+            const total = this.slides.length;
+            const offset = (slideIndex - this.currentIndex + total) % total;
+            if (offset >= fullyVisible) {
+                this.goTo(slideIndex - fullyVisible + 1, true);
+            }
+        } else if (slideIndex < this.currentIndex) {
+            this.goTo(slideIndex, true);
+        } else if (slideIndex > this.currentIndex + fullyVisible - 1) {
+            this.goTo(slideIndex - fullyVisible + 1, true);
+        }
+
+        // Undo any native scroll the browser applied to the clipped viewport
+        const viewport = this.track.parentElement;
+        if (viewport && viewport.scrollLeft) {
+            viewport.scrollLeft = 0;
+        }
+    }
+
     bindEvents() {
+        // Keyboard navigation and focus handling
+        const { signal } = this.abortController;
+
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+        this.container.addEventListener('focusin', (e) => this.handleFocusIn(e), { signal });
+
+        // Reduced motion preference can change while the page is open
+        if (this.reducedMotion && this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', () => {
+                this.track.style.transition = this.getTransition();
+            }, { signal });
+        }
+
         // Navigation buttons
         if (this.prevBtn) {
-            this.prevBtn.addEventListener('click', () => this.prev());
+            this.prevBtn.addEventListener('click', () => {
+                this.restartAutoplay();
+                this.prev();
+            }, { signal });
         }
         if (this.nextBtn) {
-            this.nextBtn.addEventListener('click', () => this.next());
+            this.nextBtn.addEventListener('click', () => {
+                this.restartAutoplay();
+                this.next();
+            }, { signal });
         }
 
         // Window resize
-        let resizeTimeout;
         window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
+                this.settleLoop();
                 this.calculateDimensions();
-                this.goTo(Math.min(this.currentIndex, this.maxIndex));
+                if (this.isScrollMode()) {
+                    this.syncFromScroll();
+                } else {
+                    this.goTo(Math.min(this.currentIndex, this.maxIndex), true);
+                }
             }, 100);
-        });
+        }, { signal });
+
+        if (this.isScrollMode()) {
+            this.track.classList.add('carousel-scroll');
+            this.track.addEventListener('scroll', () => this.handleScroll(), { passive: true, signal });
+        }
 
         // Mouse drag events for desktop
         this.track.style.userSelect = 'none';
@@ -132,12 +652,12 @@ class DMCCarousel {
         
         // Prevent default drag on images and links
         this.track.querySelectorAll('a, img').forEach(el => {
-            el.addEventListener('dragstart', (e) => e.preventDefault());
+            el.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
         });
         
-        this.track.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        document.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        document.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.track.addEventListener('mousedown', (e) => this.handleMouseDown(e), { signal });
+        document.addEventListener('mousemove', (e) => this.handleMouseMove(e), { signal });
+        document.addEventListener('mouseup', (e) => this.handleMouseUp(e), { signal });
         
         // Prevent clicks when dragging
         this.track.addEventListener('click', (e) => {
@@ -146,27 +666,32 @@ class DMCCarousel {
                 e.stopPropagation();
                 e.stopImmediatePropagation();
             }
-        }, true);
+        }, { capture: true, signal });
 
-        // Touch events for mobile swipe
-        this.track.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
-        this.track.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: true });
-        this.track.addEventListener('touchend', (e) => this.handleTouchEnd(e));
-
-        // Pause autoplay on hover
-        if (this.options.autoplay) {
-            this.container.addEventListener('mouseenter', () => this.stopAutoplay());
-            this.container.addEventListener('mouseleave', () => this.startAutoplay());
+        // Touch events for mobile swipe (scroll mode relies on native momentum scrolling)
+        if (!this.isScrollMode()) {
+            this.track.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true, signal });
+            this.track.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: true, signal });
+            this.track.addEventListener('touchend', (e) => this.handleTouchEnd(e), { signal });
         }
     }
 
     // Mouse drag handlers
     handleMouseDown(e) {
+        this.settleLoop();
         this.isDragging = true;
         this.dragMoved = false;
         this.dragStartX = e.pageX;
         this.track.style.cursor = 'grabbing';
         this.track.style.transition = 'none';
+        if (this.autoplay) this.autoplay.pause('drag');
+
+        // Let the track follow the pointer freely, snapping again on release
+        if (this.isScrollMode()) {
+            this.dragStartScroll = this.track.scrollLeft;
+            this.track.style.scrollSnapType = 'none';
+        }
+        this.emit('dragstart');
     }
 
     handleMouseMove(e) {
@@ -177,30 +702,39 @@ class DMCCarousel {
         const diff = currentX - this.dragStartX;
         if (Math.abs(diff) > 5) this.dragMoved = true;
         
-        const currentOptions = this.getResponsiveOptions();
-        const cardWidth = this.slideWidth + currentOptions.gap;
-        const baseTranslate = -this.currentIndex * cardWidth;
-        const newTranslate = baseTranslate + diff;
-        
-        this.track.style.transform = `translateX(${newTranslate}px)`;
+        if (this.isScrollMode()) {
+            this.track.scrollLeft = this.dragStartScroll - diff;
+            return;
+        }
+        this.setTranslate(this.getTranslateFor(this.currentIndex) + diff);
     }
 
     handleMouseUp(e) {
         if (!this.isDragging) return;
         this.isDragging = false;
         this.track.style.cursor = 'grab';
-        this.track.style.transition = 'transform 0.5s ease';
+        this.track.style.transition = this.getTransition();
+
+        if (this.isScrollMode()) {
+            this.track.style.scrollSnapType = '';
+            this.syncFromScroll();
+            this.scrollToIndex(this.currentIndex);
+            this.endDrag();
+            if (this.dragMoved) {
+                setTimeout(() => { this.dragMoved = false; }, 100);
+            }
+            return;
+        }
         
         const currentX = e.pageX;
         const diff = currentX - this.dragStartX;
-        const currentOptions = this.getResponsiveOptions();
-        const cardWidth = this.slideWidth + currentOptions.gap;
         
         // Calculate how many cards to move based on drag distance
-        const cardsMoved = Math.round(diff / cardWidth);
+        const cardsMoved = Math.round(diff / this.getSlideStep());
         const newIndex = this.currentIndex - cardsMoved;
         
-        this.goTo(Math.max(0, Math.min(newIndex, this.maxIndex)), true);
+        this.goTo(this.clampIndex(newIndex), true);
+        this.endDrag();
         
         // Reset dragMoved after a delay to allow click events to be blocked
         if (this.dragMoved) {
@@ -210,10 +744,12 @@ class DMCCarousel {
 
     // Touch handlers with smooth drag
     handleTouchStart(e) {
+        this.settleLoop();
         this.isDragging = true;
         this.dragMoved = false;
         this.touchStartX = e.touches[0].pageX;
         this.track.style.transition = 'none';
+        this.emit('dragstart');
     }
 
     handleTouchMove(e) {
@@ -223,21 +759,13 @@ class DMCCarousel {
         const diff = currentX - this.touchStartX;
         if (Math.abs(diff) > 5) this.dragMoved = true;
         
-        const currentOptions = this.getResponsiveOptions();
-        const cardWidth = this.slideWidth + currentOptions.gap;
-        const baseTranslate = -this.currentIndex * cardWidth;
-        const newTranslate = baseTranslate + diff;
-        
-        this.track.style.transform = `translateX(${newTranslate}px)`;
+        this.setTranslate(this.getTranslateFor(this.currentIndex) + diff);
     }
 
     handleTouchEnd(e) {
         if (!this.isDragging) return;
         this.isDragging = false;
-        this.track.style.transition = 'transform 0.5s ease';
-        
-        const currentOptions = this.getResponsiveOptions();
-        const cardWidth = this.slideWidth + currentOptions.gap;
+        this.track.style.transition = this.getTransition();
         
         // Get the final position from the transform
         const transform = this.track.style.transform;
@@ -245,9 +773,10 @@ class DMCCarousel {
         const currentTranslate = match ? parseFloat(match[1]) : 0;
         
         // Calculate which index we're closest to
-        const newIndex = Math.round(-currentTranslate / cardWidth);
+        const newIndex = Math.round(-currentTranslate / this.getSlideStep()) - this.getOffset();
         
-        this.goTo(Math.max(0, Math.min(newIndex, this.maxIndex)), true);
+        this.goTo(this.clampIndex(newIndex), true);
+        this.endDrag();
         
         // Reset dragMoved after a delay to allow click events to be blocked
         if (this.dragMoved) {
@@ -257,8 +786,13 @@ class DMCCarousel {
 
     prev() {
         if (this.isAnimating) return;
+
+        if (this.isScrollMode()) {
+            this.scrollToIndex(this.getScrollBaseIndex() - 1);
+            return;
+        }
         
-        if (this.currentIndex > 0) {
+        if (this.options.loop || this.currentIndex > 0) {
             this.goTo(this.currentIndex - 1);
         } else if (this.options.infinite) {
             this.goTo(this.maxIndex);
@@ -267,47 +801,85 @@ class DMCCarousel {
 
     next() {
         if (this.isAnimating) return;
+
+        if (this.isScrollMode()) {
+            this.scrollToIndex(this.getScrollBaseIndex() + 1);
+            return;
+        }
         
-        if (this.currentIndex < this.maxIndex) {
+        if (this.options.loop || this.currentIndex < this.maxIndex) {
             this.goTo(this.currentIndex + 1);
         } else if (this.options.infinite) {
             this.goTo(0);
         }
     }
 
+    // While a button-driven scroll is still running, step from its target
+    getScrollBaseIndex() {
+        return this.scrollTarget !== null ? this.scrollTarget : this.currentIndex;
+    }
+
     goTo(index, force = false) {
+        if (this.isScrollMode()) {
+            this.scrollToIndex(index);
+            return;
+        }
+
         if (this.isAnimating && !force) return;
         if (!force && index === this.currentIndex) return;
 
+        this.settleLoop();
         this.isAnimating = true;
-        this.currentIndex = Math.max(0, Math.min(index, this.maxIndex));
 
-        const currentOptions = this.getResponsiveOptions();
-        const translateX = this.currentIndex * (this.slideWidth + currentOptions.gap);
+        const previousIndex = this.currentIndex;
+        const duration = this.prefersReducedMotion() ? 0 : 500;
+        const target = this.clampIndex(index);
+        const total = this.slides.length;
+
+        // In loop mode the target may be a clone; currentIndex always names a real slide
+        this.currentIndex = this.options.loop ? ((target % total) + total) % total : target;
 
         // Ensure transition is set when not dragging
         if (!this.isDragging) {
-            this.track.style.transition = 'transform 0.5s ease';
+            this.track.style.transition = this.getTransition();
         }
 
-        // Apply transform with vendor prefixes
-        this.track.style.webkitTransform = `translateX(-${translateX}px)`;
-        this.track.style.transform = `translateX(-${translateX}px)`;
+        this.setTranslate(this.getTranslateFor(target));
+
+        if (target !== this.currentIndex) {
+            this.loopTimeout = setTimeout(() => this.settleLoop(), duration);
+        }
 
         this.updateControls();
         this.updateProgress();
+        this.updatePagination();
+        this.updateSlideVisibility();
+
+        if (this.currentIndex !== previousIndex) {
+            this.announce();
+            this.emit('change', { previousIndex });
+            if (this.currentIndex === 0) this.emit('reachStart');
+            if (this.currentIndex >= this.maxIndex) this.emit('reachEnd');
+        }
 
         setTimeout(() => {
             this.isAnimating = false;
-        }, 500);
+        }, duration);
     }
 
     updateControls() {
+        if (this.isScrollMode()) {
+            const scrollLeft = this.track.scrollLeft;
+            if (this.prevBtn) this.prevBtn.disabled = scrollLeft <= 1;
+            if (this.nextBtn) this.nextBtn.disabled = scrollLeft >= this.getMaxScroll() - 1;
+            return;
+        }
+
         if (this.prevBtn) {
-            this.prevBtn.disabled = !this.options.infinite && this.currentIndex === 0;
+            this.prevBtn.disabled = !this.options.infinite && !this.options.loop && this.currentIndex === 0;
         }
         if (this.nextBtn) {
-            this.nextBtn.disabled = !this.options.infinite && this.currentIndex >= this.maxIndex;
+            this.nextBtn.disabled = !this.options.infinite && !this.options.loop && this.currentIndex >= this.maxIndex;
         }
     }
 
@@ -320,33 +892,219 @@ class DMCCarousel {
         }
     }
 
-    startAutoplay() {
-        if (this.autoplayInterval) return;
-        
-        this.autoplayInterval = setInterval(() => {
-            if (this.currentIndex >= this.maxIndex) {
-                if (this.options.infinite) {
-                    this.goTo(0);
-                }
-            } else {
-                this.next();
+    // Autoplay (autoplay.js) pauses for hover, focus, touch, drags and a hidden tab
+    setupAutoplay() {
+        if (typeof DMCAutoplay === 'undefined') return;
+
+        const { labels } = this.options;
+        this.autoplay = new DMCAutoplay(this.container, {
+            delay: this.options.autoplaySpeed,
+            progress: this.options.autoplayProgress,
+            labels: { play: labels.play, pause: labels.pause },
+            onTick: () => this.autoplayNext(),
+            // Don't announce every slide autoplay shows
+            onChange: (running) => {
+                if (this.liveRegion) this.liveRegion.setAttribute('aria-live', running ? 'off' : 'polite');
             }
-        }, this.options.autoplaySpeed);
+        });
+
+        const { control } = this.autoplay;
+        const slot = this.container.querySelector('[data-carousel-autoplay]');
+        control.setAttribute('aria-controls', this.track.id);
+        if (slot) {
+            slot.appendChild(control);
+        } else if (this.dotsContainer) {
+            this.dotsContainer.after(control);
+        } else {
+            this.container.appendChild(control);
+        }
+
+        // A rebuild keeps the visitor's choice
+        if (this.autoplayStopped) this.autoplay.stop();
+    }
+
+    autoplayNext() {
+        this.autoplayStep = true;
+        if (this.currentIndex >= this.maxIndex && !this.options.loop) {
+            if (this.options.infinite) {
+                this.goTo(0);
+            }
+        } else {
+            this.next();
+        }
+        this.autoplayStep = false;
+    }
+
+    // The visitor moved the carousel: give the slide they chose a full interval
+    restartAutoplay() {
+        if (this.autoplay) this.autoplay.restart();
+    }
+
+    startAutoplay() {
+        if (this.autoplay) this.autoplay.play();
     }
 
     stopAutoplay() {
-        if (this.autoplayInterval) {
-            clearInterval(this.autoplayInterval);
-            this.autoplayInterval = null;
+        if (this.autoplay) this.autoplay.stop();
+    }
+
+    endDrag() {
+        this.emit('dragend', { moved: this.dragMoved });
+        if (this.autoplay) {
+            this.autoplay.resume('drag');
+            if (this.dragMoved) this.autoplay.restart();
+        }
+    }
+
+    // Lifecycle
+    snapshotDOM() {
+        const elements = [
+            this.container, this.track, this.prevBtn, this.nextBtn, this.progressBar, ...this.slides
+        ].filter(Boolean);
+
+        this.snapshot = elements.map(el => ({
+            el,
+            attributes: DMC_CAROUSEL_ATTRIBUTES.map(name => [name, el.getAttribute(name)])
+        }));
+        this.dotsMarkup = this.dotsContainer ? this.dotsContainer.innerHTML : '';
+    }
+
+    restoreDOM() {
+        (this.snapshot || []).forEach(({ el, attributes }) => {
+            attributes.forEach(([name, value]) => {
+                if (value === null) {
+                    el.removeAttribute(name);
+                } else {
+                    el.setAttribute(name, value);
+                }
+            });
+        });
+
+        if (this.dotsContainer) {
+            this.dotsContainer.innerHTML = this.dotsMarkup;
         }
+        this.track.classList.remove('carousel-scroll');
+    }
+
+    // Undo everything setup() did, keeping event subscriptions and options
+    teardown() {
+        if (!this.snapshot) return;
+
+        if (this.autoplay) {
+            this.autoplayStopped = !this.autoplay.playing;
+            this.autoplay.destroy();
+            this.autoplay = null;
+        }
+        clearTimeout(this.loopTimeout);
+        clearTimeout(this.resizeTimeout);
+        clearTimeout(this.scrollTimeout);
+        cancelAnimationFrame(this.scrollFrame);
+
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
+        this.clones.forEach(clone => clone.remove());
+        this.clones = [];
+        this.dots = [];
+
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+
+        this.restoreDOM();
+        this.snapshot = null;
+    }
+
+    // Rebuild from the current DOM, optionally changing it in between
+    rebuild(mutate) {
+        const index = this.currentIndex;
+
+        this.teardown();
+        if (mutate) mutate();
+        if (!this.setup()) return;
+
+        // Return to the same slide without animating or emitting a change
+        this.currentIndex = Math.min(index, this.maxIndex);
+        if (this.isScrollMode()) {
+            this.syncFromScroll();
+            return;
+        }
+
+        this.track.style.transition = 'none';
+        this.setTranslate(this.getTranslateFor(this.currentIndex));
+        void this.track.offsetWidth;
+        this.track.style.transition = this.getTransition();
+
+        this.updateControls();
+        this.updateProgress();
+        this.updatePagination();
+        this.updateSlideVisibility();
+    }
+
+    // Re-read slides and options after the track contents changed
+    update() {
+        this.rebuild();
+    }
+
+    setOptions(options = {}) {
+        this.userOptions = {
+            ...this.userOptions,
+            ...options,
+            labels: { ...(this.userOptions.labels || {}), ...(options.labels || {}) }
+        };
+        this.update();
+    }
+
+    // Insert a slide (element or HTML string) at index, defaulting to the end
+    addSlide(slide, index = this.slides.length) {
+        let element = slide;
+        if (typeof slide === 'string') {
+            const template = document.createElement('template');
+            template.innerHTML = slide.trim();
+            element = template.content.firstElementChild;
+        }
+        if (!element) return null;
+
+        this.rebuild(() => {
+            this.track.insertBefore(element, this.track.children[index] || null);
+        });
+        return element;
+    }
+
+    removeSlide(index) {
+        const slide = this.slides[index];
+        if (!slide) return null;
+
+        this.rebuild(() => slide.remove());
+        return slide;
     }
 
     destroy() {
-        this.stopAutoplay();
-        // Remove event listeners if needed
+        this.teardown();
+        this.listeners = {};
+        if (DMCCarousel.getInstance(this.container) === this) {
+            DMCCarousel.instances.delete(this.container);
+        }
     }
 }
 
+DMCCarousel.instances = new WeakMap();
+
+// Register with the component registry so [data-carousel] markup initialises itself
+if (typeof DMC !== 'undefined') {
+    DMC.register('carousel', {
+        attribute: 'data-carousel',
+        create: (element, options) => {
+            new DMCCarousel(element, options);
+            return DMCCarousel.getInstance(element);
+        },
+        destroy: (carousel) => carousel.destroy()
+    });
+}
+
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DMCCarousel;
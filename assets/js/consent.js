@@ -0,0 +1,307 @@
+/**
+ * DMC Madeira - Cookie Consent
+ * Stores the visitor's cookie choices per category and tells Google Consent Mode about them.
+ *
+ * Loaded synchronously in <head>, before Google Tag Manager:
+ * <script src="assets/js/consent.js"></script>
+ * <script>DMCConsent.loadTagManager('GTM-XXXXXXX');</script>
+ *
+ * - Consent Mode v2 'default' (everything but necessary denied) is pushed to dataLayer
+ *   straight away, followed by an 'update' when a stored choice exists.
+ * - GTM itself is only loaded once analytics or marketing is granted, so rejecting
+ *   non-essential cookies means no tags run at all.
+ * - Choices are stored with CONSENT_VERSION and an expiry date. Bump the version when
+ *   the cookie policy changes and everyone is asked again.
+ *
+ * Categories: necessary (always on), analytics, marketing, media (embedded video/maps).
+ *
+ * API:
+ * DMCConsent.has('analytics')       -> boolean
+ * DMCConsent.hasDecision()          -> whether a current, unexpired choice is stored
+ * DMCConsent.acceptAll() / rejectAll() / save({ analytics: true, ... })
+ * DMCConsent.openPreferences()      -> shows the preferences dialog
+ * DMCConsent.onChange(handler)      -> handler(categories) after every change;
+ *                                      also dispatched on document as `consent:change`
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'dmc-consent';
+    const LEGACY_STORAGE_KEY = 'dmc-cookie-choice';
+    const CONSENT_VERSION = 1;
+    const CONSENT_LIFETIME_DAYS = 180;
+    const CATEGORIES = ['necessary', 'analytics', 'marketing', 'media'];
+
+    const STRINGS = {
+        en: {
+            title: 'Cookie settings',
+            intro: 'Choose which cookies we may use. Necessary cookies keep the website working and are always on. You can change your choice at any time from the "Cookie settings" link in the footer.',
+            policy: 'Cookies Policy',
+            alwaysOn: 'Always on',
+            accept: 'Accept all',
+            reject: 'Reject non-essential',
+            save: 'Save choices',
+            close: 'Close',
+            categories: {
+                necessary: ['Necessary', 'Required for the website to work, such as remembering your cookie choices.'],
+                analytics: ['Analytics', 'Help us understand how visitors use the website so we can improve it.'],
+                marketing: ['Marketing', 'Used to measure our campaigns and show relevant adverts on other websites.'],
+                media: ['Embedded media', 'Videos and maps from YouTube, Vimeo and Google Maps, which may set their own cookies.']
+            }
+        },
+        pt: {
+            title: 'Definições de cookies',
+            intro: 'Escolha os cookies que podemos utilizar. Os cookies necessários mantêm o site a funcionar e estão sempre ativos. Pode alterar a sua escolha a qualquer momento na ligação "Definições de cookies" no rodapé.',
+            policy: 'Política de Cookies',
+            alwaysOn: 'Sempre ativos',
+            accept: 'Aceitar tudo',
+            reject: 'Rejeitar não-essencial',
+            save: 'Guardar escolhas',
+            close: 'Fechar',
+            categories: {
+                necessary: ['Necessários', 'Indispensáveis ao funcionamento do site, como guardar as suas escolhas de cookies.'],
+                analytics: ['Análise', 'Ajudam-nos a perceber como o site é utilizado para o podermos melhorar.'],
+                marketing: ['Marketing', 'Utilizados para medir as nossas campanhas e mostrar anúncios relevantes noutros sites.'],
+                media: ['Conteúdos incorporados', 'Vídeos e mapas do YouTube, Vimeo e Google Maps, que podem definir os seus próprios cookies.']
+            }
+        }
+    };
+
+    const handlers = [];
+    let consent = readConsent();
+    let tagManagerId = null;
+    let tagManagerLoaded = false;
+    let dialog = null;
+
+    window.dataLayer = window.dataLayer || [];
+
+    function gtag() {
+        window.dataLayer.push(arguments);
+    }
+
+    function defaultCategories() {
+        return { necessary: true, analytics: false, marketing: false, media: false };
+    }
+
+    function readConsent() {
+        try {
+            // Unversioned choices from the old banner don't say what was accepted: ask again
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!stored || stored.version !== CONSENT_VERSION || !(stored.expires > Date.now())) {
+                return null;
+            }
+            return stored;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeConsent(categories) {
+        const now = Date.now();
+        consent = {
+            version: CONSENT_VERSION,
+            date: new Date(now).toISOString(),
+            expires: now + CONSENT_LIFETIME_DAYS * 24 * 60 * 60 * 1000,
+            categories
+        };
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+        } catch (error) {
+            // Storage blocked: the choice still applies to this page view
+        }
+    }
+
+    function getCategories() {
+        return consent ? { ...defaultCategories(), ...consent.categories, necessary: true } : defaultCategories();
+    }
+
+    function has(category) {
+        return !!getCategories()[category];
+    }
+
+    function hasDecision() {
+        return !!consent;
+    }
+
+    // Google Consent Mode v2 signals for a set of categories
+    function toConsentMode(categories) {
+        const state = (granted) => (granted ? 'granted' : 'denied');
+        return {
+            ad_storage: state(categories.marketing),
+            ad_user_data: state(categories.marketing),
+            ad_personalization: state(categories.marketing),
+            analytics_storage: state(categories.analytics),
+            functionality_storage: 'granted',
+            security_storage: 'granted'
+        };
+    }
+
+    function save(choices) {
+        const categories = defaultCategories();
+        CATEGORIES.forEach(category => {
+            if (category !== 'necessary' && choices && choices[category]) {
+                categories[category] = true;
+            }
+        });
+
+        writeConsent(categories);
+        gtag('consent', 'update', toConsentMode(categories));
+        window.dataLayer.push({ event: 'dmc_consent_update', consent: { ...categories } });
+
+        if (tagManagerId) loadTagManager(tagManagerId);
+
+        handlers.forEach(handler => handler({ ...categories }));
+        document.dispatchEvent(new CustomEvent('consent:change', { detail: { ...categories } }));
+    }
+
+    function acceptAll() {
+        save({ analytics: true, marketing: true, media: true });
+    }
+
+    function rejectAll() {
+        save({});
+    }
+
+    function onChange(handler) {
+        handlers.push(handler);
+    }
+
+    // Standard GTM loader, deferred until something it would run has been consented to
+    function loadTagManager(id) {
+        tagManagerId = id;
+        if (tagManagerLoaded || !(has('analytics') || has('marketing'))) return;
+        tagManagerLoaded = true;
+
+        window.dataLayer.push({ 'gtm.start': new Date().getTime(), event: 'gtm.js' });
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = `https://www.googletagmanager.com/gtm.js?id=${encodeURIComponent(id)}`;
+        const first = document.getElementsByTagName('script')[0];
+        first.parentNode.insertBefore(script, first);
+    }
+
+    function getStrings() {
+        const lang = (document.documentElement.lang || 'en').slice(0, 2).toLowerCase();
+        return STRINGS[lang] || STRINGS.en;
+    }
+
+    /**
+     * Preferences dialog
+     */
+    function buildDialog() {
+        const strings = getStrings();
+
+        dialog = document.createElement('div');
+        dialog.className = 'cookie-preferences';
+        dialog.hidden = true;
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'cookie-preferences-title');
+
+        const items = CATEGORIES.map(category => {
+            const [name, description] = strings.categories[category];
+            const locked = category === 'necessary';
+            return `
+                <li class="cookie-preferences__item">
+                    <label class="cookie-preferences__label">
+                        <input type="checkbox" class="cookie-preferences__checkbox" name="${category}"
+                            aria-describedby="cookie-preferences-${category}"${locked ? ' checked disabled' : ''}>
+                        <span class="cookie-preferences__name">${name}</span>
+                        ${locked ? `<span class="cookie-preferences__always">${strings.alwaysOn}</span>` : ''}
+                    </label>
+                    <p class="cookie-preferences__description" id="cookie-preferences-${category}">${description}</p>
+                </li>`;
+        }).join('');
+
+        dialog.innerHTML = `
+            <form class="cookie-preferences__panel">
+                <button type="button" class="cookie-preferences__close" data-consent-action="close"
+                    aria-label="${strings.close}">&times;</button>
+                <h2 class="cookie-preferences__title" id="cookie-preferences-title">${strings.title}</h2>
+                <p class="cookie-preferences__intro">${strings.intro}
+                    <a href="privacy-policy.html#cookies">${strings.policy}</a>.</p>
+                <ul class="cookie-preferences__list">${items}</ul>
+                <div class="cookie-preferences__buttons">
+                    <button type="button" class="cookie-banner__btn cookie-banner__btn--reject"
+                        data-consent-action="reject">${strings.reject}</button>
+                    <button type="submit" class="cookie-banner__btn cookie-banner__btn--reject">${strings.save}</button>
+                    <button type="button" class="cookie-banner__btn cookie-banner__btn--accept"
+                        data-consent-action="accept">${strings.accept}</button>
+                </div>
+            </form>`;
+
+        const form = dialog.querySelector('form');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const choices = {};
+            form.querySelectorAll('.cookie-preferences__checkbox').forEach(input => {
+                choices[input.name] = input.checked;
+            });
+            save(choices);
+            closePreferences();
+        });
+
+        dialog.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-consent-action]');
+            if (e.target === dialog || (action && action.dataset.consentAction === 'close')) {
+                closePreferences();
+            } else if (action && action.dataset.consentAction === 'accept') {
+                acceptAll();
+                closePreferences();
+            } else if (action && action.dataset.consentAction === 'reject') {
+                rejectAll();
+                closePreferences();
+            }
+        });
+
+        document.body.appendChild(dialog);
+    }
+
+    function openPreferences() {
+        if (!dialog) buildDialog();
+
+        const categories = getCategories();
+        dialog.querySelectorAll('.cookie-preferences__checkbox').forEach(input => {
+            input.checked = !!categories[input.name];
+        });
+
+        dialog.hidden = false;
+        // dmc.js loads after this file, but before anything can open the dialog
+        DMC.dialogs.open(dialog, { onEscape: () => closePreferences() });
+
+        const firstChoice = dialog.querySelector('.cookie-preferences__checkbox:not([disabled])');
+        if (firstChoice) firstChoice.focus();
+    }
+
+    function closePreferences() {
+        if (!dialog || dialog.hidden) return;
+
+        dialog.hidden = true;
+        DMC.dialogs.close(dialog);
+    }
+
+    // Consent Mode defaults must be in dataLayer before GTM reads it
+    gtag('consent', 'default', { ...toConsentMode(defaultCategories()), wait_for_update: 500 });
+    if (consent) {
+        gtag('consent', 'update', toConsentMode(getCategories()));
+    }
+
+    window.DMCConsent = {
+        has,
+        hasDecision,
+        getCategories,
+        save,
+        acceptAll,
+        rejectAll,
+        onChange,
+        loadTagManager,
+        openPreferences,
+        closePreferences
+    };
+
+})();
@@ -0,0 +1,234 @@
+/**
+ * DMC Madeira - Component Registry
+ * Initialises components from declarative markup so pages don't need inline scripts.
+ *
+ * Components register themselves with a data attribute:
+ * DMC.register('carousel', {
+ *     attribute: 'data-carousel',
+ *     create: (element, options) => new DMCCarousel(element, options),
+ *     destroy: (instance) => instance.destroy()
+ * });
+ *
+ * Markup then opts in, with options as JSON in the attribute value:
+ * <div data-carousel='{"slidesPerView": 3, "gap": 16}'>...</div>
+ *
+ * Components whose attribute value isn't JSON (e.g. data-lightbox="gallery") can pass
+ * options: (element) => ({...}) to read their own options instead.
+ *
+ * DMC.init(root) instantiates every registered component inside root (default: document)
+ * that isn't running yet; DMC.destroy(root) tears them down again. Call both around
+ * content that is injected or removed after page load.
+ *
+ * Dialogs: every modal on the site opens and closes through DMC.dialogs, which keeps
+ * the stack of open ones. The top one gets the keyboard: Escape calls its onEscape and
+ * Tab stays inside it. Everything outside it is inert, the page behind doesn't scroll
+ * and focus goes back to the opener when it closes.
+ * DMC.dialogs.open(element, {
+ *     onEscape: () => close(),        // the module's own close (default: DMC.dialogs.close)
+ *     opener: button,                 // focus returns here (default: the focused element)
+ *     focusable: () => [input, btn]   // what Tab cycles through (default: its controls)
+ * });
+ * DMC.dialogs.close(element, { restoreFocus: false });
+ * DMC.dialogs.top() -> the top dialog element, or null when none is open
+ */
+
+(function() {
+    'use strict';
+
+    const components = new Map();
+    // element -> Map(componentName -> instance)
+    const instances = new WeakMap();
+
+    function parseOptions(element, attribute) {
+        const value = (element.getAttribute(attribute) || '').trim();
+        if (!value) return {};
+
+        try {
+            const options = JSON.parse(value);
+            return options && typeof options === 'object' ? options : {};
+        } catch (error) {
+            console.warn(`DMC: Invalid JSON in ${attribute}`, element, error);
+            return {};
+        }
+    }
+
+    // Matching elements inside root, including root itself
+    function findElements(root, selector) {
+        const elements = Array.from(root.querySelectorAll ? root.querySelectorAll(selector) : []);
+        if (root.matches && root.matches(selector)) {
+            elements.unshift(root);
+        }
+        return elements;
+    }
+
+    function register(name, definition) {
+        components.set(name, {
+            selector: `[${definition.attribute}]`,
+            ...definition
+        });
+    }
+
+    function init(root = document) {
+        components.forEach((component, name) => {
+            findElements(root, component.selector).forEach(element => {
+                const elementInstances = instances.get(element) || new Map();
+                if (elementInstances.has(name)) return;
+
+                try {
+                    const options = component.options
+                        ? component.options(element)
+                        : parseOptions(element, component.attribute);
+                    const instance = component.create(element, options);
+                    if (!instance) return;
+
+                    elementInstances.set(name, instance);
+                    instances.set(element, elementInstances);
+                } catch (error) {
+                    console.error(`DMC: Failed to initialise ${name}`, element, error);
+                }
+            });
+        });
+    }
+
+    function destroy(root = document) {
+        components.forEach((component, name) => {
+            findElements(root, component.selector).forEach(element => {
+                const elementInstances = instances.get(element);
+                if (!elementInstances || !elementInstances.has(name)) return;
+
+                if (component.destroy) {
+                    component.destroy(elementInstances.get(name));
+                }
+                elementInstances.delete(name);
+            });
+        });
+    }
+
+    function getInstance(element, name) {
+        const elementInstances = instances.get(element);
+        return elementInstances ? elementInstances.get(name) || null : null;
+    }
+
+    /**
+     * Dialog stack
+     */
+    const FOCUSABLE = 'a[href], button, input, select, textarea, iframe, video[controls], [tabindex]:not([tabindex="-1"])';
+    const openDialogs = [];
+    let inertElements = [];
+    let scrollY = 0;
+
+    function findDialog(element) {
+        return openDialogs.find(dialog => dialog.element === element) || null;
+    }
+
+    function topDialog() {
+        return openDialogs.length ? openDialogs[openDialogs.length - 1].element : null;
+    }
+
+    // Everything outside the top dialog: the siblings of it and of each of its ancestors
+    function updateInert() {
+        inertElements.forEach(el => { el.inert = false; });
+        inertElements = [];
+
+        const top = topDialog();
+        for (let element = top; element && element !== document.body; element = element.parentElement) {
+            Array.from(element.parentElement.children).forEach(sibling => {
+                if (sibling !== element && !sibling.inert && sibling.tagName !== 'SCRIPT') {
+                    inertElements.push(sibling);
+                }
+            });
+        }
+        inertElements.forEach(el => { el.inert = true; });
+    }
+
+    // overflow: hidden alone doesn't stop iOS Safari scrolling the page, fixing the body does
+    function lockScroll() {
+        scrollY = window.scrollY;
+        Object.assign(document.body.style, { overflow: 'hidden', position: 'fixed', top: `-${scrollY}px`, left: '0', right: '0' });
+    }
+
+    function unlockScroll() {
+        Object.assign(document.body.style, { overflow: '', position: '', top: '', left: '', right: '' });
+        window.scrollTo({ top: scrollY, behavior: 'instant' });
+    }
+
+    function defaultFocusable(element) {
+        return Array.from(element.querySelectorAll(FOCUSABLE))
+            .filter(el => !el.disabled && !el.closest('[hidden], [inert]'));
+    }
+
+    function openDialog(element, options = {}) {
+        if (findDialog(element)) return;
+
+        if (!openDialogs.length) lockScroll();
+        openDialogs.push({
+            element,
+            opener: options.opener || document.activeElement,
+            onEscape: options.onEscape || (() => closeDialog(element)),
+            focusable: options.focusable || (() => defaultFocusable(element))
+        });
+        updateInert();
+    }
+
+    function closeDialog(element, { restoreFocus = true } = {}) {
+        const dialog = findDialog(element);
+        if (!dialog) return;
+
+        // Focus only goes back when the dialog was on top, not from under another one
+        const wasTop = topDialog() === element;
+        openDialogs.splice(openDialogs.indexOf(dialog), 1);
+        updateInert();
+        if (!openDialogs.length) unlockScroll();
+
+        const { opener } = dialog;
+        if (restoreFocus && wasTop && opener && opener.isConnected && typeof opener.focus === 'function') {
+            opener.focus();
+        }
+    }
+
+    function trapFocus(e, dialog) {
+        const focusable = dialog.focusable().filter(Boolean);
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || !focusable.includes(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !focusable.includes(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    document.addEventListener('keydown', (e) => {
+        const dialog = openDialogs[openDialogs.length - 1];
+        if (!dialog) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            dialog.onEscape(e);
+        } else if (e.key === 'Tab') {
+            trapFocus(e, dialog);
+        }
+    });
+
+    window.DMC = {
+        register,
+        init,
+        destroy,
+        getInstance,
+        parseOptions,
+        dialogs: {
+            open: openDialog,
+            close: closeDialog,
+            top: topDialog
+        }
+    };
+
+})();
@@ -0,0 +1,587 @@
+/**
+ * DMC Madeira - Enquiry Form
+ * Multi-step trip enquiry with validation, a session draft and pre-filling from the URL.
+ * Posts JSON to the serverless route in api/enquiry.js, which checks everything again.
+ *
+ * Usage (through the DMC registry, dmc.js):
+ * <form action="/api/enquiry" method="post" novalidate data-enquiry-form>
+ *     <ol data-enquiry-progress><li>Your trip</li><li>Dates</li><li>Contact</li></ol>
+ *     <fieldset data-enquiry-step>
+ *         <legend>Your trip</legend>
+ *         <fieldset data-enquiry-field="type"><legend>..</legend><input type="radio" name="type" required>..</fieldset>
+ *         <button type="button" data-enquiry-next>Next</button>
+ *     </fieldset>
+ *     <fieldset data-enquiry-step hidden>
+ *         <div data-enquiry-field="email"><label>..</label><input type="email" name="email" required></div>
+ *         <button type="button" data-enquiry-back>Back</button> <button type="submit">Send</button>
+ *     </fieldset>
+ *     <input name="website" tabindex="-1" autocomplete="off">  (honeypot, hidden by CSS)
+ *     <p data-enquiry-status role="status"></p>
+ *     <div data-enquiry-success hidden tabindex="-1">Thank you ...</div>
+ * </form>
+ *
+ * Validation uses the controls' own constraints (required, type, min/max, maxlength,
+ * pattern) plus the date rules: arrival from today unless "flexible" is ticked, departure
+ * on or after arrival. Errors are shown in the field's [data-enquiry-field] wrapper and
+ * linked with aria-describedby; the server answers with the same codes.
+ *
+ * The answers are kept in sessionStorage until sent, so a reload or a look at another
+ * page doesn't lose them. Links can pre-fill the form:
+ * contact-us.html?experience=golf#enquiry ticks the "golf" interest (and picks the trip
+ * type in its data-trip-type), ?type=groups picks a trip type. experience may repeat, and
+ * ?adults= and ?message= fill those fields (the My Madeira shortlist uses all three).
+ *
+ * Options:
+ * - endpoint: Where to post (default: the form's action)
+ * - email: Address offered when sending fails (default: travel@dmcmadeira.pt)
+ * - storageKey: sessionStorage key of the draft (default: dmc-enquiry-draft)
+ * - labels: Error and status strings ({min}, {max} and {email} are replaced);
+ *   defaults come from DMCLanguage in the page language, see language.js
+ *
+ * Events, bubbling from the form: `enquiry:step` (with { step, total }), `enquiry:submit`,
+ * `enquiry:sent` and `enquiry:error`, each with { type, interests, experience } (the
+ * ?experience= the visitor arrived with, comma-separated when several, or null). They carry no personal details.
+ */
+
+class DMCEnquiryForm {
+    constructor(element, options = {}) {
+        this.form = typeof element === 'string' ? document.querySelector(element) : element;
+
+        if (!this.form) {
+            console.warn('DMCEnquiryForm: Form element not found');
+            return;
+        }
+
+        this.options = {
+            endpoint: this.form.getAttribute('action') || '/api/enquiry',
+            email: 'travel@dmcmadeira.pt',
+            storageKey: 'dmc-enquiry-draft',
+            ...options,
+            labels: {
+                required: 'Please fill in this field.',
+                choose: 'Please choose an option.',
+                email: 'Please enter a valid e-mail address, like name@example.com.',
+                phone: 'Please enter a valid phone number, with the country code.',
+                date: 'Please enter a valid date.',
+                range: 'Please enter a number from {min} to {max}.',
+                past: 'Please choose a date from today onwards.',
+                order: 'The departure date can\'t be before the arrival date.',
+                consent: 'Please accept the privacy policy so we can answer you.',
+                tooLong: 'Please keep this under {max} characters.',
+                invalid: 'Please check the highlighted fields.',
+                sending: 'Sending your enquiry…',
+                failed: 'We couldn\'t send your enquiry. Please try again, or e-mail us at {email}.',
+                ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('enquiry') : {}),
+                ...(options.labels || {})
+            }
+        };
+
+        this.steps = Array.from(this.form.querySelectorAll('[data-enquiry-step]'));
+        this.progressList = this.form.querySelector('[data-enquiry-progress]');
+        this.progress = this.progressList ? Array.from(this.progressList.children) : [];
+        this.status = this.form.querySelector('[data-enquiry-status]');
+        this.success = this.form.querySelector('[data-enquiry-success]');
+        this.submitBtn = this.form.querySelector('[type="submit"]');
+
+        this.abortController = new AbortController();
+        this.current = 0;
+        this.busy = false;
+        this.sent = false;
+        // Time spent on the form, measured here as the visitor's clock may not match the
+        // server's; a restored draft brings the time spent before the reload
+        this.startedAt = performance.now();
+        this.fillTime = 0;
+        this.experience = null;
+
+        this.form.classList.add('is-enhanced');
+        this.steps.forEach(step => {
+            const legend = step.querySelector('legend');
+            if (legend) legend.setAttribute('tabindex', '-1');
+        });
+
+        this.setMinDates();
+        const draft = this.restoreDraft();
+        this.prefill();
+        this.updateDates();
+
+        this.bindEvents();
+        this.showStep(draft ? Math.min(draft.step || 0, this.steps.length - 1) : 0, { focus: false });
+    }
+
+    // Today as YYYY-MM-DD in the visitor's time zone, the format of <input type="date">
+    static today() {
+        const date = new Date();
+        date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+        return date.toISOString().slice(0, 10);
+    }
+
+    bindEvents() {
+        const { signal } = this.abortController;
+
+        this.form.addEventListener('click', (e) => {
+            if (e.target.closest('[data-enquiry-next]')) {
+                this.next();
+            } else if (e.target.closest('[data-enquiry-back]')) {
+                this.showStep(this.current - 1);
+            }
+        }, { signal });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            // Enter in a text field submits the form; before the last step that means "next"
+            if (this.current < this.steps.length - 1) {
+                this.next();
+            } else {
+                this.submit();
+            }
+        }, { signal });
+
+        ['input', 'change'].forEach(type => {
+            this.form.addEventListener(type, (e) => {
+                const { name } = e.target;
+                if (!name) return;
+
+                if (name === 'arrival' || name === 'flexible') this.updateDates();
+                // Re-check fields already marked, so the message goes as soon as it's fixed
+                const field = this.getField(name);
+                if (field && field.classList.contains('has-error')) this.validateField(name);
+                if (name === 'arrival') {
+                    const departure = this.getField('departure');
+                    if (departure && departure.classList.contains('has-error')) this.validateField('departure');
+                }
+                this.saveDraft();
+            }, { signal });
+        });
+    }
+
+    /**
+     * Steps
+     */
+    showStep(index, { focus = true } = {}) {
+        if (index < 0 || index >= this.steps.length) return;
+        this.current = index;
+
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== index;
+        });
+        this.progress.forEach((item, i) => {
+            item.classList.toggle('is-done', i < index);
+            item.classList.toggle('is-current', i === index);
+            if (i === index) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        if (focus) {
+            const legend = this.steps[index].querySelector('legend');
+            if (legend) legend.focus();
+        }
+
+        this.setStatus('');
+        this.saveDraft();
+        this.emit('step', { step: index + 1, total: this.steps.length, ...this.summary(this.serialize()) });
+    }
+
+    next() {
+        if (this.validateStep(this.current)) {
+            this.showStep(this.current + 1);
+        }
+    }
+
+    /**
+     * Validation
+     */
+    getField(name) {
+        return this.form.querySelector(`[data-enquiry-field="${name}"]`);
+    }
+
+    getControls(name) {
+        return Array.from(this.form.elements).filter(control => control.name === name);
+    }
+
+    // Field names in a step, in document order, once each
+    getNames(step) {
+        return Array.from(step.querySelectorAll('[data-enquiry-field]'))
+            .map(field => field.getAttribute('data-enquiry-field'));
+    }
+
+    // Error code for a field, or null: the same codes api/_lib/enquiry.js returns
+    check(name) {
+        const controls = this.getControls(name);
+        const control = controls[0];
+        if (!control) return null;
+
+        if (control.type === 'radio') {
+            return control.required && !controls.some(c => c.checked) ? 'choose' : null;
+        }
+        if (control.type === 'checkbox') {
+            return control.required && !control.checked ? 'consent' : null;
+        }
+
+        const { validity } = control;
+        if (validity.valueMissing) return 'required';
+        if (validity.badInput) return control.type === 'date' ? 'date' : 'range';
+        if (validity.typeMismatch) return control.type === 'email' ? 'email' : 'invalid';
+        if (validity.patternMismatch) return control.type === 'tel' ? 'phone' : 'invalid';
+        if (validity.tooLong) return 'tooLong';
+        if (control.type === 'date' && validity.rangeUnderflow) {
+            return name === 'departure' ? 'order' : 'past';
+        }
+        if (validity.rangeUnderflow || validity.rangeOverflow || validity.stepMismatch) return 'range';
+        return null;
+    }
+
+    validateField(name) {
+        const code = this.check(name);
+        if (code) {
+            this.showError(name, code);
+        } else {
+            this.clearError(name);
+        }
+        return !code;
+    }
+
+    // Checks every field of a step and focuses the first one that needs attention
+    validateStep(index) {
+        const invalid = this.getNames(this.steps[index]).filter(name => !this.validateField(name));
+        if (!invalid.length) return true;
+
+        this.focusField(invalid[0]);
+        return false;
+    }
+
+    focusField(name) {
+        const controls = this.getControls(name);
+        const control = controls.find(c => c.checked) || controls[0];
+        if (control) control.focus();
+    }
+
+    message(name, code) {
+        const control = this.getControls(name)[0];
+        const attribute = (attr) => (control && control.getAttribute(attr)) || '';
+
+        return (this.options.labels[code] || this.options.labels.invalid)
+            .replace('{min}', attribute('min'))
+            .replace('{max}', attribute(code === 'tooLong' ? 'maxlength' : 'max'));
+    }
+
+    showError(name, code) {
+        const field = this.getField(name);
+        if (!field) return;
+
+        let error = field.querySelector('.enquiry-form__error');
+        if (!error) {
+            error = document.createElement('p');
+            error.className = 'enquiry-form__error';
+            error.id = `${this.form.id || 'enquiry'}-${name}-error`;
+            field.appendChild(error);
+        }
+        error.textContent = this.message(name, code);
+        field.classList.add('has-error');
+
+        // A group (fieldset) is described as a whole, single controls individually
+        const described = field.matches('fieldset') ? [field] : this.getControls(name);
+        described.forEach(el => this.describe(el, error.id, true));
+        this.getControls(name).forEach(control => control.setAttribute('aria-invalid', 'true'));
+    }
+
+    clearError(name) {
+        const field = this.getField(name);
+        if (!field) return;
+
+        const error = field.querySelector('.enquiry-form__error');
+        if (error) {
+            [field, ...this.getControls(name)].forEach(el => this.describe(el, error.id, false));
+            error.remove();
+        }
+        field.classList.remove('has-error');
+        this.getControls(name).forEach(control => control.removeAttribute('aria-invalid'));
+    }
+
+    // Adds or removes an id in aria-describedby, keeping any hint already there
+    describe(element, id, add) {
+        const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(value => value && value !== id);
+        if (add) ids.push(id);
+
+        if (ids.length) {
+            element.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            element.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * Dates: arrival from today and required unless flexible, departure from arrival
+     */
+    setMinDates() {
+        const arrival = this.getControls('arrival')[0];
+        if (arrival) arrival.min = DMCEnquiryForm.today();
+    }
+
+    updateDates() {
+        const [arrival] = this.getControls('arrival');
+        const [departure] = this.getControls('departure');
+        const [flexible] = this.getControls('flexible');
+
+        if (arrival && flexible) {
+            arrival.required = !flexible.checked;
+            if (flexible.checked) this.clearError('arrival');
+        }
+        if (arrival && departure) {
+            departure.min = arrival.value || arrival.min;
+        }
+    }
+
+    /**
+     * Values, draft and pre-filling
+     */
+    serialize() {
+        const data = {};
+
+        Array.from(this.form.elements).forEach(control => {
+            const { name, type } = control;
+            if (!name || control.disabled) return;
+
+            if (type === 'radio') {
+                if (control.checked) data[name] = control.value;
+            } else if (type === 'checkbox') {
+                if (this.getControls(name).length > 1) {
+                    data[name] = data[name] || [];
+                    if (control.checked) data[name].push(control.value);
+                } else {
+                    data[name] = control.checked;
+                }
+            } else if (control.tagName !== 'BUTTON' && control.tagName !== 'FIELDSET') {
+                data[name] = control.value;
+            }
+        });
+
+        return data;
+    }
+
+    setValue(name, value) {
+        this.getControls(name).forEach(control => {
+            if (control.type === 'radio') {
+                control.checked = control.value === value;
+            } else if (control.type === 'checkbox') {
+                control.checked = Array.isArray(value) ? value.includes(control.value) : !!value;
+            } else if (control.type !== 'hidden' && typeof value === 'string') {
+                control.value = value;
+            }
+        });
+    }
+
+    saveDraft() {
+        if (this.sent) return;
+
+        const values = this.serialize();
+        delete values.website;
+
+        try {
+            sessionStorage.setItem(this.options.storageKey, JSON.stringify({
+                step: this.current,
+                values,
+                fillTime: this.elapsed()
+            }));
+        } catch (error) {
+            // Storage blocked or full: the form works, it just won't survive a reload
+        }
+    }
+
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(sessionStorage.getItem(this.options.storageKey));
+        } catch (error) {
+            draft = null;
+        }
+        if (!draft || typeof draft.values !== 'object') return null;
+
+        if (Number(draft.fillTime) > 0) this.fillTime = Number(draft.fillTime);
+        Object.keys(draft.values).forEach(name => {
+            if (name !== 'website') this.setValue(name, draft.values[name]);
+        });
+        return draft;
+    }
+
+    // Milliseconds spent filling in the form, across reloads of the draft
+    elapsed() {
+        return Math.round(this.fillTime + performance.now() - this.startedAt);
+    }
+
+    clearDraft() {
+        try {
+            sessionStorage.removeItem(this.options.storageKey);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+
+    prefill() {
+        const params = new URLSearchParams(window.location.search);
+        const types = this.getControls('type');
+        const pick = (value) => {
+            const radio = types.find(control => control.value === value);
+            if (radio) radio.checked = true;
+        };
+
+        const experiences = params.getAll('experience');
+        const interests = this.getControls('interests').filter(control => experiences.includes(control.value));
+        interests.forEach(interest => {
+            interest.checked = true;
+            if (interest.dataset.tripType && !types.some(control => control.checked)) {
+                pick(interest.dataset.tripType);
+            }
+        });
+        if (interests.length) this.experience = interests.map(control => control.value).join(',');
+
+        if (params.get('type')) pick(params.get('type'));
+
+        ['adults', 'message'].forEach(name => {
+            const value = params.get(name);
+            if (value) this.setValue(name, value);
+        });
+    }
+
+    /**
+     * Sending
+     */
+    async submit() {
+        if (this.busy) return;
+
+        const invalid = this.steps.findIndex((step, index) => !this.validateStep(index));
+        if (invalid !== -1) {
+            if (invalid !== this.current) {
+                this.showStep(invalid, { focus: false });
+                this.validateStep(invalid);
+            }
+            this.setStatus(this.options.labels.invalid);
+            return;
+        }
+
+        const data = {
+            ...this.serialize(),
+            fillTime: this.elapsed(),
+            lang: typeof DMCLanguage !== 'undefined' ? DMCLanguage.current() : 'en'
+        };
+
+        this.setBusy(true);
+        this.setStatus(this.options.labels.sending);
+        this.emit('submit', this.summary(data));
+
+        try {
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify(data)
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (response.ok && result.ok) {
+                this.done(data);
+            } else if (response.status === 422 && result.errors) {
+                this.showServerErrors(result.errors);
+            } else {
+                throw new Error(`Enquiry endpoint answered ${response.status}`);
+            }
+        } catch (error) {
+            console.warn('DMCEnquiryForm:', error);
+            this.fail(data);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    showServerErrors(errors) {
+        const names = Object.keys(errors);
+        names.forEach(name => this.showError(name, errors[name]));
+
+        const step = this.steps.findIndex(s => names.some(name => s.contains(this.getField(name))));
+        if (step !== -1 && step !== this.current) this.showStep(step, { focus: false });
+        this.setStatus(this.options.labels.invalid);
+
+        const first = this.getNames(this.steps[this.current]).find(name => names.includes(name));
+        if (first) this.focusField(first);
+    }
+
+    done(data) {
+        this.sent = true;
+        this.clearDraft();
+        this.setStatus('');
+
+        this.steps.forEach(step => {
+            step.hidden = true;
+        });
+        if (this.progressList) this.progressList.hidden = true;
+
+        if (this.success) {
+            this.success.hidden = false;
+            this.success.focus();
+        }
+        this.emit('sent', this.summary(data));
+    }
+
+    fail(data) {
+        const { email } = this.options;
+        const [before, after] = this.options.labels.failed.split('{email}');
+        const link = document.createElement('a');
+        link.href = `mailto:${email}`;
+        link.textContent = email;
+
+        this.setStatus('');
+        if (this.status) {
+            this.status.append(before, ...(after !== undefined ? [link, after] : []));
+            this.status.classList.add('is-error');
+        }
+        this.emit('error', this.summary(data));
+    }
+
+    setBusy(busy) {
+        this.busy = busy;
+        this.form.setAttribute('aria-busy', String(busy));
+        if (this.submitBtn) this.submitBtn.disabled = busy;
+    }
+
+    setStatus(text) {
+        if (!this.status) return;
+        this.status.textContent = text;
+        this.status.classList.toggle('is-error', text === this.options.labels.invalid);
+    }
+
+    summary(data) {
+        return { type: data.type, interests: data.interests || [], experience: this.experience };
+    }
+
+    emit(event, detail) {
+        this.form.dispatchEvent(new CustomEvent(`enquiry:${event}`, {
+            bubbles: true,
+            detail
+        }));
+    }
+
+    destroy() {
+        this.abortController.abort();
+        this.form.classList.remove('is-enhanced');
+        this.form.removeAttribute('aria-busy');
+        this.steps.forEach(step => {
+            step.hidden = false;
+        });
+        this.getNames(this.form).forEach(name => this.clearError(name));
+    }
+}
+
+// Register with the component registry so [data-enquiry-form] markup initialises itself
+if (typeof DMC !== 'undefined') {
+    DMC.register('enquiryForm', {
+        attribute: 'data-enquiry-form',
+        create: (element, options) => new DMCEnquiryForm(element, options),
+        destroy: (form) => form.destroy()
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMCEnquiryForm;
+}
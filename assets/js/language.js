@@ -0,0 +1,340 @@
+/**
+ * DMC Madeira - Language
+ * Remembers the visitor's EN/PT choice, suggests Portuguese to browsers that prefer it,
+ * and holds the strings the shared scripts generate (button labels, counters, prompts).
+ *
+ * Loaded before the components, initialised from main.js:
+ * <script src="assets/js/language.js"></script>
+ *
+ * - The page language comes from <html lang> ("en" or "pt-PT").
+ * - Clicking a language switcher link (a[hreflang] in the header, mobile menu or footer)
+ *   stores that language as the visitor's choice and keeps the query and hash, as long
+ *   as the link goes to the same page in the other language.
+ * - On a first visit, when navigator.languages ranks Portuguese above English (or a
+ *   stored choice differs from the page), a dismissible prompt offers the other version.
+ *   Nothing redirects on its own.
+ * - A page only counts as translated when it has a <link rel="alternate" hreflang="..">
+ *   for the other language; otherwise the switchers lead to that language's home page
+ *   (see scripts/lib/partials.js) and the prompt says so.
+ *
+ * Strings: components keep their English defaults and merge DMCLanguage.strings(name)
+ * over them, so a page in another language only needs an entry here. consent.js keeps
+ * its own strings because it runs in <head>, before this file loads.
+ *
+ * API:
+ * DMCLanguage.current()             -> 'en' or 'pt'
+ * DMCLanguage.t('language.stay')    -> string in the page language, {name} replaced from values
+ * DMCLanguage.strings('carousel')   -> every string of a component, for its labels option
+ * DMCLanguage.preferred()           -> stored choice, else the browser's preference
+ * DMCLanguage.remember('pt')        -> stores a choice
+ * DMCLanguage.switchTo('pt')        -> remembers it and opens this page in that language
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'dmc-language';
+    const PROMPT_KEY = 'dmc-language-prompt';
+    const LANGUAGES = ['en', 'pt'];
+
+    const STRINGS = {
+        en: {
+            language: {
+                label: 'Language',
+                available: 'This page is also available in English.',
+                home: 'Our website is also available in English.',
+                switch: 'View in English',
+                stay: 'Stay in Portuguese',
+                close: 'Close'
+            }
+        },
+        pt: {
+            language: {
+                label: 'Idioma',
+                available: 'Esta página também está disponível em português.',
+                home: 'O nosso site também está disponível em português.',
+                switch: 'Ver em português',
+                stay: 'Continuar em inglês',
+                close: 'Fechar'
+            },
+            carousel: {
+                prev: 'Slide anterior',
+                next: 'Slide seguinte',
+                slide: '{current} de {total}',
+                status: 'Slide {current} de {total}',
+                dot: 'Ir para o slide {current}',
+                play: 'Iniciar a apresentação automática',
+                pause: 'Parar a apresentação automática'
+            },
+            marquee: {
+                play: 'Retomar o movimento',
+                pause: 'Parar o movimento'
+            },
+            lightbox: {
+                dialog: 'Visualizador de imagens',
+                dot: 'Ver imagem {current}',
+                status: 'Imagem {current} de {total}'
+            },
+            video: {
+                play: 'Reproduzir vídeo',
+                close: 'Fechar vídeo',
+                dialog: 'Vídeo',
+                consent: 'Este vídeo está alojado no {provider}, que pode definir os seus próprios cookies.',
+                load: 'Carregar vídeo',
+                always: 'Carregar sempre os vídeos'
+            },
+            articles: {
+                count: '{count} artigos',
+                countOne: '1 artigo',
+                page: 'Página {page}'
+            },
+            enquiry: {
+                required: 'Preencha este campo.',
+                choose: 'Escolha uma opção.',
+                email: 'Indique um e-mail válido, como nome@exemplo.com.',
+                phone: 'Indique um número de telefone válido, com o indicativo do país.',
+                date: 'Indique uma data válida.',
+                range: 'Indique um número entre {min} e {max}.',
+                past: 'Escolha uma data a partir de hoje.',
+                order: 'A data de partida não pode ser anterior à data de chegada.',
+                consent: 'Aceite a política de privacidade para lhe podermos responder.',
+                tooLong: 'Use menos de {max} caracteres.',
+                invalid: 'Verifique os campos assinalados.',
+                sending: 'A enviar o seu pedido…',
+                failed: 'Não foi possível enviar o seu pedido. Tente novamente ou envie-nos um e-mail para {email}.'
+            },
+            whatsapp: {
+                morning: 'Estamos fora do horário de expediente. Envie-nos uma mensagem e respondemos de manhã.',
+                later: 'Estamos fora do horário de expediente. Envie-nos uma mensagem e respondemos no próximo dia útil.',
+                title: 'Fale connosco no WhatsApp',
+                scan: 'Leia o código com o telemóvel para continuar a conversa lá.',
+                qr: 'Código QR da nossa conversa no WhatsApp',
+                web: 'Abrir o WhatsApp Web',
+                email: 'Enviar um e-mail',
+                close: 'Fechar'
+            },
+            shortlist: {
+                title: 'A Minha Madeira',
+                save: 'Guardar em A Minha Madeira',
+                count: '{count} guardadas',
+                countOne: '1 guardada',
+                close: 'Fechar',
+                intro: 'Indique quantas pessoas viajam e acrescente notas; depois envie a lista à nossa equipa num só pedido.',
+                empty: 'Ainda não guardou nada. Use "Guardar em A Minha Madeira" em qualquer experiência para a juntar aqui.',
+                travellers: 'Viajantes',
+                notes: 'Notas',
+                remove: 'Remover {title}',
+                enquire: 'Enviar como pedido',
+                email: 'E-mail',
+                whatsapp: 'WhatsApp',
+                share: 'Copiar link',
+                copied: 'Link copiado. Quem o abrir recebe estas experiências na sua própria lista.',
+                copyFailed: 'Copie este link para partilhar a lista:',
+                print: 'Imprimir',
+                imported: 'As experiências partilhadas foram adicionadas à sua lista.',
+                summary: 'Lista A Minha Madeira',
+                printed: 'Impresso a {date} em www.dmcmadeira.pt'
+            },
+            search: {
+                open: 'Pesquisar',
+                label: 'Pesquisar no site',
+                placeholder: 'Pesquise experiências, locais, artigos…',
+                close: 'Fechar a pesquisa',
+                results: 'Resultados',
+                loading: 'A carregar…',
+                failed: 'A pesquisa não está disponível de momento. Tente novamente mais tarde.',
+                none: 'Sem resultados para "{query}".',
+                count: '{count} resultados',
+                countOne: '1 resultado',
+                hint: 'Use as setas para percorrer os resultados e Enter para abrir um.'
+            }
+        }
+    };
+
+    let prompt = null;
+
+    function normalize(lang) {
+        return (lang || '').slice(0, 2).toLowerCase();
+    }
+
+    function current() {
+        const lang = normalize(document.documentElement.lang);
+        return LANGUAGES.includes(lang) ? lang : 'en';
+    }
+
+    function lookup(lang, key) {
+        return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), STRINGS[lang]);
+    }
+
+    function format(text, values) {
+        return String(text).replace(/\{(\w+)\}/g, (all, name) => (
+            values && values[name] !== undefined ? values[name] : all
+        ));
+    }
+
+    // Missing translations fall back to English, then to the key itself
+    function t(key, values, lang = current()) {
+        const text = lookup(lang, key);
+        return format(text !== undefined ? text : (lookup('en', key) ?? key), values);
+    }
+
+    function strings(name, lang = current()) {
+        return { ...(STRINGS.en[name] || {}), ...(STRINGS[lang][name] || {}) };
+    }
+
+    /**
+     * Preference
+     */
+    function stored() {
+        try {
+            const lang = localStorage.getItem(STORAGE_KEY);
+            return LANGUAGES.includes(lang) ? lang : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function remember(lang) {
+        try {
+            localStorage.setItem(STORAGE_KEY, lang);
+        } catch (error) {
+            // Storage blocked: the switcher links still work, the choice just isn't kept
+        }
+    }
+
+    // The first of our languages in the browser's list, so "pt-BR, en" counts as Portuguese
+    function browserPreference() {
+        const languages = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+        const match = languages.map(normalize).find(lang => LANGUAGES.includes(lang));
+        return match || null;
+    }
+
+    function preferred() {
+        return stored() || browserPreference();
+    }
+
+    /**
+     * Links to the other language
+     */
+    function hasTranslation(lang) {
+        return !!document.querySelector(`link[rel="alternate"][hreflang="${lang}"]`);
+    }
+
+    function switcherLink(lang) {
+        return document.querySelector(`a[hreflang="${lang}"]`);
+    }
+
+    // The switcher's target with this page's query and hash, when it is the same page
+    function targetUrl(href, lang) {
+        const url = new URL(href, window.location.href);
+        if (hasTranslation(lang)) {
+            url.search = window.location.search;
+            url.hash = window.location.hash;
+        }
+        return url.href;
+    }
+
+    function switchTo(lang) {
+        remember(lang);
+        if (lang === current()) return;
+
+        const link = switcherLink(lang);
+        if (link) window.location.href = targetUrl(link.getAttribute('href'), lang);
+    }
+
+    function bindSwitchers() {
+        document.querySelectorAll('a[hreflang]').forEach(link => {
+            const lang = normalize(link.getAttribute('hreflang'));
+            if (!LANGUAGES.includes(lang)) return;
+
+            link.addEventListener('click', (e) => {
+                remember(lang);
+                if (lang === current() || e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+
+                e.preventDefault();
+                window.location.href = targetUrl(link.getAttribute('href'), lang);
+            });
+        });
+    }
+
+    /**
+     * Suggestion prompt, written in the language it offers
+     */
+    function promptDismissed() {
+        try {
+            return sessionStorage.getItem(PROMPT_KEY) === 'dismissed';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function dismissPrompt() {
+        try {
+            sessionStorage.setItem(PROMPT_KEY, 'dismissed');
+        } catch (error) {
+            // Storage blocked: the prompt may show again on the next page
+        }
+        hidePrompt();
+    }
+
+    function hidePrompt() {
+        if (!prompt) return;
+        prompt.remove();
+        prompt = null;
+    }
+
+    function showPrompt(lang) {
+        const link = switcherLink(lang);
+        if (!link || prompt) return;
+
+        const text = (key) => t(`language.${key}`, null, lang);
+
+        prompt = document.createElement('div');
+        prompt.className = 'language-prompt';
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-label', text('label'));
+        prompt.setAttribute('lang', lang);
+        prompt.innerHTML = `
+            <p class="language-prompt__text">${text(hasTranslation(lang) ? 'available' : 'home')}</p>
+            <div class="language-prompt__buttons">
+                <a class="cookie-banner__btn cookie-banner__btn--accept language-prompt__btn"
+                    href="${targetUrl(link.getAttribute('href'), lang)}" hreflang="${lang}">${text('switch')}</a>
+                <button type="button" class="cookie-banner__btn cookie-banner__btn--reject language-prompt__btn"
+                    data-language-stay>${text('stay')}</button>
+            </div>
+            <button type="button" class="language-prompt__close" aria-label="${text('close')}">&times;</button>`;
+
+        prompt.querySelector('a').addEventListener('click', () => remember(lang));
+        prompt.querySelector('[data-language-stay]').addEventListener('click', () => {
+            remember(current());
+            hidePrompt();
+        });
+        prompt.querySelector('.language-prompt__close').addEventListener('click', dismissPrompt);
+        prompt.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') dismissPrompt();
+        });
+
+        document.body.appendChild(prompt);
+    }
+
+    function init() {
+        bindSwitchers();
+
+        const lang = preferred();
+        if (lang && lang !== current() && !promptDismissed()) {
+            showPrompt(lang);
+        }
+    }
+
+    window.DMCLanguage = {
+        current,
+        t,
+        strings,
+        preferred,
+        remember,
+        switchTo,
+        init
+    };
+})();
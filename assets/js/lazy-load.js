@@ -1,189 +1,276 @@
 /**
  * DMC Madeira - Image Lazy Loading
- * Implements lazy loading for images using Intersection Observer API
- * 
- * Usage:
- * - All images with data-src attribute will be lazy loaded
- * - Add class "no-lazy" to exclude images from lazy loading
- * - Hero/above-the-fold images should use "no-lazy" class
+ * Defers offscreen images and backgrounds without layout shift or double downloads.
+ *
+ * Markup:
+ * - Plain images: <img src="photo.webp" loading="lazy" width="800" height="600" alt="..">
+ *   The browser's own lazy loading does the work. The script never touches src; it only
+ *   fades the image in (or sharpens its placeholder) and retries it if it fails.
+ * - Deferred images, for when the browser mustn't see the URLs up front:
+ *   <img data-src="photo.webp" data-srcset="photo-800.webp 800w, .." data-sizes="100vw"
+ *       width="800" height="600" alt="..">
+ *   The URLs are set once the image nears the viewport, or straight away when it also
+ *   has loading="lazy" and the browser supports it.
+ * - <picture>: give the <source>s data-srcset (and data-sizes) like the <img>; they
+ *   are swapped in together, sources first.
+ * - Backgrounds: <div data-bg="photo.webp"> gets its background-image near the viewport.
+ * - Heroes and anything else above the fold: a plain src with fetchpriority="high" (or the
+ *   no-lazy class). Deferred markup on these loads at once.
+ *
+ * Space: width and height attributes let the browser reserve the box before the image
+ * arrives (base.css keeps height: auto). scripts/build-images.js writes them for every
+ * local image; where the size isn't known, data-aspect-ratio="4/3" does the same. Only
+ * images with a reserved box fade in, the rest show as soon as the browser has them.
+ *
+ * Placeholders: data-placeholder="data:image/webp;base64,.." (a tiny version of the image)
+ * shows, blurred, until the image has loaded.
+ *
+ * Errors: a failed image or background is retried after 1s and again after 4s, then
+ * marked `is-error` (the alt text shows on a plain background).
+ *
+ * Images added later (carousels, article lists) are picked up by a MutationObserver.
+ * DMCLazyLoad.refresh(root) scans again explicitly; DMCLazyLoad.load(element) loads one
+ * deferred image or background now.
  */
 
 (function() {
     'use strict';
 
-    // Configuration
     const config = {
-        rootMargin: '50px 0px', // Start loading 50px before image enters viewport
-        threshold: 0.01,         // Trigger when 1% of image is visible
-        fadeInDuration: 400      // Fade-in animation duration in ms
+        rootMargin: '200px 0px', // Start loading 200px before an image enters the viewport
+        retryDelays: [1000, 4000]
     };
 
-    // CSS for lazy loading effects
-    const lazyStyles = `
-        .lazy-image {
-            opacity: 0;
-            transition: opacity ${config.fadeInDuration}ms ease-in-out;
-        }
-        .lazy-image.loaded {
-            opacity: 1;
-        }
-        .lazy-image.error {
-            opacity: 1;
+    const SELECTOR = 'img, [data-bg]';
+    const supportsNativeLazyLoading = 'loading' in HTMLImageElement.prototype;
+
+    const processed = new WeakSet();
+    const retries = new WeakMap();
+    let observer = null;
+
+    function isPriority(element) {
+        return element.getAttribute('fetchpriority') === 'high' || element.classList.contains('no-lazy');
+    }
+
+    function reserveSpace(element) {
+        const ratio = element.getAttribute('data-aspect-ratio');
+        if (ratio && !element.style.aspectRatio) {
+            element.style.aspectRatio = ratio.replace(':', '/');
         }
-    `;
+    }
+
+    function showPlaceholder(element) {
+        const placeholder = element.getAttribute('data-placeholder');
+        if (!placeholder) return;
 
-    // Inject styles
-    function injectStyles() {
-        const styleSheet = document.createElement('style');
-        styleSheet.textContent = lazyStyles;
-        document.head.appendChild(styleSheet);
+        element.style.backgroundImage = `url("${placeholder}")`;
+        element.classList.add('has-placeholder');
     }
 
-    // Check if native lazy loading is supported
-    const supportsNativeLazyLoading = 'loading' in HTMLImageElement.prototype;
+    function clearPlaceholder(element) {
+        if (!element.classList.contains('has-placeholder')) return;
 
-    // Initialize lazy loading
-    function initLazyLoading() {
-        injectStyles();
-
-        // Get all images that should be lazy loaded
-        const images = document.querySelectorAll('img:not(.no-lazy):not([data-lazy-processed])');
-        const sources = document.querySelectorAll('source:not([data-lazy-processed])');
-
-        // Skip if no images found
-        if (images.length === 0 && sources.length === 0) return;
-
-        // Process sources in picture elements first
-        sources.forEach(source => {
-            const picture = source.closest('picture');
-            const img = picture ? picture.querySelector('img') : null;
-            
-            // Skip if the associated image has no-lazy class
-            if (img && img.classList.contains('no-lazy')) {
-                source.setAttribute('data-lazy-processed', 'true');
-                return;
-            }
+        element.classList.remove('has-placeholder');
+        element.style.backgroundImage = '';
+    }
 
-            // Store original srcset and remove it
-            if (source.srcset) {
-                source.setAttribute('data-srcset', source.srcset);
-                source.removeAttribute('srcset');
-            }
-            source.setAttribute('data-lazy-processed', 'true');
+    // Moves data-sizes, data-srcset and data-src into place, in the order browsers want them
+    function applySources(element) {
+        ['sizes', 'srcset', 'src'].forEach(attribute => {
+            const value = element.getAttribute(`data-${attribute}`);
+            if (value === null) return;
+
+            element.setAttribute(attribute, value);
+            element.removeAttribute(`data-${attribute}`);
         });
+    }
 
-        // Process images
-        const lazyImages = [];
-        images.forEach(img => {
-            // Skip already processed or excluded images
-            if (img.classList.contains('no-lazy')) {
-                img.setAttribute('data-lazy-processed', 'true');
-                return;
-            }
+    function pictureOf(img) {
+        return img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    }
 
-            // Store original src and srcset
-            if (img.src) {
-                img.setAttribute('data-src', img.src);
-                // Use a transparent placeholder
-                img.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1"%3E%3C/svg%3E';
-            }
-            if (img.srcset) {
-                img.setAttribute('data-srcset', img.srcset);
-                img.removeAttribute('srcset');
-            }
+    function isDeferred(img) {
+        if (img.hasAttribute('data-src') || img.hasAttribute('data-srcset')) return true;
+
+        const picture = pictureOf(img);
+        return !!(picture && picture.querySelector('source[data-srcset]'));
+    }
+
+    /**
+     * Images
+     */
+    function setupImage(img) {
+        const deferred = isDeferred(img);
+        // Nothing to load yet, like the lightbox's empty <img>
+        if (!deferred && !img.getAttribute('src') && !img.getAttribute('srcset')) return;
+
+        reserveSpace(img);
 
+        // Already loaded before the script ran
+        if (!deferred && img.complete && img.naturalWidth) return;
+
+        // Heroes paint as soon as they can: no fade, no placeholder
+        if (!isPriority(img)) {
             img.classList.add('lazy-image');
-            img.setAttribute('data-lazy-processed', 'true');
-            lazyImages.push(img);
-        });
+            showPlaceholder(img);
+        }
+        img.addEventListener('load', () => loaded(img));
+        img.addEventListener('error', () => failed(img));
 
-        // Use Intersection Observer if supported
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries, observer) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        loadImage(entry.target);
-                        observer.unobserve(entry.target);
-                    }
-                });
-            }, {
-                rootMargin: config.rootMargin,
-                threshold: config.threshold
-            });
+        if (!deferred) {
+            // Already failed before the script ran
+            if (img.complete) failed(img);
+            return;
+        }
 
-            lazyImages.forEach(img => imageObserver.observe(img));
+        const native = supportsNativeLazyLoading && img.getAttribute('loading') === 'lazy';
+        if (isPriority(img) || native || !observer) {
+            loadImage(img);
         } else {
-            // Fallback for older browsers - load all images immediately
-            lazyImages.forEach(img => loadImage(img));
+            observer.observe(img);
         }
     }
 
-    // Load a single image
     function loadImage(img) {
-        const picture = img.closest('picture');
-
-        // Load sources first (for picture element)
-        if (picture) {
-            const sources = picture.querySelectorAll('source[data-srcset]');
-            sources.forEach(source => {
-                source.srcset = source.getAttribute('data-srcset');
-                source.removeAttribute('data-srcset');
-            });
+        const picture = pictureOf(img);
+        if (picture) picture.querySelectorAll('source').forEach(applySources);
+        applySources(img);
+    }
+
+    function loaded(img) {
+        retries.delete(img);
+        img.classList.remove('is-error');
+        img.classList.add('is-loaded');
+        clearPlaceholder(img);
+    }
+
+    function failed(img) {
+        const attempt = retries.get(img) || 0;
+
+        if (attempt < config.retryDelays.length) {
+            retries.set(img, attempt + 1);
+            setTimeout(() => {
+                // Setting the same URLs again makes the browser fetch them again
+                const picture = pictureOf(img);
+                const elements = picture ? [...picture.querySelectorAll('source'), img] : [img];
+                elements.forEach(element => {
+                    ['srcset', 'src'].forEach(attribute => {
+                        const value = element.getAttribute(attribute);
+                        if (value !== null) element.setAttribute(attribute, value);
+                    });
+                });
+            }, config.retryDelays[attempt]);
+            return;
         }
 
-        // Create a temporary image to preload
-        const tempImg = new Image();
-        
-        tempImg.onload = function() {
-            // Restore srcset first
-            if (img.hasAttribute('data-srcset')) {
-                img.srcset = img.getAttribute('data-srcset');
-                img.removeAttribute('data-srcset');
-            }
-            // Then restore src
-            if (img.hasAttribute('data-src')) {
-                img.src = img.getAttribute('data-src');
-                img.removeAttribute('data-src');
-            }
-            img.classList.add('loaded');
-        };
+        img.classList.add('lazy-image', 'is-error');
+        clearPlaceholder(img);
+    }
 
-        tempImg.onerror = function() {
-            // On error, still try to load the image
-            if (img.hasAttribute('data-src')) {
-                img.src = img.getAttribute('data-src');
-                img.removeAttribute('data-src');
+    /**
+     * Backgrounds
+     */
+    function setupBackground(element) {
+        reserveSpace(element);
+        showPlaceholder(element);
+        element.classList.add('lazy-background');
+
+        if (isPriority(element) || !observer) {
+            loadBackground(element);
+        } else {
+            observer.observe(element);
+        }
+    }
+
+    // Fetched through an Image first, so the swap happens once the file is in the cache
+    function loadBackground(element) {
+        const url = element.getAttribute('data-bg');
+        if (!url) return;
+
+        const image = new Image();
+        image.onload = () => {
+            retries.delete(element);
+            clearPlaceholder(element);
+            element.style.backgroundImage = `url("${url}")`;
+            element.removeAttribute('data-bg');
+            element.classList.add('is-loaded');
+        };
+        image.onerror = () => {
+            const attempt = retries.get(element) || 0;
+            if (attempt < config.retryDelays.length) {
+                retries.set(element, attempt + 1);
+                setTimeout(() => loadBackground(element), config.retryDelays[attempt]);
+            } else {
+                element.classList.add('is-error');
             }
-            img.classList.add('loaded', 'error');
         };
+        image.src = url;
+    }
+
+    /**
+     * Scanning
+     */
+    function setup(element) {
+        if (processed.has(element)) return;
+        processed.add(element);
+
+        if (element.tagName === 'IMG') {
+            setupImage(element);
+        } else {
+            setupBackground(element);
+        }
+    }
 
-        // Start loading
-        if (img.hasAttribute('data-srcset')) {
-            tempImg.srcset = img.getAttribute('data-srcset');
+    function refresh(root = document) {
+        const elements = Array.from(root.querySelectorAll ? root.querySelectorAll(SELECTOR) : []);
+        if (root.matches && root.matches(SELECTOR)) {
+            elements.unshift(root);
         }
-        if (img.hasAttribute('data-src')) {
-            tempImg.src = img.getAttribute('data-src');
+        elements.forEach(setup);
+    }
+
+    function load(element) {
+        if (observer) observer.unobserve(element);
+
+        if (element.tagName === 'IMG') {
+            loadImage(element);
+        } else {
+            loadBackground(element);
+        }
+    }
+
+    function init() {
+        if ('IntersectionObserver' in window) {
+            observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) load(entry.target);
+                });
+            }, { rootMargin: config.rootMargin });
+        }
+
+        refresh();
+
+        if ('MutationObserver' in window) {
+            new MutationObserver((records) => {
+                records.forEach(record => {
+                    record.addedNodes.forEach(node => {
+                        if (node.nodeType === Node.ELEMENT_NODE) refresh(node);
+                    });
+                });
+            }).observe(document.body, { childList: true, subtree: true });
         }
     }
 
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initLazyLoading);
+        document.addEventListener('DOMContentLoaded', init);
     } else {
-        // DOM is already ready
-        initLazyLoading();
+        init();
     }
 
-    // Also handle dynamically added images
-    // Re-run initialization after page is fully loaded (for any late additions)
-    window.addEventListener('load', function() {
-        setTimeout(initLazyLoading, 100);
-    });
-
-    // Expose a global function to manually trigger lazy loading on new content
     window.DMCLazyLoad = {
-        refresh: initLazyLoading
+        refresh,
+        load
     };
 
 })();
-
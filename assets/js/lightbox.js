@@ -0,0 +1,566 @@
+/**
+ * DMC Madeira - Lightbox
+ * One accessible image viewer shared by every gallery on the site.
+ *
+ * Usage (through the DMC registry, dmc.js):
+ * <button data-lightbox="gallery" data-lightbox-src="photo-large.webp">...</button>
+ *
+ * - Triggers with the same data-lightbox value form one gallery, in document order.
+ *   Triggers that aren't buttons or links are made focusable and keyboard operable.
+ * - The image shown is the trigger's own <img>, or the one in its closest <figure>.
+ *   Full-size sources come from data-lightbox-src / data-lightbox-srcset on the trigger,
+ *   falling back to the thumbnail. The caption comes from data-lightbox-caption, the
+ *   figure's <figcaption> or the image alt text.
+ * - The page provides the dialog once: <div class="lightbox" data-lightbox-dialog>
+ *   containing .lightbox__close, .lightbox__nav--prev/--next, .lightbox__image,
+ *   .lightbox__caption, .lightbox__dots and .lightbox__counter. Its strings come from
+ *   DMCLanguage in the page language (language.js) and can be overridden in the
+ *   attribute value: data-lightbox-dialog='{"labels": {"dot": "..."}}'.
+ *
+ * Keyboard: Arrow keys, Home and End change image, Escape closes, Tab stays inside
+ * the dialog and focus returns to the trigger on close.
+ * Touch: swipe to change image, pinch to zoom and drag to pan while zoomed.
+ *
+ * Deep links: #<gallery>-<n> opens image n of that gallery (e.g. #gallery-3). The hash
+ * follows the current image while open and is put back on close.
+ *
+ * Events: `lightbox:open`, `lightbox:change` and `lightbox:close` bubble from the
+ * dialog with { gallery, index, total, src }.
+ */
+
+// Attributes a trigger may get from attach(), removed again by its destroy()
+const DMC_LIGHTBOX_TRIGGER_ATTRIBUTES = ['role', 'tabindex', 'aria-haspopup'];
+
+class DMCLightbox {
+    constructor(dialog, options = {}) {
+        this.dialog = dialog;
+        this.labels = {
+            dialog: 'Image viewer',
+            dot: 'Show image {current}',
+            counter: '{current}/{total}',
+            status: 'Image {current} of {total}',
+            ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('lightbox') : {}),
+            ...(options.labels || {})
+        };
+
+        this.image = dialog.querySelector('.lightbox__image');
+        this.caption = dialog.querySelector('.lightbox__caption');
+        this.closeBtn = dialog.querySelector('.lightbox__close');
+        this.prevBtn = dialog.querySelector('.lightbox__nav--prev');
+        this.nextBtn = dialog.querySelector('.lightbox__nav--next');
+        this.dots = dialog.querySelector('.lightbox__dots');
+        this.counter = dialog.querySelector('.lightbox__counter');
+
+        this.gallery = null;
+        this.items = [];
+        this.currentIndex = 0;
+        this.previousHash = '';
+        this.preloaded = new Set();
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.touch = null;
+        this.pinch = null;
+
+        this.setupAccessibility();
+        this.bindEvents();
+    }
+
+    // The dialog instance for this page, created on first use
+    static getInstance() {
+        if (DMCLightbox.instance && DMCLightbox.instance.dialog.isConnected) {
+            return DMCLightbox.instance;
+        }
+
+        const dialog = document.querySelector('[data-lightbox-dialog]');
+        if (!dialog) {
+            console.warn('DMCLightbox: No [data-lightbox-dialog] element on this page');
+            return null;
+        }
+
+        const options = typeof DMC !== 'undefined'
+            ? DMC.parseOptions(dialog, 'data-lightbox-dialog')
+            : {};
+        DMCLightbox.instance = new DMCLightbox(dialog, options);
+        return DMCLightbox.instance;
+    }
+
+    // Add a trigger to a gallery. Returns a handle whose destroy() removes it again.
+    static attach(trigger, gallery) {
+        if (!gallery) return null;
+
+        const controller = new AbortController();
+        const { signal } = controller;
+        const added = DMC_LIGHTBOX_TRIGGER_ATTRIBUTES.filter(name => !trigger.hasAttribute(name));
+        const isNative = trigger.matches('button, a[href]');
+
+        if (!isNative) {
+            trigger.setAttribute('role', 'button');
+            trigger.setAttribute('tabindex', '0');
+        }
+        trigger.setAttribute('aria-haspopup', 'dialog');
+
+        const open = (e) => {
+            const lightbox = DMCLightbox.getInstance();
+            if (!lightbox) return;
+
+            e.preventDefault();
+            const items = DMCLightbox.getTriggers(gallery);
+            lightbox.open(gallery, items.indexOf(trigger), trigger);
+        };
+
+        trigger.addEventListener('click', open, { signal });
+        if (!isNative) {
+            trigger.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') open(e);
+            }, { signal });
+        }
+
+        if (!DMCLightbox.galleries.has(gallery)) {
+            DMCLightbox.galleries.set(gallery, new Set());
+        }
+        DMCLightbox.galleries.get(gallery).add(trigger);
+        DMCLightbox.scheduleHashCheck();
+
+        return {
+            trigger,
+            gallery,
+            destroy: () => {
+                controller.abort();
+                added.forEach(name => trigger.removeAttribute(name));
+
+                const triggers = DMCLightbox.galleries.get(gallery);
+                if (triggers) {
+                    triggers.delete(trigger);
+                    if (!triggers.size) DMCLightbox.galleries.delete(gallery);
+                }
+
+                const lightbox = DMCLightbox.instance;
+                if (lightbox && lightbox.gallery === gallery) lightbox.close();
+            }
+        };
+    }
+
+    // Triggers of a gallery in document order
+    static getTriggers(gallery) {
+        const triggers = Array.from(DMCLightbox.galleries.get(gallery) || []);
+        return triggers.sort((a, b) => (
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        ));
+    }
+
+    static parseHash(hash = window.location.hash) {
+        const match = /^#(.+)-(\d+)$/.exec(hash);
+        if (!match || !DMCLightbox.galleries.has(match[1])) return null;
+        return { gallery: match[1], index: parseInt(match[2], 10) - 1 };
+    }
+
+    // Open the image named by the URL hash, once the current batch of triggers is attached
+    static scheduleHashCheck() {
+        if (DMCLightbox.hashCheckPending) return;
+        DMCLightbox.hashCheckPending = true;
+
+        setTimeout(() => {
+            DMCLightbox.hashCheckPending = false;
+            DMCLightbox.openFromHash();
+        }, 0);
+    }
+
+    static openFromHash() {
+        const target = DMCLightbox.parseHash();
+        if (!target) return;
+
+        const triggers = DMCLightbox.getTriggers(target.gallery);
+        if (target.index < 0 || target.index >= triggers.length) return;
+
+        const lightbox = DMCLightbox.getInstance();
+        if (!lightbox) return;
+
+        if (lightbox.isOpen() && lightbox.gallery === target.gallery) {
+            lightbox.goTo(target.index);
+        } else {
+            lightbox.open(target.gallery, target.index, triggers[target.index], { fromHash: true });
+        }
+    }
+
+    static handleHashChange() {
+        const lightbox = DMCLightbox.instance;
+
+        if (DMCLightbox.parseHash()) {
+            DMCLightbox.openFromHash();
+        } else if (lightbox && lightbox.isOpen()) {
+            // Back/forward away from an image: don't write the old hash back over the new one
+            lightbox.previousHash = window.location.hash;
+            lightbox.close();
+        }
+    }
+
+    setupAccessibility() {
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-modal', 'true');
+        if (!this.dialog.hasAttribute('aria-label')) {
+            this.dialog.setAttribute('aria-label', this.labels.dialog);
+        }
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.dialog.appendChild(this.liveRegion);
+    }
+
+    bindEvents() {
+        if (this.closeBtn) this.closeBtn.addEventListener('click', () => this.close());
+        if (this.prevBtn) this.prevBtn.addEventListener('click', () => this.prev());
+        if (this.nextBtn) this.nextBtn.addEventListener('click', () => this.next());
+
+        // Close on background click
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog || e.target.classList.contains('lightbox__inner')) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        if (this.image) {
+            this.image.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
+            this.image.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+            this.image.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+            this.image.addEventListener('touchcancel', () => {
+                this.touch = null;
+                this.pinch = null;
+            });
+            this.image.addEventListener('dblclick', () => {
+                this.setZoom(this.zoom.scale > 1 ? 1 : 2);
+            });
+        }
+    }
+
+    isOpen() {
+        return this.dialog.classList.contains('is-open');
+    }
+
+    open(gallery, index = 0, opener = null, { fromHash = false } = {}) {
+        const triggers = DMCLightbox.getTriggers(gallery);
+        if (!triggers.length) return;
+
+        const wasOpen = this.isOpen();
+        this.gallery = gallery;
+        this.items = triggers.map(trigger => this.getItem(trigger));
+        this.buildDots();
+
+        if (!wasOpen) {
+            this.previousHash = fromHash ? '' : window.location.hash;
+            this.dialog.classList.add('is-open');
+            DMC.dialogs.open(this.dialog, { opener, onEscape: () => this.close() });
+        }
+
+        this.currentIndex = -1;
+        this.goTo(index, { silent: true });
+        this.emit(wasOpen ? 'change' : 'open');
+
+        if (!wasOpen && this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.emit('close');
+        this.dialog.classList.remove('is-open');
+        this.resetZoom();
+        this.restoreHash();
+        DMC.dialogs.close(this.dialog);
+        this.gallery = null;
+    }
+
+    goTo(index, { silent = false } = {}) {
+        const total = this.items.length;
+        if (!total) return;
+
+        const target = ((index % total) + total) % total;
+        if (target === this.currentIndex) return;
+
+        this.currentIndex = target;
+        this.resetZoom();
+        this.render();
+        this.preloadNeighbours();
+        this.updateHash();
+
+        if (!silent) {
+            this.emit('change');
+        }
+    }
+
+    prev() {
+        this.goTo(this.currentIndex - 1);
+    }
+
+    next() {
+        this.goTo(this.currentIndex + 1);
+    }
+
+    getItem(trigger) {
+        const figure = trigger.closest('figure');
+        const img = trigger.querySelector('img') || (figure && figure.querySelector('img'));
+        const figcaption = figure && figure.querySelector('figcaption');
+        const fullSrc = trigger.getAttribute('data-lightbox-src');
+
+        let src = fullSrc;
+        let srcset = trigger.getAttribute('data-lightbox-srcset');
+        if (!src && img) {
+            src = img.getAttribute('data-src') || img.getAttribute('src');
+            srcset = srcset || img.getAttribute('data-srcset') || img.getAttribute('srcset');
+        }
+
+        const alt = img ? img.getAttribute('alt') || '' : '';
+        const caption = trigger.getAttribute('data-lightbox-caption')
+            || (figcaption && figcaption.textContent.replace(/\s+/g, ' ').trim())
+            || alt;
+
+        return { trigger, src, srcset, alt, caption };
+    }
+
+    render() {
+        const item = this.items[this.currentIndex];
+        const total = this.items.length;
+
+        if (this.image) {
+            if (item.srcset) {
+                this.image.setAttribute('srcset', item.srcset);
+            } else {
+                this.image.removeAttribute('srcset');
+            }
+            this.image.setAttribute('src', item.src || '');
+            this.image.setAttribute('alt', item.alt);
+        }
+
+        if (this.caption) {
+            this.caption.textContent = item.caption;
+        }
+
+        if (this.counter) {
+            this.counter.textContent = this.formatLabel(this.labels.counter);
+        }
+
+        [this.prevBtn, this.nextBtn].forEach(button => {
+            if (button) button.hidden = total < 2;
+        });
+
+        if (this.dots) {
+            Array.from(this.dots.children).forEach((dot, i) => {
+                const isActive = i === this.currentIndex;
+                dot.classList.toggle('lightbox__dot--active', isActive);
+                if (isActive) {
+                    dot.setAttribute('aria-current', 'true');
+                } else {
+                    dot.removeAttribute('aria-current');
+                }
+            });
+        }
+
+        this.liveRegion.textContent = [this.formatLabel(this.labels.status), item.caption]
+            .filter(Boolean)
+            .join('. ');
+    }
+
+    buildDots() {
+        if (!this.dots) return;
+
+        this.dots.innerHTML = '';
+        if (this.items.length < 2) return;
+
+        this.items.forEach((_, i) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'lightbox__dot';
+            dot.setAttribute('aria-label', this.formatLabel(this.labels.dot, i));
+            dot.addEventListener('click', () => this.goTo(i));
+            this.dots.appendChild(dot);
+        });
+    }
+
+    formatLabel(template, index = this.currentIndex) {
+        return template
+            .replace('{current}', index + 1)
+            .replace('{total}', this.items.length);
+    }
+
+    preloadNeighbours() {
+        const total = this.items.length;
+        if (total < 2) return;
+
+        [this.currentIndex - 1, this.currentIndex + 1].forEach(i => {
+            const item = this.items[(i + total) % total];
+            if (!item.src || this.preloaded.has(item.src)) return;
+
+            const img = new Image();
+            if (item.srcset) img.srcset = item.srcset;
+            img.src = item.src;
+            this.preloaded.add(item.src);
+        });
+    }
+
+    // Escape and Tab are handled by the dialog stack (dmc.js)
+    handleKeydown(e) {
+        if (!this.isOpen() || DMC.dialogs.top() !== this.dialog) return;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.prev();
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.next();
+                break;
+            case 'Home':
+                e.preventDefault();
+                this.goTo(0);
+                break;
+            case 'End':
+                e.preventDefault();
+                this.goTo(this.items.length - 1);
+                break;
+        }
+    }
+
+    updateHash() {
+        if (!this.gallery || !window.history.replaceState) return;
+        window.history.replaceState(window.history.state, '', `#${this.gallery}-${this.currentIndex + 1}`);
+    }
+
+    restoreHash() {
+        if (!window.history.replaceState) return;
+        const url = window.location.pathname + window.location.search + this.previousHash;
+        window.history.replaceState(window.history.state, '', url);
+        this.previousHash = '';
+    }
+
+    // Pinch-zoom and swipe
+    getTouchDistance(touches) {
+        return Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+    }
+
+    handleTouchStart(e) {
+        if (e.touches.length === 2) {
+            this.pinch = { distance: this.getTouchDistance(e.touches), scale: this.zoom.scale };
+            this.touch = null;
+        } else if (e.touches.length === 1 && !this.pinch) {
+            this.touch = {
+                x: e.touches[0].clientX,
+                y: e.touches[0].clientY,
+                panX: this.zoom.x,
+                panY: this.zoom.y
+            };
+        }
+    }
+
+    handleTouchMove(e) {
+        if (this.pinch && e.touches.length === 2) {
+            e.preventDefault();
+            const scale = this.pinch.scale * this.getTouchDistance(e.touches) / this.pinch.distance;
+            this.setZoom(scale, this.zoom.x, this.zoom.y);
+        } else if (this.touch && this.zoom.scale > 1) {
+            e.preventDefault();
+            this.setZoom(
+                this.zoom.scale,
+                this.touch.panX + e.touches[0].clientX - this.touch.x,
+                this.touch.panY + e.touches[0].clientY - this.touch.y
+            );
+        }
+    }
+
+    handleTouchEnd(e) {
+        if (this.pinch) {
+            if (e.touches.length < 2) {
+                this.pinch = null;
+                if (this.zoom.scale < 1.05) this.resetZoom();
+            }
+            return;
+        }
+
+        if (!this.touch) return;
+
+        const touch = e.changedTouches[0];
+        const deltaX = touch.clientX - this.touch.x;
+        const deltaY = touch.clientY - this.touch.y;
+        this.touch = null;
+
+        if (this.zoom.scale > 1) return;
+
+        if (Math.abs(deltaX) > DMCLightbox.SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+            if (deltaX < 0) {
+                this.next();
+            } else {
+                this.prev();
+            }
+        }
+    }
+
+    setZoom(scale, x = 0, y = 0) {
+        if (!this.image) return;
+
+        const clamped = Math.min(Math.max(scale, 1), DMCLightbox.MAX_ZOOM);
+        // Keep the zoomed image covering its box while panning
+        const maxX = (this.image.offsetWidth * (clamped - 1)) / 2;
+        const maxY = (this.image.offsetHeight * (clamped - 1)) / 2;
+
+        this.zoom = {
+            scale: clamped,
+            x: Math.min(Math.max(x, -maxX), maxX),
+            y: Math.min(Math.max(y, -maxY), maxY)
+        };
+
+        this.image.classList.toggle('is-zoomed', clamped > 1);
+        this.image.style.transform = clamped > 1
+            ? `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${clamped})`
+            : '';
+    }
+
+    resetZoom() {
+        this.pinch = null;
+        this.setZoom(1);
+    }
+
+    emit(event) {
+        const item = this.items[this.currentIndex];
+        this.dialog.dispatchEvent(new CustomEvent(`lightbox:${event}`, {
+            bubbles: true,
+            detail: {
+                gallery: this.gallery,
+                index: this.currentIndex,
+                total: this.items.length,
+                src: item ? item.src : null
+            }
+        }));
+    }
+}
+
+DMCLightbox.galleries = new Map();
+DMCLightbox.instance = null;
+DMCLightbox.hashCheckPending = false;
+DMCLightbox.SWIPE_THRESHOLD = 50;
+DMCLightbox.MAX_ZOOM = 4;
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('hashchange', () => DMCLightbox.handleHashChange());
+}
+
+// Register with the component registry so [data-lightbox] triggers initialise themselves
+if (typeof DMC !== 'undefined') {
+    DMC.register('lightbox', {
+        attribute: 'data-lightbox',
+        options: (element) => ({ gallery: element.getAttribute('data-lightbox').trim() }),
+        create: (element, options) => DMCLightbox.attach(element, options.gallery),
+        destroy: (handle) => handle.destroy()
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMCLightbox;
+}
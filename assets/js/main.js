@@ -8,8 +8,8 @@ document.addEventListener('DOMContentLoaded', () => {
     initHeader();
     initMobileMenu();
     initCookieBanner();
-    initExperiencesCarousel();
-    // initWhyChooseCarousel(); // Handled by inline script in index.html
+    initLanguage();
+    initComponents();
     initSmoothScroll();
 });
 
@@ -48,67 +48,107 @@ function initHeader() {
 }
 
 /**
- * Mobile menu functionality
+ * Mobile menu
+ * A modal dialog on the DMC.dialogs stack (dmc.js): the rest of the page is inert and
+ * the page behind doesn't scroll while it is open. Submenus are a second level; Escape
+ * or Back closes one level and returns focus to what opened it.
  */
 function initMobileMenu() {
     const menuBtn = document.querySelector('.header__menu-btn');
     const mobileNav = document.querySelector('.header__mobile-nav');
     const closeBtns = document.querySelectorAll('.header__mobile-close');
-    const body = document.body;
+    const submenus = Array.from(document.querySelectorAll('.header__mobile-submenu'));
 
-    if (!menuBtn || !mobileNav) return;
+    if (!menuBtn || !mobileNav || typeof DMC === 'undefined') return;
+
+    let submenuTrigger = null;
+
+    submenus.forEach(submenu => { submenu.inert = true; });
+
+    function isOpen() {
+        return mobileNav.classList.contains('active');
+    }
+
+    function activeSubmenu() {
+        return submenus.find(submenu => submenu.classList.contains('active')) || null;
+    }
 
     function openMenu() {
+        if (isOpen()) return;
+
         mobileNav.classList.add('active');
-        body.style.overflow = 'hidden';
+        menuBtn.setAttribute('aria-expanded', 'true');
+        // Tab stays in the level that is showing, the other levels are inert
+        DMC.dialogs.open(mobileNav, {
+            opener: menuBtn,
+            onEscape: () => (activeSubmenu() ? closeSubmenu() : closeMenu())
+        });
+
+        const first = mobileNav.querySelector('.header__mobile-list .header__mobile-link');
+        if (first) first.focus();
     }
 
-    function closeMenu() {
+    function closeMenu({ restoreFocus = true } = {}) {
+        if (!isOpen()) return;
+
+        closeSubmenu({ restoreFocus: false });
         mobileNav.classList.remove('active');
+        menuBtn.setAttribute('aria-expanded', 'false');
+        DMC.dialogs.close(mobileNav, { restoreFocus });
+    }
+
+    function openSubmenu(trigger) {
+        const submenuId = trigger.getAttribute('data-submenu');
+        const submenu = submenus.find(candidate => candidate.getAttribute('data-submenu') === submenuId);
+        if (!submenu) return;
+
+        submenuTrigger = trigger;
+        trigger.setAttribute('aria-expanded', 'true');
+        Array.from(mobileNav.children).forEach(child => { child.inert = child !== submenu; });
+        submenu.classList.add('active');
+        mobileNav.classList.add('submenu-active');
+
+        const back = submenu.querySelector('.header__mobile-back');
+        if (back) back.focus();
+    }
+
+    function closeSubmenu({ restoreFocus = true } = {}) {
+        const submenu = activeSubmenu();
+        if (!submenu) return;
+
+        submenu.classList.remove('active');
         mobileNav.classList.remove('submenu-active');
-        body.style.overflow = '';
-        // Close all submenus when closing main menu
-        document.querySelectorAll('.header__mobile-submenu').forEach(submenu => {
-            submenu.classList.remove('active');
-        });
+        Array.from(mobileNav.children).forEach(child => { child.inert = submenus.includes(child); });
+
+        if (submenuTrigger) {
+            submenuTrigger.setAttribute('aria-expanded', 'false');
+            if (restoreFocus) submenuTrigger.focus();
+        }
+        submenuTrigger = null;
     }
 
     menuBtn.addEventListener('click', openMenu);
-    
+
     closeBtns.forEach(btn => {
-        btn.addEventListener('click', closeMenu);
+        btn.addEventListener('click', () => closeMenu());
     });
 
-    // Handle submenu triggers
-    const submenuTriggers = document.querySelectorAll('.header__mobile-link[data-submenu]');
-    submenuTriggers.forEach(trigger => {
+    mobileNav.querySelectorAll('.header__mobile-link[data-submenu]').forEach(trigger => {
         trigger.addEventListener('click', (e) => {
             e.preventDefault();
-            const submenuId = trigger.getAttribute('data-submenu');
-            const submenu = document.querySelector(`.header__mobile-submenu[data-submenu="${submenuId}"]`);
-            if (submenu) {
-                submenu.classList.add('active');
-                mobileNav.classList.add('submenu-active');
-            }
+            openSubmenu(trigger);
         });
     });
 
-    // Handle back buttons
-    const backBtns = document.querySelectorAll('.header__mobile-back');
-    backBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const submenu = btn.closest('.header__mobile-submenu');
-            if (submenu) {
-                submenu.classList.remove('active');
-                mobileNav.classList.remove('submenu-active');
-            }
-        });
+    mobileNav.querySelectorAll('.header__mobile-back').forEach(btn => {
+        btn.addEventListener('click', () => closeSubmenu());
     });
 
-    // Close on escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && mobileNav.classList.contains('active')) {
-            closeMenu();
+    // Following a link leaves the page as it is, rather than scrolled back under the menu
+    mobileNav.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href]');
+        if (link && link.getAttribute('href') !== '#') {
+            closeMenu({ restoreFocus: false });
         }
     });
 
@@ -118,23 +158,40 @@ function initMobileMenu() {
             closeMenu();
         }
     });
+
+    // The menu is only shown up to the desktop breakpoint (header.css)
+    const mobileQuery = window.matchMedia ? window.matchMedia('(max-width: 1280px)') : null;
+    if (mobileQuery && mobileQuery.addEventListener) {
+        mobileQuery.addEventListener('change', () => {
+            if (!mobileQuery.matches) closeMenu({ restoreFocus: false });
+        });
+    }
 }
 
 /**
- * Cookie banner functionality
+ * Cookie banner
+ * Choices are stored and applied by consent.js; the banner only asks for them.
  */
 function initCookieBanner() {
     const banner = document.querySelector('.cookie-banner');
     const acceptBtn = document.querySelector('.cookie-banner__btn--accept');
     const rejectBtn = document.querySelector('.cookie-banner__btn--reject');
+    const settingsBtn = document.querySelector('.cookie-banner__btn--settings');
     const whatsappFloat = document.querySelector('.whatsapp-float');
 
-    if (!banner) return;
+    if (typeof DMCConsent === 'undefined') return;
+
+    // Footer "Cookie settings" links reopen the preferences dialog
+    document.querySelectorAll('[data-cookie-settings]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            DMCConsent.openPreferences();
+        });
+    });
 
-    // Check if user has already made a choice
-    const cookieChoice = localStorage.getItem('dmc-cookie-choice');
+    if (!banner) return;
 
-    if (!cookieChoice) {
+    if (!DMCConsent.hasDecision()) {
         // Show banner after a short delay
         setTimeout(() => {
             banner.classList.add('active');
@@ -144,10 +201,9 @@ function initCookieBanner() {
         }, 1000);
     }
 
-    function hideBanner(choice) {
-        localStorage.setItem('dmc-cookie-choice', choice);
+    function hideBanner() {
         banner.classList.remove('active');
-        
+
         setTimeout(() => {
             banner.classList.add('hidden');
             if (whatsappFloat) {
@@ -156,75 +212,39 @@ function initCookieBanner() {
         }, 500);
     }
 
+    // Any saved choice, including one made in the preferences dialog, dismisses the banner
+    DMCConsent.onChange(hideBanner);
+
     if (acceptBtn) {
-        acceptBtn.addEventListener('click', () => hideBanner('accepted'));
+        acceptBtn.addEventListener('click', () => DMCConsent.acceptAll());
     }
 
     if (rejectBtn) {
-        rejectBtn.addEventListener('click', () => hideBanner('rejected'));
+        rejectBtn.addEventListener('click', () => DMCConsent.rejectAll());
+    }
+
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => DMCConsent.openPreferences());
     }
 }
 
 /**
- * Experiences carousel initialization
+ * Language switchers and the "also available in Portuguese" prompt; see language.js
  */
-function initExperiencesCarousel() {
-    const carouselContainer = document.querySelector('.experiences__carousel-wrapper');
-    
-    if (!carouselContainer || typeof DMCCarousel === 'undefined') return;
-
-    new DMCCarousel(carouselContainer, {
-        slidesPerView: 4,
-        gap: 24,
-        autoplay: false,
-        infinite: false,
-        breakpoints: {
-            1200: { slidesPerView: 3 },
-            900: { slidesPerView: 2 },
-            600: { slidesPerView: 1.2, gap: 16 }
-        }
-    });
+function initLanguage() {
+    if (typeof DMCLanguage === 'undefined') return;
+
+    DMCLanguage.init();
 }
 
 /**
- * Why Choose carousel initialization (mobile only)
+ * Declarative components (carousels, accordions, galleries...)
+ * Options live in each page's markup; see dmc.js.
  */
-function initWhyChooseCarousel() {
-    const carouselContainer = document.querySelector('.why-choose__carousel-wrapper');
-    
-    if (!carouselContainer || typeof DMCCarousel === 'undefined') return;
-
-    let carouselInstance = null;
-
-    function createCarousel() {
-        // Only initialize if visible (container has width)
-        if (carouselContainer.offsetWidth > 0 && !carouselInstance) {
-            carouselInstance = new DMCCarousel(carouselContainer, {
-                slidesPerView: 1.2,
-                gap: 16,
-                autoplay: false,
-                infinite: false
-            });
-        }
-    }
+function initComponents() {
+    if (typeof DMC === 'undefined') return;
 
-    // Try to initialize immediately
-    createCarousel();
-
-    // Also try on resize (for when switching to mobile view)
-    let resizeTimeout;
-    window.addEventListener('resize', () => {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-            if (!carouselInstance && carouselContainer.offsetWidth > 0) {
-                createCarousel();
-            } else if (carouselInstance) {
-                // Recalculate dimensions on resize
-                carouselInstance.calculateDimensions();
-                carouselInstance.goTo(carouselInstance.currentIndex, true);
-            }
-        }, 200);
-    });
+    DMC.init(document);
 }
 
 /**
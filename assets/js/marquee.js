@@ -0,0 +1,219 @@
+/**
+ * DMC Madeira - Marquee
+ * Endlessly scrolling row (partner logos, quote banners), driven by a CSS animation.
+ *
+ * Usage (through the DMC registry, dmc.js):
+ * <div class="partners__carousel">
+ *     <div class="partners__carousel-track" data-marquee='{"speed": 60}'>
+ *         <a href="..."><img ...></a>
+ *         ...
+ *     </div>
+ * </div>
+ *
+ * The element with data-marquee is the row that moves and its children are the items; its
+ * parent clips it (overflow: hidden). The items are cloned as often as it takes to fill
+ * the parent, and the clones are hidden from assistive technology and made inert. Widths
+ * are measured when the row or its items change size, never per frame.
+ *
+ * A play/pause button follows the row while it runs. The row also pauses while hovered or
+ * touched, while focus is inside it, while it is offscreen and while the tab is hidden
+ * (autoplay.js). Under reduced motion it isn't animated or cloned and gets `is-static`,
+ * which marquee.css uses to wrap the items instead.
+ *
+ * Options:
+ * - speed: Pixels per second (default: 40)
+ * - direction: 'left' or 'right' (default: 'left')
+ * - media: Media query the marquee runs under, e.g. "(max-width: 1200px)"; outside it the
+ *   row is left to the page CSS (default: always)
+ * - labels: Button labels, { play, pause }; defaults come from DMCLanguage, see language.js
+ */
+
+class DMCMarquee {
+    constructor(element, options = {}) {
+        this.track = typeof element === 'string' ? document.querySelector(element) : element;
+
+        if (!this.track) {
+            console.warn('DMCMarquee: Element not found');
+            return;
+        }
+
+        this.options = {
+            speed: 40,
+            direction: 'left',
+            media: null,
+            ...options,
+            labels: {
+                play: 'Start scrolling',
+                pause: 'Stop scrolling',
+                ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('marquee') : {}),
+                ...(options.labels || {})
+            }
+        };
+
+        this.items = Array.from(this.track.children);
+        this.clones = [];
+        this.autoplay = null;
+        this.offscreen = false;
+        this.running = false;
+
+        this.media = this.options.media && window.matchMedia
+            ? window.matchMedia(this.options.media)
+            : null;
+        this.reducedMotion = window.matchMedia
+            ? window.matchMedia('(prefers-reduced-motion: reduce)')
+            : null;
+
+        this.abortController = new AbortController();
+        this.bindEvents();
+        this.update();
+    }
+
+    bindEvents() {
+        const { signal } = this.abortController;
+
+        [this.media, this.reducedMotion].forEach(query => {
+            if (query && query.addEventListener) {
+                query.addEventListener('change', () => this.update(), { signal });
+            }
+        });
+
+        if ('IntersectionObserver' in window) {
+            this.intersectionObserver = new IntersectionObserver(([entry]) => {
+                this.offscreen = !entry.isIntersecting;
+                if (!this.autoplay) return;
+                if (this.offscreen) {
+                    this.autoplay.pause('offscreen');
+                } else {
+                    this.autoplay.resume('offscreen');
+                }
+            });
+            this.intersectionObserver.observe(this.track);
+        }
+
+        // Logos change width as their images load, the parent as the window resizes
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(() => this.measure());
+            [this.track.parentElement, ...this.items].forEach(el => {
+                if (el) this.resizeObserver.observe(el);
+            });
+        } else {
+            window.addEventListener('resize', () => this.measure(), { signal });
+            this.track.addEventListener('load', () => this.measure(), { signal, capture: true });
+        }
+    }
+
+    shouldRun() {
+        if (this.reducedMotion && this.reducedMotion.matches) return false;
+        return !this.media || this.media.matches;
+    }
+
+    update() {
+        this.track.classList.toggle('is-static', !!(this.reducedMotion && this.reducedMotion.matches));
+
+        const run = this.shouldRun();
+        if (run === this.running) return;
+
+        this.running = run;
+        if (run) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    start() {
+        if (typeof DMCAutoplay !== 'undefined') {
+            this.autoplay = new DMCAutoplay(this.track, {
+                delay: null,
+                labels: this.options.labels,
+                onChange: (running) => this.track.classList.toggle('is-paused', !running)
+            });
+            this.autoplay.control.classList.add('autoplay-toggle--marquee');
+            this.track.after(this.autoplay.control);
+            if (this.offscreen) this.autoplay.pause('offscreen');
+        }
+        this.measure();
+    }
+
+    stop() {
+        if (this.autoplay) {
+            this.autoplay.destroy();
+            this.autoplay = null;
+        }
+        this.removeClones();
+        this.track.classList.remove('is-running', 'is-reverse', 'is-paused');
+        this.track.style.removeProperty('--marquee-distance');
+        this.track.style.removeProperty('--marquee-duration');
+        if (!this.track.getAttribute('style')) this.track.removeAttribute('style');
+    }
+
+    // Width of one set of items (gap included), and enough clone sets to fill the parent
+    measure() {
+        if (!this.running || !this.items.length) return;
+
+        if (!this.clones.length) this.addCloneSet();
+
+        const distance = this.clones[0].offsetLeft - this.items[0].offsetLeft;
+        const viewport = this.track.parentElement ? this.track.parentElement.clientWidth : 0;
+        if (distance <= 0) return;
+
+        const sets = Math.max(1, Math.ceil(viewport / distance));
+        while (this.clones.length < sets * this.items.length) this.addCloneSet();
+        while (this.clones.length > sets * this.items.length) this.removeCloneSet();
+
+        if (distance === this.distance) return;
+        this.distance = distance;
+
+        this.track.style.setProperty('--marquee-distance', `${distance}px`);
+        this.track.style.setProperty('--marquee-duration', `${distance / this.options.speed}s`);
+        this.track.classList.add('is-running');
+        this.track.classList.toggle('is-reverse', this.options.direction === 'right');
+    }
+
+    addCloneSet() {
+        this.items.forEach(item => {
+            const clone = item.cloneNode(true);
+            clone.removeAttribute('id');
+            clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+            clone.setAttribute('data-marquee-clone', '');
+            clone.setAttribute('aria-hidden', 'true');
+            clone.inert = true;
+            this.track.appendChild(clone);
+            this.clones.push(clone);
+        });
+    }
+
+    removeCloneSet() {
+        this.clones.splice(-this.items.length).forEach(clone => clone.remove());
+    }
+
+    removeClones() {
+        this.clones.forEach(clone => clone.remove());
+        this.clones = [];
+        this.distance = null;
+    }
+
+    destroy() {
+        this.abortController.abort();
+        if (this.intersectionObserver) this.intersectionObserver.disconnect();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+
+        this.running = false;
+        this.stop();
+        this.track.classList.remove('is-static');
+    }
+}
+
+// Register with the component registry so [data-marquee] markup initialises itself
+if (typeof DMC !== 'undefined') {
+    DMC.register('marquee', {
+        attribute: 'data-marquee',
+        create: (element, options) => new DMCMarquee(element, options),
+        destroy: (marquee) => marquee.destroy()
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMCMarquee;
+}
@@ -0,0 +1,366 @@
+/**
+ * DMC Madeira - QR Code
+ * Minimal QR code encoder (byte mode, error correction level M, versions 1-10, up to
+ * 213 bytes of UTF-8) that draws the code as an SVG. Enough for a link with a short
+ * prefilled message; it has no other callers.
+ *
+ * Loaded on demand by whatsapp.js, so most visits never download it.
+ *
+ * API:
+ * DMCQRCode.matrix('https://...')  -> rows of booleans (true = dark), quiet zone excluded
+ * DMCQRCode.svg('https://...', { margin: 4, title: '...' }) -> SVG markup
+ */
+
+(function() {
+    'use strict';
+
+    // Level M blocks per version: [EC codewords per block, group 1 blocks, data codewords
+    // per group 1 block, group 2 blocks, data codewords per group 2 block]
+    const BLOCKS = [
+        null,
+        [10, 1, 16, 0, 0],
+        [16, 1, 28, 0, 0],
+        [26, 1, 44, 0, 0],
+        [18, 2, 32, 0, 0],
+        [24, 2, 43, 0, 0],
+        [16, 4, 27, 0, 0],
+        [18, 4, 31, 0, 0],
+        [22, 2, 38, 2, 39],
+        [22, 3, 36, 2, 37],
+        [26, 4, 43, 1, 44]
+    ];
+
+    const ALIGNMENT = [
+        null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+        [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+    ];
+
+    // Format information bits for level M
+    const LEVEL_M = 0;
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    /**
+     * Reed-Solomon error correction over GF(256)
+     */
+    const EXP = new Array(512);
+    const LOG = new Array(256);
+    (function buildTables() {
+        let value = 1;
+        for (let i = 0; i < 255; i++) {
+            EXP[i] = value;
+            LOG[value] = i;
+            value <<= 1;
+            if (value & 0x100) value ^= 0x11D;
+        }
+        for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+    })();
+
+    function multiply(a, b) {
+        return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+    }
+
+    // Coefficients of (x - a^0)(x - a^1)...(x - a^(degree-1)), highest power first
+    function generator(degree) {
+        let poly = [1];
+        for (let i = 0; i < degree; i++) {
+            const next = new Array(poly.length + 1).fill(0);
+            poly.forEach((coefficient, j) => {
+                next[j] ^= coefficient;
+                next[j + 1] ^= multiply(coefficient, EXP[i]);
+            });
+            poly = next;
+        }
+        return poly;
+    }
+
+    function errorCorrection(data, degree) {
+        const poly = generator(degree);
+        const result = new Array(degree).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            for (let i = 0; i < degree; i++) result[i] ^= multiply(poly[i + 1], factor);
+        });
+        return result;
+    }
+
+    /**
+     * Codewords: mode, length, data, padding, then interleaved blocks with their EC
+     */
+    function dataCapacity(version) {
+        const [, count1, size1, count2, size2] = BLOCKS[version];
+        return count1 * size1 + count2 * size2;
+    }
+
+    function codewords(bytes) {
+        let version = 1;
+        const bitsNeeded = (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+        while (version < BLOCKS.length && bitsNeeded(version) > dataCapacity(version) * 8) version++;
+        if (version >= BLOCKS.length) throw new Error('DMCQRCode: text too long');
+
+        const capacity = dataCapacity(version);
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0b0100, 4);
+        push(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => push(byte, 8));
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+        const [ecLength, count1, size1, count2, size2] = BLOCKS[version];
+        const blocks = [];
+        let offset = 0;
+        [[count1, size1], [count2, size2]].forEach(([count, size]) => {
+            for (let i = 0; i < count; i++) {
+                const block = data.slice(offset, offset + size);
+                blocks.push({ data: block, ec: errorCorrection(block, ecLength) });
+                offset += size;
+            }
+        });
+
+        const result = [];
+        for (let i = 0; i < Math.max(size1, size2); i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+
+        return { version, codewords: result };
+    }
+
+    /**
+     * Module grid
+     */
+    function createGrid(version) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Finder patterns with their light separators
+        [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+            for (let dy = -1; dy <= 7; dy++) {
+                for (let dx = -1; dx <= 7; dx++) {
+                    const x = left + dx;
+                    const y = top + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+
+                    const inside = dx >= 0 && dx <= 6 && dy >= 0 && dy <= 6;
+                    const ring = dx === 0 || dx === 6 || dy === 0 || dy === 6;
+                    const core = dx >= 2 && dx <= 4 && dy >= 2 && dy <= 4;
+                    set(x, y, inside && (ring || core));
+                }
+            }
+        });
+
+        // Timing patterns
+        for (let i = 8; i < size - 8; i++) {
+            set(i, 6, i % 2 === 0);
+            set(6, i, i % 2 === 0);
+        }
+
+        // Alignment patterns, except where they would cover a finder
+        const positions = ALIGNMENT[version];
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Version information (version 7 and up)
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        // Reserve the format areas; drawFormat fills them once the mask is known
+        drawFormat({ modules, reserved, size, set }, 0);
+
+        return { modules, reserved, size, set };
+    }
+
+    function drawFormat(grid, mask) {
+        const { size, set } = grid;
+        const data = (LEVEL_M << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    }
+
+    // Codeword bits in the zigzag order, two columns at a time, skipping the timing column
+    function drawCodewords(grid, data) {
+        const { modules, reserved, size } = grid;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = upward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (reserved[y][x]) continue;
+                    if (i < data.length * 8) {
+                        modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    function applyMask(grid, mask) {
+        const { modules, reserved, size } = grid;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+
+    /**
+     * Penalty score of a masked grid; the mask with the lowest score is used
+     */
+    function penalty({ modules, size }) {
+        let score = 0;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            const finders = text.match(/(?=(10111010000|00001011101))/g);
+            if (finders) score += finders.length * 40;
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return score;
+    }
+
+    function matrix(text) {
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        const { version, codewords: data } = codewords(bytes);
+        const grid = createGrid(version);
+        drawCodewords(grid, data);
+
+        let best = 0;
+        let bestScore = Infinity;
+        MASKS.forEach((mask, index) => {
+            applyMask(grid, index);
+            drawFormat(grid, index);
+            const score = penalty(grid);
+            if (score < bestScore) {
+                best = index;
+                bestScore = score;
+            }
+            applyMask(grid, index);
+        });
+
+        applyMask(grid, best);
+        drawFormat(grid, best);
+        return grid.modules;
+    }
+
+    function escape(text) {
+        return String(text).replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    function svg(text, { margin = 4, title = '' } = {}) {
+        const modules = matrix(text);
+        const size = modules.length + margin * 2;
+        let path = '';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"`
+            + `${title ? ' role="img"' : ' aria-hidden="true"'}>`
+            + `${title ? `<title>${escape(title)}</title>` : ''}`
+            + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+
+    window.DMCQRCode = {
+        matrix,
+        svg
+    };
+})();
@@ -0,0 +1,532 @@
+/**
+ * DMC Madeira - Site search
+ * Search overlay behind the header's magnifier button, over the per-language index that
+ * scripts/build-search.js writes to assets/search/.
+ *
+ * Loaded on every page, after dmc.js (the header button is on every page):
+ * <script src="assets/js/search.js"></script>
+ *
+ * The button (partials/header.html) carries data-search; "/" opens the overlay too, unless
+ * the visitor is typing in a field. The index for the page's language loads the first
+ * time the overlay opens (or the pointer reaches the button), once per page.
+ *
+ * Matching ignores case and accents in both languages ("cafe" finds "café", "acores"
+ * finds "Açores"). Every word typed has to match: in full, as the start of a longer word
+ * (the last word is usually still being typed), or with a typo or two in longer words.
+ * Matches in page titles count more than in headings, and those more than in text. Each
+ * page shows once, at its best section, with the matched words highlighted, and links to
+ * that section's anchor (an accordion item's id opens it, see accordion.js).
+ *
+ * Keyboard: the results are a listbox driven from the field (combobox pattern): Up and
+ * Down move through them, Enter opens the highlighted one (else the first), Escape closes.
+ *
+ * Picking a result emits `search:select` (with { url, position, count }) from the overlay.
+ *
+ * API:
+ * DMCSearch.open(), DMCSearch.close()
+ * DMCSearch.query('golf') -> Promise of [{ url, title, heading, text, score }]
+ */
+
+// The index sits in assets/search/, next to this file's folder
+const DMC_SEARCH_BASE = document.currentScript ? document.currentScript.src.replace(/[^/]*$/, '') : '';
+
+(function() {
+    'use strict';
+
+    const MAX_RESULTS = 8;
+    const SNIPPET_LENGTH = 160;
+    const WEIGHTS = { title: 5, heading: 3, text: 1 };
+    const QUALITY = { exact: 1, prefix: 0.7, fuzzy: 0.4 };
+
+    const labels = {
+        open: 'Search',
+        label: 'Search the site',
+        placeholder: 'Search experiences, places, articles…',
+        close: 'Close search',
+        results: 'Results',
+        loading: 'Loading…',
+        failed: 'Search isn\'t available right now. Please try again later.',
+        none: 'No results for "{query}".',
+        count: '{count} results',
+        countOne: '1 result',
+        hint: 'Use the arrow keys to move through the results and Enter to open one.',
+        ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('search') : {})
+    };
+
+    let index = null;
+    let loading = null;
+    let overlay = null;
+    let results = [];
+    let active = -1;
+    let statusTimer = null;
+
+    function format(text, values) {
+        return String(text).replace(/\{(\w+)\}/g, (all, name) => (
+            values[name] !== undefined ? values[name] : all
+        ));
+    }
+
+    function lang() {
+        if (typeof DMCLanguage !== 'undefined') return DMCLanguage.current();
+        return (document.documentElement.lang || 'en').slice(0, 2).toLowerCase();
+    }
+
+    /**
+     * Text: lower case, accents stripped, split into words
+     */
+    function normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    function words(text) {
+        return normalize(text).match(/[a-z0-9]+/g) || [];
+    }
+
+    // Normalised text plus, for each of its characters, where it came from in the original
+    function mapNormalized(text) {
+        let normalized = '';
+        const positions = [];
+        let start = 0;
+        Array.from(text).forEach(char => {
+            const part = normalize(char);
+            normalized += part;
+            for (let i = 0; i < part.length; i++) positions.push(start);
+            start += char.length;
+        });
+        positions.push(text.length);
+        return { normalized, positions };
+    }
+
+    // Levenshtein distance, giving up once it's over max
+    function distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (value, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                best = Math.min(best, current[j]);
+            }
+            if (best > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Index
+     */
+    function prepare(data) {
+        const vocabulary = new Set();
+        const sections = [];
+
+        data.pages.forEach(([url, title, entries]) => {
+            const titleWords = new Set(words(title));
+            titleWords.forEach(word => vocabulary.add(word));
+
+            entries.forEach(([id, heading, text]) => {
+                const section = {
+                    url: id ? `${url}#${id}` : url,
+                    page: url,
+                    title,
+                    heading,
+                    text,
+                    words: { title: titleWords, heading: new Set(words(heading)), text: new Set(words(text)) }
+                };
+                section.words.heading.forEach(word => vocabulary.add(word));
+                section.words.text.forEach(word => vocabulary.add(word));
+                sections.push(section);
+            });
+        });
+
+        return { sections, vocabulary: Array.from(vocabulary) };
+    }
+
+    function load() {
+        if (!loading) {
+            loading = fetch(`${DMC_SEARCH_BASE}../search/${lang()}.json`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    index = prepare(data);
+                    return index;
+                })
+                .catch(error => {
+                    loading = null;
+                    throw error;
+                });
+        }
+        return loading;
+    }
+
+    /**
+     * Matching and ranking
+     */
+
+    // Words of the index a query word stands for, each with how well it matches
+    function expand(term) {
+        const matches = new Map();
+        const typos = term.length >= 8 ? 2 : (term.length >= 4 ? 1 : 0);
+
+        index.vocabulary.forEach(word => {
+            let quality = 0;
+            if (word === term) {
+                quality = QUALITY.exact;
+            } else if (term.length >= 2 && word.startsWith(term)) {
+                quality = QUALITY.prefix;
+            } else if (typos && distance(term, word, typos) <= typos) {
+                quality = QUALITY.fuzzy;
+            }
+            if (quality) matches.set(word, quality);
+        });
+        return matches;
+    }
+
+    function search(text) {
+        let terms = Array.from(new Set(words(text)));
+        // Single letters only help when they're all there is
+        if (terms.some(term => term.length > 1)) terms = terms.filter(term => term.length > 1);
+        if (!terms.length) return [];
+
+        const expanded = terms.map(expand);
+        const matched = new Set();
+        expanded.forEach(matches => matches.forEach((quality, word) => matched.add(word)));
+
+        const best = new Map();
+        index.sections.forEach(section => {
+            let score = 0;
+            const found = expanded.every(matches => {
+                let termScore = 0;
+                matches.forEach((quality, word) => {
+                    Object.keys(WEIGHTS).forEach(field => {
+                        if (section.words[field].has(word)) termScore = Math.max(termScore, quality * WEIGHTS[field]);
+                    });
+                });
+                score += termScore;
+                return termScore > 0;
+            });
+            if (!found) return;
+
+            const current = best.get(section.page);
+            if (!current || score > current.score) best.set(section.page, { section, score });
+        });
+
+        return Array.from(best.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS)
+            .map(({ section, score }) => ({
+                url: section.url,
+                title: section.title,
+                heading: section.heading,
+                text: section.text,
+                score,
+                matched
+            }));
+    }
+
+    function query(text) {
+        return load().then(() => search(text).map(({ matched, ...result }) => result));
+    }
+
+    /**
+     * Highlighting: the matched words in <mark>, built as nodes so page text stays text
+     */
+    function highlight(text, matched, from = 0, to = text.length) {
+        const fragment = document.createDocumentFragment();
+        const { normalized, positions } = mapNormalized(text);
+        const pattern = /[a-z0-9]+/g;
+        let cursor = from;
+        let match;
+
+        while ((match = pattern.exec(normalized))) {
+            const start = positions[match.index];
+            const end = positions[match.index + match[0].length];
+            if (start < from || end > to || !matched.has(match[0])) continue;
+
+            if (start > cursor) fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            cursor = end;
+        }
+        if (cursor < to) fragment.appendChild(document.createTextNode(text.slice(cursor, to)));
+        return fragment;
+    }
+
+    // About SNIPPET_LENGTH characters around the first match, cut at word boundaries
+    function snippet(text, matched) {
+        if (!text) return null;
+        const paragraph = document.createElement('p');
+        paragraph.className = 'search-overlay__snippet';
+
+        const { normalized, positions } = mapNormalized(text);
+        const pattern = /[a-z0-9]+/g;
+        let first = 0;
+        let match;
+        while ((match = pattern.exec(normalized))) {
+            if (matched.has(match[0])) {
+                first = positions[match.index];
+                break;
+            }
+        }
+
+        let start = Math.max(0, first - Math.round(SNIPPET_LENGTH / 3));
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        let end = Math.min(text.length, start + SNIPPET_LENGTH);
+        if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+        if (start > 0) paragraph.appendChild(document.createTextNode('…'));
+        paragraph.appendChild(highlight(text, matched, start, end));
+        if (end < text.length) paragraph.appendChild(document.createTextNode('…'));
+        return paragraph;
+    }
+
+    /**
+     * Overlay
+     */
+    function getOverlay() {
+        if (overlay && overlay.element.isConnected) return overlay;
+
+        const element = document.createElement('div');
+        element.className = 'search-overlay';
+        element.hidden = true;
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-modal', 'true');
+        element.innerHTML = `
+            <div class="search-overlay__panel">
+                <div class="search-overlay__bar" role="search">
+                    <svg class="search-overlay__icon" aria-hidden="true" width="22" height="22" viewBox="0 0 32 32" fill="none"><path d="M28.7078 27.2925L22.449 21.035C24.2631 18.8572 25.1676 16.0638 24.9746 13.236C24.7815 10.4081 23.5057 7.76361 21.4125 5.85251C19.3193 3.9414 16.5698 2.91086 13.7362 2.97526C10.9025 3.03966 8.20274 4.19404 6.19851 6.19827C4.19429 8.20249 3.0399 10.9023 2.9755 13.7359C2.9111 16.5696 3.94164 19.319 5.85275 21.4122C7.76385 23.5054 10.4084 24.7813 13.2362 24.9743C16.064 25.1674 18.8574 24.2628 21.0353 22.4488L27.2928 28.7075C27.4804 28.8951 27.7349 29.0006 28.0003 29.0006C28.2657 29.0006 28.5202 28.8951 28.7078 28.7075C28.8954 28.5199 29.0008 28.2654 29.0008 28C29.0008 27.7346 28.8954 27.4801 28.7078 27.2925ZM5.00029 14C5.00029 12.22 5.52813 10.48 6.51706 8.99991C7.50599 7.51987 8.9116 6.36631 10.5561 5.68513C12.2007 5.00394 14.0103 4.82571 15.7561 5.17297C17.5019 5.52024 19.1056 6.37741 20.3642 7.63608C21.6229 8.89475 22.4801 10.4984 22.8274 12.2442C23.1746 13.9901 22.9964 15.7997 22.3152 17.4442C21.634 19.0887 20.4805 20.4943 19.0004 21.4833C17.5204 22.4722 15.7803 23 14.0003 23C11.6141 22.9974 9.3265 22.0483 7.63925 20.3611C5.95199 18.6738 5.00293 16.3862 5.00029 14Z" fill="currentColor"/></svg>
+                    <input class="search-overlay__input" id="search-overlay-input" type="search" autocomplete="off"
+                        autocapitalize="off" spellcheck="false" enterkeyhint="go" role="combobox"
+                        aria-autocomplete="list" aria-expanded="false" aria-controls="search-overlay-results">
+                    <button type="button" class="search-overlay__close">
+                        <svg aria-hidden="true" width="16" height="16" viewBox="0 0 20 20" fill="none"><path d="M1 1L19 19M19 1L1 19" stroke="currentColor" stroke-width="2" stroke-linecap="round" /></svg>
+                    </button>
+                </div>
+                <p class="search-overlay__hint" id="search-overlay-hint"></p>
+                <div class="search-overlay__status" role="status"></div>
+                <ul class="search-overlay__results" id="search-overlay-results" role="listbox"></ul>
+            </div>`;
+        document.body.appendChild(element);
+
+        const query = (selector) => element.querySelector(selector);
+        overlay = {
+            element,
+            input: query('.search-overlay__input'),
+            closeBtn: query('.search-overlay__close'),
+            status: query('.search-overlay__status'),
+            list: query('.search-overlay__results')
+        };
+
+        element.setAttribute('aria-label', labels.open);
+        overlay.input.setAttribute('aria-label', labels.label);
+        overlay.input.setAttribute('aria-describedby', 'search-overlay-hint');
+        overlay.input.placeholder = labels.placeholder;
+        overlay.closeBtn.setAttribute('aria-label', labels.close);
+        overlay.list.setAttribute('aria-label', labels.results);
+        query('.search-overlay__hint').textContent = labels.hint;
+
+        bindOverlay();
+        return overlay;
+    }
+
+    function bindOverlay() {
+        const { element, input, list } = overlay;
+
+        overlay.closeBtn.addEventListener('click', () => close());
+        element.addEventListener('click', (e) => {
+            if (e.target === element) close();
+        });
+
+        input.addEventListener('input', () => update());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (!results.length) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActive(active === -1 && step === -1 ? results.length - 1 : (active + step + results.length) % results.length);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const option = list.children[active === -1 ? 0 : active];
+                if (option) option.querySelector('a').click();
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const link = e.target.closest('a');
+            if (!link) return;
+            const position = Array.from(list.children).indexOf(link.parentElement);
+            element.dispatchEvent(new CustomEvent('search:select', {
+                bubbles: true,
+                detail: { url: link.getAttribute('href'), position: position + 1, count: results.length }
+            }));
+            // Same page, other section: only the hash changes, so close for it to show
+            close({ restoreFocus: false });
+        });
+        list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) setActive(Array.from(list.children).indexOf(option));
+        });
+    }
+
+    function setStatus(text, { delay = 0 } = {}) {
+        clearTimeout(statusTimer);
+        // Let typing settle before announcing a count
+        statusTimer = setTimeout(() => { overlay.status.textContent = text; }, delay);
+    }
+
+    function update() {
+        const text = overlay.input.value.trim();
+        if (!text) {
+            render([]);
+            setStatus('');
+            return;
+        }
+        if (!index) {
+            setStatus(labels.loading);
+            load().then(() => update()).catch(() => setStatus(labels.failed));
+            return;
+        }
+
+        const found = search(text);
+        render(found);
+        if (!found.length) {
+            setStatus(format(labels.none, { query: text }), { delay: 400 });
+        } else {
+            setStatus(found.length === 1 ? labels.countOne : format(labels.count, { count: found.length }), { delay: 400 });
+        }
+    }
+
+    function render(found) {
+        results = found;
+        active = -1;
+
+        overlay.list.replaceChildren(...found.map((result, position) => {
+            const option = document.createElement('li');
+            option.className = 'search-overlay__result';
+            option.id = `search-overlay-result-${position}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+
+            const link = document.createElement('a');
+            link.className = 'search-overlay__link';
+            link.href = result.url;
+            link.tabIndex = -1;
+
+            const title = document.createElement('span');
+            title.className = 'search-overlay__title';
+            title.appendChild(highlight(result.title, result.matched));
+            link.appendChild(title);
+
+            if (result.heading && result.heading !== result.title) {
+                const heading = document.createElement('span');
+                heading.className = 'search-overlay__heading';
+                heading.appendChild(highlight(result.heading, result.matched));
+                link.appendChild(heading);
+            }
+
+            const text = snippet(result.text, result.matched);
+            if (text) link.appendChild(text);
+
+            option.appendChild(link);
+            return option;
+        }));
+
+        overlay.input.setAttribute('aria-expanded', String(found.length > 0));
+        overlay.input.removeAttribute('aria-activedescendant');
+    }
+
+    function setActive(position) {
+        active = position;
+        Array.from(overlay.list.children).forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === position));
+            option.classList.toggle('is-active', i === position);
+        });
+
+        const option = overlay.list.children[position];
+        if (option) {
+            overlay.input.setAttribute('aria-activedescendant', option.id);
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Opening and closing
+     */
+    function open(opener) {
+        getOverlay();
+        if (!overlay.element.hidden) return;
+
+        load().catch(() => {});
+        overlay.element.hidden = false;
+        DMC.dialogs.open(overlay.element, {
+            opener,
+            onEscape: () => close(),
+            // The results are reached with the arrow keys
+            focusable: () => [overlay.input, overlay.closeBtn]
+        });
+        overlay.input.focus();
+        overlay.input.select();
+        if (overlay.input.value.trim()) update();
+    }
+
+    function close({ restoreFocus = true } = {}) {
+        if (!overlay || overlay.element.hidden) return;
+
+        overlay.element.hidden = true;
+        DMC.dialogs.close(overlay.element, { restoreFocus });
+    }
+
+    /**
+     * Setup
+     */
+    function createOpener(element) {
+        const onClick = () => open(element);
+        const prefetch = () => load().catch(() => {});
+        element.addEventListener('click', onClick);
+        element.addEventListener('pointerenter', prefetch, { once: true });
+
+        return {
+            destroy() {
+                element.removeEventListener('click', onClick);
+                element.removeEventListener('pointerenter', prefetch);
+            }
+        };
+    }
+
+    // "/" opens search from anywhere but a field
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+        if (!document.querySelector('[data-search]')) return;
+
+        const target = e.target;
+        if (target.closest && target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]')) return;
+        // Not over another dialog or the mobile menu
+        if (DMC.dialogs.top()) return;
+
+        e.preventDefault();
+        open(null);
+    });
+
+    if (typeof DMC !== 'undefined') {
+        DMC.register('search', {
+            attribute: 'data-search',
+            create: (element) => createOpener(element),
+            destroy: (opener) => opener.destroy()
+        });
+    }
+
+    window.DMCSearch = {
+        open: () => open(null),
+        close: () => close(),
+        query
+    };
+})();
@@ -0,0 +1,675 @@
+/**
+ * DMC Madeira - My Madeira shortlist
+ * Lets visitors save experiences as they browse, add travellers and notes to each, and
+ * send the list to the team as an enquiry, an e-mail or a WhatsApp message.
+ *
+ * Loaded on every page, after dmc.js (the header button opens the list anywhere):
+ * <script src="assets/js/shortlist.js"></script>
+ *
+ * Save buttons come through the DMC registry. An element with data-shortlist gets one in
+ * its [data-shortlist-slot], else at its end:
+ * <article data-shortlist='{"id": "golf", "url": "golf.html"}'>
+ *     <h3>Golf (Madeira & Porto Santo)</h3>
+ *     ...
+ * </article>
+ *
+ * Options of data-shortlist:
+ * - id: The experience, as the enquiry form's interests name it (e.g. "golf"); required
+ * - title: Its name in the list (default: the element's first heading)
+ * - url: Its page (default: this page, at the element's id)
+ *
+ * The header button (partials/header.html) carries data-shortlist-open with where the
+ * list can be sent, { email, number }. It shows how many are saved and stays hidden
+ * while the list is empty.
+ *
+ * The drawer it opens lists the experiences, each with travellers and notes, and offers:
+ * - Send as an enquiry: contact-us.html?experience=..&adults=..&message=..#enquiry
+ * - E-mail and WhatsApp: the same summary as a mailto: or wa.me message
+ * - Copy link: this page with ?shortlist=.., which adds the list to whoever opens it
+ * - Print: the list alone, as an itinerary
+ *
+ * The list lives in localStorage (dmc-shortlist), so it carries across tabs and both
+ * languages; titles stay as they were saved. Events bubble to document: `shortlist:add`
+ * and `shortlist:remove` (with { id, count }), and `shortlist:send` (with { channel,
+ * count, ids }) when the list goes out.
+ *
+ * API:
+ * DMCShortlist.items()              -> [{ id, title, url, travellers, notes }]
+ * DMCShortlist.has('golf')          -> boolean
+ * DMCShortlist.add({ id, title, url }), DMCShortlist.remove('golf')
+ * DMCShortlist.update('golf', { travellers: 4, notes: '...' })
+ * DMCShortlist.open(), DMCShortlist.close()
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'dmc-shortlist';
+    const SHARE_PARAM = 'shortlist';
+    const ID_PATTERN = /^[a-z0-9-]{1,60}$/;
+    const MAX_ITEMS = 20;
+    const MAX_TRAVELLERS = 500;
+    const MAX_NOTES = 500;
+    // The enquiry form's message field
+    const MAX_MESSAGE = 3000;
+
+    const labels = {
+        title: 'My Madeira',
+        save: 'Save to My Madeira',
+        count: '{count} saved',
+        countOne: '1 saved',
+        close: 'Close',
+        intro: 'Add how many are travelling and any notes, then send the list to our team as one enquiry.',
+        empty: 'Nothing saved yet. Use "Save to My Madeira" on any experience to add it here.',
+        travellers: 'Travellers',
+        notes: 'Notes',
+        remove: 'Remove {title}',
+        enquire: 'Send as an enquiry',
+        email: 'E-mail',
+        whatsapp: 'WhatsApp',
+        share: 'Copy link',
+        copied: 'Link copied. Whoever opens it gets these experiences in their own list.',
+        copyFailed: 'Copy this link to share the list:',
+        print: 'Print',
+        imported: 'The shared experiences were added to your list.',
+        summary: 'My Madeira shortlist',
+        printed: 'Printed on {date} from www.dmcmadeira.pt',
+        ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('shortlist') : {})
+    };
+
+    const settings = {
+        email: 'travel@dmcmadeira.pt',
+        number: null,
+        contact: 'contact-us.html'
+    };
+
+    const toggles = new Set();
+    const openers = new Set();
+    let list = read();
+    let drawer = null;
+
+    function format(text, values) {
+        return String(text).replace(/\{(\w+)\}/g, (all, name) => (
+            values[name] !== undefined ? values[name] : all
+        ));
+    }
+
+    function emit(target, type, detail) {
+        (target && target.isConnected ? target : document).dispatchEvent(
+            new CustomEvent(`shortlist:${type}`, { bubbles: true, detail })
+        );
+    }
+
+    /**
+     * Storage
+     */
+
+    // Same-site paths only, so a shared list can't carry links elsewhere
+    function cleanUrl(url) {
+        if (typeof url !== 'string' || !url) return null;
+        try {
+            const resolved = new URL(url, window.location.href);
+            return resolved.origin === window.location.origin ? resolved.pathname + resolved.hash : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function cleanItem(item) {
+        if (!item || typeof item.id !== 'string' || !ID_PATTERN.test(item.id)) return null;
+
+        const travellers = parseInt(item.travellers, 10);
+        return {
+            id: item.id,
+            title: typeof item.title === 'string' && item.title.trim() ? item.title.trim().slice(0, 120) : item.id,
+            url: cleanUrl(item.url),
+            travellers: travellers >= 1 && travellers <= MAX_TRAVELLERS ? travellers : null,
+            notes: typeof item.notes === 'string' ? item.notes.slice(0, MAX_NOTES) : ''
+        };
+    }
+
+    function clean(items) {
+        if (!Array.isArray(items)) return [];
+        return items
+            .map(cleanItem)
+            .filter((item, index, all) => item && all.findIndex(other => other && other.id === item.id) === index)
+            .slice(0, MAX_ITEMS);
+    }
+
+    function read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return clean(stored && stored.items);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function write() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, items: list }));
+        } catch (error) {
+            // Storage blocked or full: the list lasts for this page
+        }
+    }
+
+    function find(id) {
+        return list.find(item => item.id === id) || null;
+    }
+
+    function has(id) {
+        return !!find(id);
+    }
+
+    function add(item, source) {
+        const entry = cleanItem(item);
+        if (!entry || has(entry.id) || list.length >= MAX_ITEMS) return false;
+
+        list.push(entry);
+        write();
+        refresh();
+        emit(source, 'add', { id: entry.id, count: list.length });
+        return true;
+    }
+
+    function remove(id, source) {
+        if (!has(id)) return false;
+
+        list = list.filter(item => item.id !== id);
+        write();
+        refresh();
+        emit(source, 'remove', { id, count: list.length });
+        return true;
+    }
+
+    // Travellers and notes, as typed; the drawer isn't redrawn so typing isn't interrupted
+    function update(id, changes) {
+        const item = find(id);
+        if (!item) return false;
+
+        Object.assign(item, cleanItem({ ...item, ...changes }));
+        write();
+        if (drawer) updateActions();
+        return true;
+    }
+
+    /**
+     * Sharing: the list as base64url JSON, [[id, title, url, travellers, notes], ...]
+     */
+    function encode(items) {
+        const json = JSON.stringify(items.map(item => [item.id, item.title, item.url, item.travellers, item.notes]));
+        const bytes = new TextEncoder().encode(json);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decode(value) {
+        try {
+            const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+            const json = new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+            const rows = JSON.parse(json);
+            return clean(Array.isArray(rows) ? rows.map(row => (Array.isArray(row) ? {
+                id: row[0], title: row[1], url: row[2], travellers: row[3], notes: row[4]
+            } : null)) : []);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function shareUrl() {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set(SHARE_PARAM, encode(list));
+        return url.href;
+    }
+
+    // Adds a shared list to the visitor's own (their notes win) and tidies the address bar
+    function importShared() {
+        const params = new URLSearchParams(window.location.search);
+        const value = params.get(SHARE_PARAM);
+        if (value === null) return;
+
+        const shared = decode(value);
+        const before = list.length;
+        shared.forEach(item => {
+            if (!has(item.id) && list.length < MAX_ITEMS) list.push(item);
+        });
+        if (list.length !== before) write();
+
+        params.delete(SHARE_PARAM);
+        const query = params.toString();
+        try {
+            history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        } catch (error) {
+            // Some file:// pages refuse; the parameter just stays
+        }
+
+        if (shared.length) {
+            refresh();
+            open(null);
+            setStatus(labels.imported);
+        }
+    }
+
+    /**
+     * Hand-offs
+     */
+    function absolute(url) {
+        return new URL(url, window.location.href).href;
+    }
+
+    function summary(links) {
+        const lines = [`${labels.summary}:`];
+        list.forEach((item, index) => {
+            lines.push('', `${index + 1}. ${item.title}`);
+            if (item.travellers) lines.push(`${labels.travellers}: ${item.travellers}`);
+            if (item.notes.trim()) lines.push(`${labels.notes}: ${item.notes.trim().replace(/\s+/g, ' ')}`);
+            if (links && item.url) lines.push(absolute(item.url));
+        });
+        return lines.join('\n');
+    }
+
+    function enquiryHref() {
+        const params = new URLSearchParams();
+        list.forEach(item => params.append('experience', item.id));
+
+        const adults = Math.max(0, ...list.map(item => item.travellers || 0));
+        if (adults) params.set('adults', adults);
+        params.set('message', summary(false).slice(0, MAX_MESSAGE));
+
+        return `${settings.contact}?${params}#enquiry`;
+    }
+
+    function emailHref() {
+        return `mailto:${settings.email}?subject=${encodeURIComponent(labels.summary)}&body=${encodeURIComponent(summary(true))}`;
+    }
+
+    function whatsappHref() {
+        return `https://wa.me/${settings.number}?text=${encodeURIComponent(summary(true))}`;
+    }
+
+    /**
+     * Save buttons
+     */
+    function createToggle(element, options) {
+        if (!ID_PATTERN.test(options.id || '')) {
+            console.warn('DMCShortlist: data-shortlist needs an id', element);
+            return null;
+        }
+
+        const heading = element.querySelector('h1, h2, h3, h4');
+        const item = {
+            id: options.id,
+            title: options.title || (heading ? heading.textContent.replace(/\s+/g, ' ').trim() : options.id),
+            url: options.url || `${window.location.pathname}${element.id ? `#${element.id}` : ''}`
+        };
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'shortlist-toggle';
+        button.innerHTML = `
+            <svg class="shortlist-toggle__icon" width="18" height="18" viewBox="0 0 24 24" aria-hidden="true"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>
+            <span class="shortlist-toggle__text"></span><span class="sr-only"></span>`;
+        button.querySelector('.shortlist-toggle__text').textContent = labels.save;
+        button.querySelector('.sr-only').textContent = `: ${item.title}`;
+        button.addEventListener('click', () => {
+            if (has(item.id)) {
+                remove(item.id, button);
+            } else {
+                add(item, button);
+            }
+        });
+
+        const slot = element.querySelector('[data-shortlist-slot]') || element;
+        slot.appendChild(button);
+
+        const toggle = {
+            id: item.id,
+            button,
+            render() {
+                const saved = has(item.id);
+                button.setAttribute('aria-pressed', String(saved));
+                button.classList.toggle('is-saved', saved);
+            },
+            destroy() {
+                button.remove();
+                toggles.delete(toggle);
+            }
+        };
+        toggles.add(toggle);
+        toggle.render();
+        return toggle;
+    }
+
+    /**
+     * Header button
+     */
+    function createOpener(element, options) {
+        ['email', 'number', 'contact'].forEach(key => {
+            if (typeof options[key] === 'string' && options[key]) settings[key] = options[key];
+        });
+
+        const onClick = () => open(element);
+        element.addEventListener('click', onClick);
+
+        const opener = {
+            render() {
+                const count = element.querySelector('[data-shortlist-count]');
+                if (count) count.textContent = list.length;
+                element.hidden = !list.length;
+                element.setAttribute('aria-label', `${labels.title}, ${list.length === 1 ? labels.countOne : format(labels.count, { count: list.length })}`);
+            },
+            destroy() {
+                element.removeEventListener('click', onClick);
+                openers.delete(opener);
+            }
+        };
+        openers.add(opener);
+        opener.render();
+        return opener;
+    }
+
+    function refresh() {
+        toggles.forEach(toggle => toggle.render());
+        openers.forEach(opener => opener.render());
+        if (drawer) renderList();
+    }
+
+    /**
+     * Drawer
+     */
+    function getDrawer() {
+        if (drawer && drawer.element.isConnected) return drawer;
+
+        const element = document.createElement('div');
+        element.className = 'shortlist-drawer';
+        element.hidden = true;
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-modal', 'true');
+        element.setAttribute('aria-labelledby', 'shortlist-drawer-title');
+        element.innerHTML = `
+            <div class="shortlist-drawer__panel">
+                <div class="shortlist-drawer__header">
+                    <h2 class="shortlist-drawer__title" id="shortlist-drawer-title"></h2>
+                    <button type="button" class="shortlist-drawer__close">
+                        <svg aria-hidden="true" width="16" height="16" viewBox="0 0 20 20" fill="none"><path d="M1 1L19 19M19 1L1 19" stroke="currentColor" stroke-width="2" stroke-linecap="round" /></svg>
+                    </button>
+                </div>
+                <p class="shortlist-drawer__intro"></p>
+                <p class="shortlist-drawer__empty"></p>
+                <ol class="shortlist-drawer__list"></ol>
+                <div class="shortlist-drawer__status" role="status"></div>
+                <div class="shortlist-drawer__actions">
+                    <a class="btn btn--white shortlist-drawer__enquire" data-shortlist-send="enquiry"></a>
+                    <div class="shortlist-drawer__more">
+                        <a class="shortlist-drawer__action" data-shortlist-send="email"></a>
+                        <a class="shortlist-drawer__action" data-shortlist-send="whatsapp" target="_blank" rel="noopener noreferrer"></a>
+                        <button type="button" class="shortlist-drawer__action" data-shortlist-share></button>
+                        <button type="button" class="shortlist-drawer__action" data-shortlist-print></button>
+                    </div>
+                </div>
+            </div>
+            <div class="shortlist-drawer__print"></div>`;
+        document.body.appendChild(element);
+
+        const query = (selector) => element.querySelector(selector);
+        drawer = {
+            element,
+            closeBtn: query('.shortlist-drawer__close'),
+            list: query('.shortlist-drawer__list'),
+            empty: query('.shortlist-drawer__empty'),
+            status: query('.shortlist-drawer__status'),
+            actions: query('.shortlist-drawer__actions'),
+            enquire: query('[data-shortlist-send="enquiry"]'),
+            email: query('[data-shortlist-send="email"]'),
+            whatsapp: query('[data-shortlist-send="whatsapp"]'),
+            share: query('[data-shortlist-share]'),
+            print: query('[data-shortlist-print]'),
+            printView: query('.shortlist-drawer__print'),
+            opener: null
+        };
+
+        query('.shortlist-drawer__title').textContent = labels.title;
+        query('.shortlist-drawer__intro').textContent = labels.intro;
+        drawer.empty.textContent = labels.empty;
+        drawer.closeBtn.setAttribute('aria-label', labels.close);
+        drawer.enquire.textContent = labels.enquire;
+        drawer.email.textContent = labels.email;
+        drawer.whatsapp.textContent = labels.whatsapp;
+        drawer.share.textContent = labels.share;
+        drawer.print.textContent = labels.print;
+
+        bindDrawer();
+        renderList();
+        return drawer;
+    }
+
+    function bindDrawer() {
+        const { element } = drawer;
+
+        drawer.closeBtn.addEventListener('click', () => close());
+        element.addEventListener('click', (e) => {
+            if (e.target === element) close();
+
+            const send = e.target.closest('[data-shortlist-send]');
+            if (send) {
+                emit(send, 'send', { channel: send.getAttribute('data-shortlist-send'), count: list.length, ids: list.map(item => item.id) });
+            }
+
+            const removeBtn = e.target.closest('[data-shortlist-remove]');
+            if (removeBtn) removeFromDrawer(removeBtn);
+        });
+
+        ['input', 'change'].forEach(type => {
+            element.addEventListener(type, (e) => {
+                const row = e.target.closest('[data-shortlist-item]');
+                if (!row || !e.target.name) return;
+                update(row.getAttribute('data-shortlist-item'), { [e.target.name]: e.target.value });
+            });
+        });
+
+        drawer.share.addEventListener('click', () => copyLink());
+        drawer.print.addEventListener('click', () => print());
+    }
+
+    function renderList() {
+        drawer.list.replaceChildren(...list.map(renderItem));
+        drawer.empty.hidden = list.length > 0;
+        drawer.actions.hidden = list.length === 0;
+        updateActions();
+    }
+
+    function renderItem(item) {
+        const row = document.createElement('li');
+        row.className = 'shortlist-drawer__item';
+        row.setAttribute('data-shortlist-item', item.id);
+        row.innerHTML = `
+            <div class="shortlist-drawer__item-header">
+                <a class="shortlist-drawer__item-title"></a>
+                <button type="button" class="shortlist-drawer__remove" data-shortlist-remove>
+                    <svg aria-hidden="true" width="12" height="12" viewBox="0 0 20 20" fill="none"><path d="M1 1L19 19M19 1L1 19" stroke="currentColor" stroke-width="2" stroke-linecap="round" /></svg>
+                </button>
+            </div>
+            <div class="shortlist-drawer__fields">
+                <label class="shortlist-drawer__field shortlist-drawer__field--travellers">
+                    <span class="shortlist-drawer__label"></span>
+                    <input class="shortlist-drawer__input" type="number" name="travellers" min="1" max="${MAX_TRAVELLERS}" step="1" inputmode="numeric">
+                </label>
+                <label class="shortlist-drawer__field">
+                    <span class="shortlist-drawer__label"></span>
+                    <textarea class="shortlist-drawer__input shortlist-drawer__notes" name="notes" rows="2" maxlength="${MAX_NOTES}"></textarea>
+                </label>
+            </div>`;
+
+        const title = row.querySelector('.shortlist-drawer__item-title');
+        title.textContent = item.title;
+        if (item.url) title.href = item.url;
+
+        row.querySelector('[data-shortlist-remove]').setAttribute('aria-label', format(labels.remove, { title: item.title }));
+        const [travellersLabel, notesLabel] = row.querySelectorAll('.shortlist-drawer__label');
+        travellersLabel.textContent = labels.travellers;
+        notesLabel.textContent = labels.notes;
+        row.querySelector('[name="travellers"]').value = item.travellers || '';
+        row.querySelector('[name="notes"]').value = item.notes;
+        return row;
+    }
+
+    function updateActions() {
+        drawer.enquire.href = enquiryHref();
+        drawer.email.href = emailHref();
+        drawer.whatsapp.hidden = !settings.number;
+        if (settings.number) drawer.whatsapp.href = whatsappHref();
+    }
+
+    // Focus moves to the next experience, else the previous, else the close button
+    function removeFromDrawer(button) {
+        const row = button.closest('[data-shortlist-item]');
+        const next = row.nextElementSibling || row.previousElementSibling;
+        const nextId = next ? next.getAttribute('data-shortlist-item') : null;
+
+        remove(row.getAttribute('data-shortlist-item'), drawer.element);
+
+        const target = nextId && drawer.list.querySelector(`[data-shortlist-item="${nextId}"] [data-shortlist-remove]`);
+        (target || drawer.closeBtn).focus();
+    }
+
+    function setStatus(text, link) {
+        const { status } = getDrawer();
+        status.textContent = text;
+        if (link) {
+            const input = document.createElement('input');
+            input.className = 'shortlist-drawer__input shortlist-drawer__share-url';
+            input.readOnly = true;
+            input.value = link;
+            input.setAttribute('aria-label', labels.share);
+            status.appendChild(input);
+            input.focus();
+            input.select();
+        }
+    }
+
+    function copyLink() {
+        const link = shareUrl();
+        const copied = navigator.clipboard && navigator.clipboard.writeText
+            ? navigator.clipboard.writeText(link)
+            : Promise.reject(new Error('No clipboard'));
+
+        copied
+            .then(() => setStatus(labels.copied))
+            .catch(() => setStatus(labels.copyFailed, link));
+        emit(drawer.share, 'send', { channel: 'link', count: list.length, ids: list.map(item => item.id) });
+    }
+
+    /**
+     * Print view: only the itinerary prints (see shortlist.css)
+     */
+    function renderPrint() {
+        const { printView } = drawer;
+        const date = new Date().toLocaleDateString(document.documentElement.lang || 'en', {
+            day: 'numeric', month: 'long', year: 'numeric'
+        });
+
+        const heading = document.createElement('h1');
+        heading.textContent = labels.title;
+        const meta = document.createElement('p');
+        meta.className = 'shortlist-drawer__print-meta';
+        meta.textContent = `${format(labels.printed, { date })} · ${settings.email}`;
+
+        const items = document.createElement('ol');
+        list.forEach(item => {
+            const entry = document.createElement('li');
+            const title = document.createElement('h2');
+            title.textContent = item.title;
+            entry.appendChild(title);
+
+            [
+                item.travellers ? `${labels.travellers}: ${item.travellers}` : null,
+                item.notes.trim() ? `${labels.notes}: ${item.notes.trim()}` : null,
+                item.url ? absolute(item.url) : null
+            ].filter(Boolean).forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                entry.appendChild(line);
+            });
+            items.appendChild(entry);
+        });
+
+        printView.replaceChildren(heading, meta, items);
+    }
+
+    function print() {
+        renderPrint();
+        const root = document.documentElement;
+        root.classList.add('is-printing-shortlist');
+        window.addEventListener('afterprint', () => root.classList.remove('is-printing-shortlist'), { once: true });
+        emit(drawer.print, 'send', { channel: 'print', count: list.length, ids: list.map(item => item.id) });
+        window.print();
+    }
+
+    /**
+     * Opening and closing
+     */
+    function open(opener) {
+        getDrawer();
+        if (!drawer.element.hidden) return;
+
+        drawer.opener = opener || document.activeElement;
+        drawer.status.textContent = '';
+        drawer.element.hidden = false;
+        DMC.dialogs.open(drawer.element, { opener: drawer.opener, onEscape: () => close() });
+        drawer.closeBtn.focus();
+    }
+
+    function close() {
+        if (!drawer || drawer.element.hidden) return;
+
+        drawer.element.hidden = true;
+        DMC.dialogs.close(drawer.element, { restoreFocus: false });
+
+        const { opener } = drawer;
+        drawer.opener = null;
+        // The header button hides once the list is empty; its menu button is next best
+        const target = opener && opener.isConnected && !opener.hidden
+            ? opener
+            : document.querySelector('.header__menu-btn:not([hidden]), .header__logo');
+        if (target && typeof target.focus === 'function') target.focus();
+    }
+
+    /**
+     * Setup
+     */
+
+    // Another tab changed the list
+    window.addEventListener('storage', (e) => {
+        if (e.key !== STORAGE_KEY && e.key !== null) return;
+        list = read();
+        refresh();
+    });
+
+    document.addEventListener('DOMContentLoaded', importShared);
+
+    if (typeof DMC !== 'undefined') {
+        DMC.register('shortlist', {
+            attribute: 'data-shortlist',
+            create: (element, options) => createToggle(element, options),
+            destroy: (toggle) => toggle.destroy()
+        });
+        DMC.register('shortlist-open', {
+            attribute: 'data-shortlist-open',
+            create: (element, options) => createOpener(element, options),
+            destroy: (opener) => opener.destroy()
+        });
+    }
+
+    window.DMCShortlist = {
+        items: () => list.map(item => ({ ...item })),
+        has,
+        add: (item) => add(item, null),
+        remove: (id) => remove(id, null),
+        update,
+        open: () => open(null),
+        close
+    };
+})();
@@ -0,0 +1,411 @@
+/**
+ * DMC Madeira - Video
+ * Poster-image facades for YouTube, Vimeo and self-hosted videos: nothing is requested
+ * from a video host until the visitor presses play.
+ *
+ * Usage (through the DMC registry, dmc.js):
+ * <div class="story-continues__video" data-video='{"youtube": "9drTdFm1xow"}'>
+ *     <img src="poster.webp" alt="Our story" loading="lazy">
+ *     <button class="story-continues__play" aria-label="Play video"></button>
+ * </div>
+ *
+ * Options:
+ * - The source, one of:
+ *   youtube: video id, played from youtube-nocookie.com
+ *   vimeo:   video id, played with Vimeo's do-not-track setting
+ *   src:     an MP4 file, or an HLS playlist (.m3u8) for browsers that play HLS natively
+ *            (Safari, iOS); elsewhere `fallback`, an MP4, plays instead
+ * - mode: 'modal' (default) plays in a full-screen dialog, 'inline' in place of the poster
+ * - title: names the player for screen readers (default: the poster's alt text)
+ * - poster: still shown before a self-hosted video starts (default: the poster image)
+ *
+ * The play control is the first <button> inside the element, else the element itself,
+ * which is then made focusable and keyboard operable.
+ *
+ * Consent: YouTube and Vimeo set their own cookies, so they wait for the visitor's
+ * "Embedded media" choice (consent.js). Without it, play shows a prompt over the poster
+ * to load this one video or always load videos (which saves that choice). Self-hosted
+ * videos play straight away.
+ *
+ * Modal: one dialog per page, created on first use. Escape, the close button or a click
+ * on the backdrop closes it; Tab stays inside and focus returns to the play control.
+ * Closing pauses the video and playing it again resumes it. Starting a video pauses
+ * any other on the page.
+ *
+ * Events: `video:play` bubbles from the element with { provider, id, mode } each time
+ * the visitor starts the video (provider 'youtube', 'vimeo' or 'file', whose id is its URL).
+ */
+
+const DMC_VIDEO_PROVIDERS = {
+    youtube: {
+        name: 'YouTube',
+        origin: 'https://www.youtube-nocookie.com',
+        url: (id) => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}`
+            + `?autoplay=1&rel=0&playsinline=1&enablejsapi=1&origin=${encodeURIComponent(window.location.origin)}`,
+        commands: {
+            play: { event: 'command', func: 'playVideo', args: '' },
+            pause: { event: 'command', func: 'pauseVideo', args: '' }
+        }
+    },
+    vimeo: {
+        name: 'Vimeo',
+        origin: 'https://player.vimeo.com',
+        url: (id) => `https://player.vimeo.com/video/${encodeURIComponent(id)}?autoplay=1&dnt=1&playsinline=1`,
+        commands: {
+            play: { method: 'play' },
+            pause: { method: 'pause' }
+        }
+    }
+};
+
+class DMCVideo {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = options;
+        this.labels = {
+            play: 'Play video',
+            close: 'Close video',
+            dialog: 'Video',
+            consent: 'This video is hosted by {provider}, which may set its own cookies.',
+            load: 'Load video',
+            always: 'Always load videos',
+            ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('video') : {}),
+            ...(options.labels || {})
+        };
+
+        this.provider = Object.keys(DMC_VIDEO_PROVIDERS).find(name => options[name])
+            || (options.src ? 'file' : null);
+        this.id = this.provider === 'file' ? options.src : options[this.provider];
+        this.mode = options.mode === 'inline' ? 'inline' : 'modal';
+
+        const poster = element.querySelector('img');
+        this.poster = poster;
+        this.title = options.title || (poster && poster.alt) || this.labels.dialog;
+
+        this.player = null;
+        this.prompt = null;
+        this.allowed = false;
+        this.controller = new AbortController();
+        this.added = [];
+
+        if (!this.provider) {
+            console.warn('DMCVideo: No youtube, vimeo or src option', element);
+            return;
+        }
+
+        this.setup();
+        DMCVideo.instances.add(this);
+    }
+
+    setup() {
+        const { signal } = this.controller;
+        const button = this.element.querySelector('button');
+        this.trigger = button || this.element;
+        // The consent prompt and the inline player cover the play control's box
+        this.container = button ? button.parentElement : this.element;
+
+        // Attributes set here are removed again by destroy()
+        const add = (name, value) => {
+            if (this.trigger.hasAttribute(name)) return;
+            this.trigger.setAttribute(name, value);
+            this.added.push(name);
+        };
+
+        if (!button && !this.element.matches('a[href]')) {
+            add('role', 'button');
+            add('tabindex', '0');
+            add('aria-label', this.labels.play);
+            this.element.addEventListener('keydown', (e) => {
+                if ((e.key === 'Enter' || e.key === ' ') && e.target === this.element) {
+                    e.preventDefault();
+                    this.play();
+                }
+            }, { signal });
+        }
+        if (this.mode === 'modal') add('aria-haspopup', 'dialog');
+
+        this.trigger.addEventListener('click', (e) => {
+            // Clicks in the consent prompt or the inline player aren't requests to play
+            if (e.target.closest('.video__consent, .video__player')) return;
+            e.preventDefault();
+            this.play();
+        }, { signal });
+
+        // Consent given elsewhere (the banner, the preferences dialog) clears the prompt
+        document.addEventListener('consent:change', () => {
+            if (!this.needsConsent()) this.hidePrompt();
+        }, { signal });
+    }
+
+    needsConsent() {
+        if (this.provider === 'file' || this.allowed) return false;
+        return !(typeof DMCConsent !== 'undefined' && DMCConsent.has('media'));
+    }
+
+    play() {
+        if (this.needsConsent()) {
+            this.showPrompt();
+            return;
+        }
+        this.hidePrompt();
+
+        DMCVideo.instances.forEach(video => {
+            if (video !== this) video.pause();
+        });
+
+        if (this.mode === 'modal') {
+            DMCVideo.openModal(this);
+        } else {
+            this.playInline();
+        }
+        this.emit('play');
+    }
+
+    playInline() {
+        if (this.player) {
+            this.command('play');
+        } else {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'video__player';
+            this.player = this.createPlayer();
+            wrapper.appendChild(this.player);
+            this.container.appendChild(wrapper);
+        }
+
+        this.player.focus();
+    }
+
+    pause() {
+        this.command('pause');
+    }
+
+    // Play or pause a player that already exists, through the host's postMessage API
+    command(name) {
+        if (!this.player) return;
+
+        if (this.provider === 'file') {
+            if (name === 'pause') {
+                this.player.pause();
+            } else {
+                const playing = this.player.play();
+                if (playing && playing.catch) playing.catch(() => {});
+            }
+            return;
+        }
+
+        const { origin, commands } = DMC_VIDEO_PROVIDERS[this.provider];
+        if (this.player.contentWindow) {
+            this.player.contentWindow.postMessage(JSON.stringify(commands[name]), origin);
+        }
+    }
+
+    createPlayer() {
+        if (this.provider === 'file') {
+            const video = document.createElement('video');
+            video.controls = true;
+            video.autoplay = true;
+            video.playsInline = true;
+            video.preload = 'metadata';
+            video.setAttribute('aria-label', this.title);
+            video.setAttribute('data-video-player', '');
+
+            const poster = this.options.poster || (this.poster && (this.poster.currentSrc || this.poster.src));
+            if (poster) video.poster = poster;
+            video.src = this.source(video);
+            return video;
+        }
+
+        const iframe = document.createElement('iframe');
+        iframe.src = DMC_VIDEO_PROVIDERS[this.provider].url(this.id);
+        iframe.title = this.title;
+        iframe.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+        iframe.allowFullscreen = true;
+        iframe.setAttribute('data-video-player', '');
+        return iframe;
+    }
+
+    // HLS only where the browser plays it natively, else the MP4 fallback
+    source(video) {
+        const { src, fallback } = this.options;
+        if (!/\.m3u8($|\?)/i.test(src) || video.canPlayType('application/vnd.apple.mpegurl')) {
+            return src;
+        }
+        if (!fallback) console.warn('DMCVideo: HLS needs an MP4 fallback in this browser', this.element);
+        return fallback || src;
+    }
+
+    /**
+     * Consent prompt
+     */
+    showPrompt() {
+        if (!this.prompt) {
+            const canSave = typeof DMCConsent !== 'undefined';
+            const provider = DMC_VIDEO_PROVIDERS[this.provider].name;
+
+            this.prompt = document.createElement('div');
+            this.prompt.className = 'video__consent';
+            this.prompt.setAttribute('role', 'group');
+            this.prompt.setAttribute('aria-label', this.title);
+            this.prompt.innerHTML = `
+                <p class="video__consent-text">${this.labels.consent.replace('{provider}', provider)}</p>
+                <div class="video__consent-buttons">
+                    <button type="button" class="cookie-banner__btn cookie-banner__btn--accept video__consent-btn"
+                        data-video-load>${this.labels.load}</button>
+                    ${canSave ? `<button type="button" class="cookie-banner__btn cookie-banner__btn--reject video__consent-btn"
+                        data-video-always>${this.labels.always}</button>` : ''}
+                </div>`;
+
+            const { signal } = this.controller;
+            this.prompt.querySelector('[data-video-load]').addEventListener('click', () => {
+                this.allowed = true;
+                this.play();
+            }, { signal });
+            if (canSave) {
+                this.prompt.querySelector('[data-video-always]').addEventListener('click', () => {
+                    DMCConsent.save({ ...DMCConsent.getCategories(), media: true });
+                    this.play();
+                }, { signal });
+            }
+            this.prompt.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape') return;
+                e.stopPropagation();
+                this.hidePrompt();
+                this.trigger.focus();
+            }, { signal });
+
+            this.container.appendChild(this.prompt);
+        }
+
+        this.prompt.hidden = false;
+        this.prompt.querySelector('button').focus();
+    }
+
+    hidePrompt() {
+        if (!this.prompt || this.prompt.hidden) return;
+
+        const hadFocus = this.prompt.contains(document.activeElement);
+        this.prompt.hidden = true;
+        if (hadFocus) this.trigger.focus();
+    }
+
+    emit(event) {
+        this.element.dispatchEvent(new CustomEvent(`video:${event}`, {
+            bubbles: true,
+            detail: { provider: this.provider, id: this.id, mode: this.mode }
+        }));
+    }
+
+    destroy() {
+        if (DMCVideo.current === this) DMCVideo.closeModal();
+
+        this.controller.abort();
+        this.added.forEach(name => this.trigger.removeAttribute(name));
+
+        if (this.prompt) this.prompt.remove();
+        if (this.player) {
+            (this.mode === 'inline' ? this.player.parentElement : this.player).remove();
+        }
+        this.prompt = null;
+        this.player = null;
+        DMCVideo.instances.delete(this);
+    }
+
+    /**
+     * The modal, shared by every video on the page
+     */
+    static getModal() {
+        if (DMCVideo.modal && DMCVideo.modal.dialog.isConnected) return DMCVideo.modal;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'video-modal';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.innerHTML = `
+            <button type="button" class="video-modal__close">
+                <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="none">
+                    <path d="M1 1L19 19M19 1L1 19" stroke="#0E121B" stroke-width="2" stroke-linecap="round" />
+                </svg>
+            </button>
+            <div class="video-modal__content">
+                <div class="video-modal__wrapper"></div>
+            </div>`;
+        document.body.appendChild(dialog);
+
+        const modal = {
+            dialog,
+            closeBtn: dialog.querySelector('.video-modal__close'),
+            wrapper: dialog.querySelector('.video-modal__wrapper')
+        };
+
+        modal.closeBtn.addEventListener('click', () => DMCVideo.closeModal());
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog || e.target.classList.contains('video-modal__content')) {
+                DMCVideo.closeModal();
+            }
+        });
+
+        DMCVideo.modal = modal;
+        return modal;
+    }
+
+    static openModal(video) {
+        const modal = DMCVideo.getModal();
+
+        if (video.player) {
+            video.command('play');
+        } else {
+            video.player = video.createPlayer();
+            modal.wrapper.appendChild(video.player);
+        }
+        Array.from(modal.wrapper.children).forEach(player => {
+            player.hidden = player !== video.player;
+        });
+
+        modal.dialog.setAttribute('aria-label', video.title);
+        modal.closeBtn.setAttribute('aria-label', video.labels.close);
+
+        if (!DMCVideo.current) {
+            modal.dialog.classList.add('is-open');
+            DMC.dialogs.open(modal.dialog, {
+                opener: video.trigger,
+                onEscape: () => DMCVideo.closeModal(),
+                // Between the close button and the player
+                focusable: () => [modal.closeBtn, DMCVideo.current.player]
+            });
+        }
+        DMCVideo.current = video;
+        modal.closeBtn.focus();
+    }
+
+    static closeModal() {
+        const modal = DMCVideo.modal;
+        const video = DMCVideo.current;
+        if (!modal || !video) return;
+
+        video.pause();
+        DMCVideo.current = null;
+        modal.dialog.classList.remove('is-open');
+        DMC.dialogs.close(modal.dialog);
+    }
+}
+
+DMCVideo.instances = new Set();
+DMCVideo.modal = null;
+DMCVideo.current = null;
+
+// Register with the component registry so [data-video] facades initialise themselves
+if (typeof DMC !== 'undefined') {
+    DMC.register('video', {
+        attribute: 'data-video',
+        create: (element, options) => {
+            const video = new DMCVideo(element, options);
+            return video.provider ? video : null;
+        },
+        destroy: (video) => video.destroy()
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMCVideo;
+}
@@ -0,0 +1,345 @@
+/**
+ * DMC Madeira - WhatsApp
+ * Office hours notice and desktop fallback for the floating WhatsApp button.
+ *
+ * The button comes from partials/whatsapp.html: its wa.me link already carries a
+ * prefilled message about the page (set per page with the partial's "topic" option), and
+ * data-whatsapp holds the settings from partials/whatsapp.json:
+ * <a href="https://wa.me/351...?text=..." class="whatsapp-float"
+ *     data-whatsapp='{"email": "...", "timeZone": "Atlantic/Madeira", "hours": {...}, "holidays": [...]}'>
+ *
+ * - Outside office hours (weekdays and times in the office's time zone, holidays
+ *   excluded) the button gets `is-offline` and a tooltip saying when the team replies.
+ *   It shows on hover and focus, and on its own once per session.
+ * - On desktop (a mouse and no touch screen) a click opens a small panel instead of
+ *   WhatsApp Web: a QR code to carry the chat over to a phone, a link to WhatsApp Web
+ *   and an e-mail alternative. The QR encoder (qr-code.js) loads on first open.
+ * - Pages without the button (partial option "off") simply have nothing to initialise.
+ *
+ * Options (besides the settings above):
+ * - labels: Tooltip and panel strings; defaults come from DMCLanguage in the page
+ *   language, see language.js
+ */
+
+// qr-code.js sits next to this file
+const DMC_WHATSAPP_BASE = document.currentScript ? document.currentScript.src.replace(/[^/]*$/, '') : '';
+
+class DMCWhatsApp {
+    constructor(element, options = {}) {
+        this.link = typeof element === 'string' ? document.querySelector(element) : element;
+
+        if (!this.link) {
+            console.warn('DMCWhatsApp: Button element not found');
+            return;
+        }
+
+        this.options = {
+            email: 'travel@dmcmadeira.pt',
+            timeZone: 'Atlantic/Madeira',
+            hours: { days: [1, 2, 3, 4, 5], open: '09:00', close: '18:00' },
+            holidays: [],
+            ...options,
+            labels: {
+                morning: 'We\'re out of the office now. Message us and we\'ll reply in the morning.',
+                later: 'We\'re out of the office now. Message us and we\'ll reply on the next working day.',
+                title: 'Chat with us on WhatsApp',
+                scan: 'Scan the code with your phone to continue the chat there.',
+                qr: 'QR code for our WhatsApp chat',
+                web: 'Open WhatsApp Web',
+                email: 'E-mail us instead',
+                close: 'Close',
+                ...(typeof DMCLanguage !== 'undefined' ? DMCLanguage.strings('whatsapp') : {}),
+                ...(options.labels || {})
+            }
+        };
+
+        this.desktop = window.matchMedia ? window.matchMedia('(hover: hover) and (pointer: fine)') : null;
+        this.abortController = new AbortController();
+        this.panel = null;
+        this.tooltip = null;
+        this.timers = [];
+
+        this.updateAvailability();
+        this.peekTooltip();
+        // Keep the notice right for pages left open across opening or closing time
+        this.interval = setInterval(() => this.updateAvailability(), 60000);
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const { signal } = this.abortController;
+
+        this.link.addEventListener('click', (e) => {
+            if (!this.isDesktop() || e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+
+            e.preventDefault();
+            if (this.isPanelOpen()) {
+                this.closePanel();
+            } else {
+                this.openPanel();
+            }
+        }, { signal });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPanelOpen()) {
+                this.closePanel();
+                this.link.focus();
+            }
+        }, { signal });
+
+        document.addEventListener('click', (e) => {
+            if (this.isPanelOpen() && !this.panel.contains(e.target) && !this.link.contains(e.target)) {
+                this.closePanel();
+            }
+        }, { signal });
+    }
+
+    isDesktop() {
+        return !!(this.desktop && this.desktop.matches);
+    }
+
+    /**
+     * Office hours, in the office's time zone whatever the visitor's
+     */
+    static minutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // { day: 'YYYY-MM-DD', weekday: 0-6 (Sunday = 0), minutes since midnight }
+    officeTime(date = new Date()) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: this.options.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const day = `${parts.year}-${parts.month}-${parts.day}`;
+        return {
+            day,
+            weekday: new Date(`${day}T00:00:00Z`).getUTCDay(),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    isWorkingDay(day, weekday) {
+        return this.options.hours.days.includes(weekday) && !this.options.holidays.includes(day);
+    }
+
+    isOpen(date = new Date()) {
+        const now = this.officeTime(date);
+        const { open, close } = this.options.hours;
+
+        return this.isWorkingDay(now.day, now.weekday)
+            && now.minutes >= DMCWhatsApp.minutes(open)
+            && now.minutes < DMCWhatsApp.minutes(close);
+    }
+
+    // 'morning' when the office opens later today or tomorrow, 'later' after a weekend or holiday
+    nextOpening(date = new Date()) {
+        const now = this.officeTime(date);
+        if (this.isWorkingDay(now.day, now.weekday) && now.minutes < DMCWhatsApp.minutes(this.options.hours.open)) {
+            return 'morning';
+        }
+
+        const tomorrow = new Date(`${now.day}T00:00:00Z`);
+        tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+        return this.isWorkingDay(tomorrow.toISOString().slice(0, 10), tomorrow.getUTCDay()) ? 'morning' : 'later';
+    }
+
+    updateAvailability() {
+        const offline = !this.isOpen();
+        this.link.classList.toggle('is-offline', offline);
+
+        if (!offline) {
+            this.removeTooltip();
+            return;
+        }
+
+        if (!this.tooltip) {
+            this.tooltip = document.createElement('span');
+            this.tooltip.className = 'whatsapp-float__tooltip';
+            this.tooltip.id = 'whatsapp-tooltip';
+            this.tooltip.setAttribute('role', 'tooltip');
+            this.link.appendChild(this.tooltip);
+            this.link.setAttribute('aria-describedby', this.tooltip.id);
+        }
+        this.tooltip.textContent = this.options.labels[this.nextOpening()];
+        this.updatePanelNotice();
+    }
+
+    removeTooltip() {
+        if (!this.tooltip) return;
+
+        this.tooltip.remove();
+        this.tooltip = null;
+        this.link.removeAttribute('aria-describedby');
+        this.link.classList.remove('is-tooltip-visible');
+        this.updatePanelNotice();
+    }
+
+    // Shows the tooltip for a few seconds on the first page of a session, as touch screens can't hover
+    peekTooltip() {
+        if (!this.tooltip) return;
+
+        try {
+            if (sessionStorage.getItem('dmc-whatsapp-tooltip')) return;
+            sessionStorage.setItem('dmc-whatsapp-tooltip', 'shown');
+        } catch (error) {
+            // Storage blocked: show it anyway
+        }
+
+        this.timers.push(setTimeout(() => this.link.classList.add('is-tooltip-visible'), 2000));
+        this.timers.push(setTimeout(() => this.link.classList.remove('is-tooltip-visible'), 8000));
+    }
+
+    /**
+     * Desktop panel
+     */
+    message() {
+        try {
+            return new URL(this.link.href).searchParams.get('text') || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    createPanel() {
+        const { labels, email } = this.options;
+        const subject = this.message();
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'whatsapp-panel';
+        this.panel.id = 'whatsapp-panel';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-labelledby', 'whatsapp-panel-title');
+        this.panel.hidden = true;
+        this.panel.innerHTML = `
+            <p class="whatsapp-panel__title" id="whatsapp-panel-title"></p>
+            <div class="whatsapp-panel__qr" data-whatsapp-qr></div>
+            <p class="whatsapp-panel__text" data-whatsapp-scan></p>
+            <p class="whatsapp-panel__notice" data-whatsapp-notice hidden></p>
+            <div class="whatsapp-panel__buttons">
+                <a class="cookie-banner__btn cookie-banner__btn--accept whatsapp-panel__btn"
+                    target="_blank" rel="noopener noreferrer" data-whatsapp-web></a>
+                <a class="cookie-banner__btn cookie-banner__btn--reject whatsapp-panel__btn" data-whatsapp-email></a>
+            </div>
+            <button type="button" class="whatsapp-panel__close">&times;</button>`;
+
+        this.panel.querySelector('.whatsapp-panel__title').textContent = labels.title;
+        this.panel.querySelector('[data-whatsapp-scan]').textContent = labels.scan;
+        this.panel.querySelector('.whatsapp-panel__close').setAttribute('aria-label', labels.close);
+
+        const web = this.panel.querySelector('[data-whatsapp-web]');
+        web.href = this.link.href;
+        web.textContent = labels.web;
+
+        const mail = this.panel.querySelector('[data-whatsapp-email]');
+        mail.href = `mailto:${email}${subject ? `?subject=${encodeURIComponent(subject)}` : ''}`;
+        mail.textContent = labels.email;
+
+        this.panel.querySelector('.whatsapp-panel__close').addEventListener('click', () => {
+            this.closePanel();
+            this.link.focus();
+        });
+
+        document.body.appendChild(this.panel);
+        this.link.setAttribute('aria-controls', this.panel.id);
+        this.updatePanelNotice();
+        this.renderQRCode();
+    }
+
+    updatePanelNotice() {
+        if (!this.panel) return;
+
+        const notice = this.panel.querySelector('[data-whatsapp-notice]');
+        notice.hidden = !this.tooltip;
+        notice.textContent = this.tooltip ? this.tooltip.textContent : '';
+    }
+
+    loadQRCode() {
+        if (typeof DMCQRCode !== 'undefined') return Promise.resolve();
+
+        if (!DMCWhatsApp.qrLoader) {
+            DMCWhatsApp.qrLoader = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${DMC_WHATSAPP_BASE}qr-code.js`;
+                script.onload = resolve;
+                script.onerror = reject;
+                document.head.appendChild(script);
+            });
+        }
+        return DMCWhatsApp.qrLoader;
+    }
+
+    renderQRCode() {
+        const target = this.panel.querySelector('[data-whatsapp-qr]');
+        const text = this.panel.querySelector('[data-whatsapp-scan]');
+
+        this.loadQRCode()
+            .then(() => {
+                target.innerHTML = DMCQRCode.svg(this.link.href, { title: this.options.labels.qr });
+            })
+            .catch(() => {
+                // No code to scan: the WhatsApp Web and e-mail links still work
+                target.hidden = true;
+                text.hidden = true;
+            });
+    }
+
+    isPanelOpen() {
+        return !!(this.panel && !this.panel.hidden);
+    }
+
+    openPanel() {
+        if (!this.panel) this.createPanel();
+
+        this.panel.hidden = false;
+        this.link.setAttribute('aria-expanded', 'true');
+        this.link.classList.remove('is-tooltip-visible');
+        this.panel.querySelector('[data-whatsapp-web]').focus();
+    }
+
+    closePanel() {
+        if (!this.panel) return;
+
+        this.panel.hidden = true;
+        this.link.setAttribute('aria-expanded', 'false');
+    }
+
+    destroy() {
+        this.abortController.abort();
+        clearInterval(this.interval);
+        this.timers.forEach(timer => clearTimeout(timer));
+
+        this.removeTooltip();
+        if (this.panel) this.panel.remove();
+        this.panel = null;
+
+        this.link.classList.remove('is-offline');
+        this.link.removeAttribute('aria-controls');
+        this.link.removeAttribute('aria-expanded');
+    }
+}
+
+// Register with the component registry so [data-whatsapp] markup initialises itself
+if (typeof DMC !== 'undefined') {
+    DMC.register('whatsapp', {
+        attribute: 'data-whatsapp',
+        create: (element, options) => new DMCWhatsApp(element, options),
+        destroy: (whatsapp) => whatsapp.destroy()
+    });
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DMCWhatsApp;
+}
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * DMC Madeira - Image build
+ * Generates AVIF and WebP variants of the master images in images/ and rewrites every
+ * page's image markup to use them (w descriptors, sizes, intrinsic width/height and
+ * lazy-loading placeholders). Needs the libvips command line tools (`vips`,
+ * `vipsheader`) to generate; --check and --report work without them.
+ *
+ * Usage:
+ *   node scripts/build-images.js            Generate missing variants, rewrite pages
+ *   node scripts/build-images.js --check    Only report out-of-date variants and pages (exit 1 if any)
+ *   node scripts/build-images.js --report   List oversized and unused originals
+ *
+ * To move an image to the pipeline, put its full-size original in images/ under the name
+ * the pages already use (images/experience-golf-intro.jpg for
+ * assets/images/experience-golf-intro.webp) and run the build. Art-directed crops keep
+ * their own masters (hero-mobile.jpg, hero-desktop.jpg). The manifest and the markup
+ * rewrite are described in scripts/lib/images.js.
+ *
+ * Until an image has a master, the page rewrite still gives its <img> the width/height of
+ * the file it shows, so the layout doesn't shift while it loads.
+ *
+ * A master is regenerated when its contents or the variant settings change; variants
+ * whose master is gone are deleted. The hand-exported files in assets/images stay until
+ * --report lists them as unused.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const partials = require('./lib/partials');
+const images = require('./lib/images');
+
+const { ROOT } = partials;
+const QUALITY = { avif: 50, webp: 78 };
+const PLACEHOLDER_WIDTH = 24;
+
+// --report thresholds
+const MAX_ORIGINAL_BYTES = 500 * 1024;
+const MAX_ORIGINAL_WIDTH = 2560;
+const MAX_MASTER_WIDTH = 2 * images.WIDTHS[images.WIDTHS.length - 1];
+
+// Where image references can be, for --report
+const REFERENCE_DIRS = ['assets/css', 'assets/js', 'partials', 'content', 'api'];
+
+/**
+ * libvips
+ */
+function run(command, args) {
+    try {
+        return execFileSync(command, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], timeout: 120000 });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`${command} not found. Install libvips (brew install vips, apt install libvips-tools) to generate images`);
+        }
+        throw new Error(`${command} ${args.join(' ')}: ${(error.stderr || error.message).trim()}`);
+    }
+}
+
+function masterSize(file) {
+    const header = (field) => Number(run('vipsheader', ['-f', field, path.join(ROOT, file)]).trim());
+    return { width: header('width'), height: header('height') };
+}
+
+// Resizes to `width`, keeping the aspect ratio (the large height never constrains)
+function resize(file, output, width, options) {
+    run('vips', ['thumbnail', path.join(ROOT, file), `${output}[${options}]`, String(width), '--height', '100000', '--size', 'down']);
+}
+
+function placeholder(file, name) {
+    const output = path.join(os.tmpdir(), `dmc-${name}-placeholder.webp`);
+    try {
+        resize(file, output, PLACEHOLDER_WIDTH, 'Q=40,strip');
+        return `data:image/webp;base64,${fs.readFileSync(output).toString('base64')}`;
+    } finally {
+        fs.rmSync(output, { force: true });
+    }
+}
+
+/**
+ * Variants
+ */
+function hash(file) {
+    return crypto.createHash('sha1')
+        .update(fs.readFileSync(path.join(ROOT, file)))
+        .update(JSON.stringify({ widths: images.WIDTHS, quality: QUALITY, placeholder: PLACEHOLDER_WIDTH }))
+        .digest('hex');
+}
+
+// WIDTHS up to the master's own, plus the master's width when it falls between two of them
+function variantWidths(width) {
+    const widths = images.WIDTHS.filter(candidate => candidate <= width);
+    if (width < images.WIDTHS[images.WIDTHS.length - 1] && !widths.includes(width)) {
+        widths.push(width);
+    }
+    return widths;
+}
+
+function variantFiles(name, entry) {
+    return entry.widths.flatMap(width => images.FORMATS.map(format => images.variantFile(name, width, format)));
+}
+
+function generate(master) {
+    const { width, height } = masterSize(master.file);
+    const entry = { width, height, widths: variantWidths(width) };
+
+    entry.widths.forEach(variant => {
+        images.FORMATS.forEach(format => {
+            const output = path.join(ROOT, images.variantFile(master.name, variant, format));
+            resize(master.file, output, variant, `Q=${QUALITY[format]},strip`);
+        });
+    });
+    entry.placeholder = placeholder(master.file, master.name);
+    entry.hash = hash(master.file);
+    return entry;
+}
+
+function build({ check }) {
+    const masters = images.listMasters();
+    const current = images.loadManifest();
+    const manifest = {};
+    let problems = 0;
+
+    masters.forEach(master => {
+        const entry = current[master.name];
+        const upToDate = entry
+            && entry.hash === hash(master.file)
+            && variantFiles(master.name, entry).every(file => fs.existsSync(path.join(ROOT, file)));
+
+        if (upToDate) {
+            manifest[master.name] = entry;
+            return;
+        }
+
+        problems++;
+        if (check) {
+            console.log(`✗ ${master.file} has out-of-date variants`);
+            return;
+        }
+        fs.mkdirSync(path.join(ROOT, images.OUTPUT_DIR), { recursive: true });
+        manifest[master.name] = generate(master);
+        console.log(`✓ ${master.file} (${manifest[master.name].widths.join(', ')})`);
+    });
+
+    // Variants nobody needs any more
+    const entries = check ? current : manifest;
+    const expected = new Set(masters
+        .filter(master => entries[master.name])
+        .flatMap(master => variantFiles(master.name, entries[master.name])));
+    expected.add(images.MANIFEST_FILE);
+
+    const outputDir = path.join(ROOT, images.OUTPUT_DIR);
+    const stale = fs.existsSync(outputDir)
+        ? fs.readdirSync(outputDir).map(name => `${images.OUTPUT_DIR}/${name}`).filter(file => !expected.has(file))
+        : [];
+    stale.forEach(file => {
+        problems++;
+        if (check) {
+            console.log(`✗ ${file} has no master`);
+        } else {
+            fs.rmSync(path.join(ROOT, file));
+            console.log(`✓ removed ${file}`);
+        }
+    });
+
+    if (check && Object.keys(current).some(name => !masters.some(master => master.name === name))) {
+        console.log(`✗ ${images.MANIFEST_FILE} lists images with no master`);
+        problems++;
+    }
+    if (!check && JSON.stringify(manifest) !== JSON.stringify(current)) {
+        images.saveManifest(manifest);
+    }
+
+    // Pages, against the manifest as it now stands
+    const pages = partials.listPages();
+    let changed = 0;
+    pages.forEach(file => {
+        const target = path.join(ROOT, file);
+        const html = fs.readFileSync(target, 'utf8');
+        const rewritten = images.rewrite(html, file);
+        if (rewritten === html) return;
+
+        changed++;
+        if (check) {
+            console.log(`✗ ${file} is out of date`);
+        } else {
+            fs.writeFileSync(target, rewritten);
+            console.log(`✓ ${file}`);
+        }
+    });
+
+    if (check && (problems || changed)) {
+        console.error(`${problems + changed} image(s) or page(s) out of date. Run node scripts/build-images.js`);
+        process.exit(1);
+    }
+    console.log(`${masters.length} master(s), ${pages.length} page(s), ${changed} ${check ? 'out of date' : 'written'}`);
+}
+
+/**
+ * Report
+ */
+function listFiles(dir) {
+    const absolute = path.join(ROOT, dir);
+    if (!fs.existsSync(absolute)) return [];
+
+    return fs.readdirSync(absolute, { withFileTypes: true }).flatMap(entry => {
+        const file = `${dir}/${entry.name}`;
+        return entry.isDirectory() ? listFiles(file) : [file];
+    });
+}
+
+function formatBytes(bytes) {
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+function report() {
+    const sources = [
+        ...partials.listPages(),
+        ...REFERENCE_DIRS.flatMap(listFiles).filter(file => /\.(html|css|js|json|md)$/.test(file))
+    ].map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n');
+
+    const originals = listFiles('assets/images').filter(file => !file.startsWith(`${images.OUTPUT_DIR}/`));
+    const masters = images.listMasters();
+    let oversized = 0;
+    let unused = 0;
+
+    originals.forEach(file => {
+        const bytes = fs.statSync(path.join(ROOT, file)).size;
+        const size = images.imageSize(file);
+        const reasons = [];
+        if (bytes > MAX_ORIGINAL_BYTES) reasons.push(formatBytes(bytes));
+        if (size && size.width > MAX_ORIGINAL_WIDTH) reasons.push(`${size.width}px wide`);
+        if (reasons.length) {
+            oversized++;
+            console.log(`! ${file} is oversized (${reasons.join(', ')})`);
+        }
+    });
+
+    masters.forEach(master => {
+        const size = images.imageSize(master.file);
+        if (size && size.width > MAX_MASTER_WIDTH) {
+            oversized++;
+            console.log(`! ${master.file} is oversized (${size.width}px wide, ${MAX_MASTER_WIDTH}px is plenty)`);
+        }
+    });
+
+    originals.forEach(file => {
+        if (sources.includes(path.posix.basename(file))) return;
+        unused++;
+        console.log(`! ${file} is not used (${formatBytes(fs.statSync(path.join(ROOT, file)).size)})`);
+    });
+
+    masters.forEach(master => {
+        const used = new RegExp(`[/"'(]${master.name}(?:-thumb|-expanded)?(?:@2x|-\\d+)?\\.[a-z]+`).test(sources);
+        if (used) return;
+        unused++;
+        console.log(`! ${master.file} is not used`);
+    });
+
+    console.log(`${originals.length} original(s), ${masters.length} master(s): ${oversized} oversized, ${unused} unused`);
+}
+
+try {
+    if (process.argv.includes('--report')) {
+        report();
+    } else {
+        build({ check: process.argv.includes('--check') });
+    }
+} catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,691 @@
+#!/usr/bin/env node
+/**
+ * DMC Madeira - Insider article build
+ * Renders the Markdown articles in content/insider/ into article pages and refreshes the
+ * article grid on the Insider listing pages. Uses Node built-ins only.
+ *
+ * Usage:
+ *   node scripts/build-insider.js           Write article pages and listing grids
+ *   node scripts/build-insider.js --check   Only report out-of-date files (exit 1 if any)
+ *
+ * Each article is one Markdown file per language with front matter:
+ *
+ *   ---
+ *   title: Madeira wine – The toast that shaped history
+ *   subtitle: Optional line under the title
+ *   description: Meta description and listing summary
+ *   category: [food, culture]          (data-filter values on the Insider page)
+ *   date: 2026-05-01                    (updated: optional, for dateModified)
+ *   lang: en                            (en or pt)
+ *   translationKey: madeira-wine        (shared by the EN and PT versions)
+ *   slug: madeira-wine                  (optional, defaults to the file name)
+ *   hero: assets/images/hero.webp
+ *   heroAlt: Alt text                   (heroCaption: optional)
+ *   card: assets/images/card.webp       (optional listing image, defaults to hero; cardAlt)
+ *   keywords: extra words for the Insider search box (optional)
+ *   draft: true                         (optional: built with noindex, left off the listing)
+ *   ---
+ *
+ * Body Markdown: paragraphs before the first heading form the intro; `##` starts a section
+ * and `###` gives it a subtitle; **bold**, *italic*, [links](url) and `-` lists. A paragraph
+ * made only of images becomes figures (two or more share a grid), `![alt](src "caption")`.
+ * A linked image pointing at YouTube or Vimeo, `[![alt](poster "caption")](https://youtu.be/ID)`,
+ * becomes a video. `> quote` with a last line starting `—` gets an attribution.
+ *
+ * Image paths are written from the site root (assets/images/...) in both languages. Images
+ * with a master in images/ get their generated variants, see scripts/build-images.js.
+ *
+ * Pages are written to insider-<slug>.html (EN) and pt/insider-<slug>.html (PT) using
+ * insider-article.html and pt/insider-article.html as the layout; their shared regions
+ * (canonical/hreflang links, header, footer, scripts) come from partials/ like every other
+ * page, see scripts/lib/partials.js. Listing pages get their
+ * cards between the `<!-- insider:articles -->` and `<!-- /insider:articles -->` markers.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const partials = require('./lib/partials');
+const images = require('./lib/images');
+
+const { ROOT, SITE_URL } = partials;
+const CONTENT_DIR = path.join(ROOT, 'content', 'insider');
+const GENERATED_NOTE = 'Generated by scripts/build-insider.js';
+
+const LOCALES = {
+    en: {
+        dir: '',
+        htmlLang: 'en',
+        template: 'insider-article.html',
+        listings: ['insider.html', 'insider-soon.html'],
+        strings: {
+            expand: 'Expand image',
+            play: 'Play video',
+            readMore: 'Read more'
+        }
+    },
+    pt: {
+        dir: 'pt',
+        htmlLang: 'pt-PT',
+        template: 'pt/insider-article.html',
+        listings: ['pt/insider.html', 'pt/insider-soon.html'],
+        strings: {
+            expand: 'Ampliar imagem',
+            play: 'Reproduzir vídeo',
+            readMore: 'Ler mais'
+        }
+    }
+};
+
+const REQUIRED_FIELDS = ['title', 'description', 'category', 'date', 'lang', 'translationKey', 'hero', 'heroAlt'];
+const GRID_PATTERN = /([ \t]*)<!-- insider:articles[^>]*-->[\s\S]*?<!-- \/insider:articles -->/;
+
+const EXPAND_ICON = [
+    '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor"',
+    '    stroke-width="2">',
+    '    <rect x="3" y="3" width="18" height="18" rx="2" ry="2" />',
+    '    <circle cx="8.5" cy="8.5" r="1.5" />',
+    '    <polyline points="21 15 16 10 5 21" />',
+    '</svg>'
+];
+
+/**
+ * Helpers
+ */
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function indent(lines, spaces) {
+    const pad = ' '.repeat(spaces);
+    return lines.map(line => (line ? pad + line : line));
+}
+
+function pageFile(article) {
+    const name = `insider-${article.slug}.html`;
+    return LOCALES[article.lang].dir ? `${LOCALES[article.lang].dir}/${name}` : name;
+}
+
+function pageUrl(article) {
+    return partials.pageUrl(pageFile(article));
+}
+
+// Site-root asset paths are relative to the page, so PT pages need a ../ prefix
+function localPath(src, lang) {
+    if (/^(?:[a-z]+:|\/|#|\.\.\/)/i.test(src) || !LOCALES[lang].dir) return src;
+    return src.startsWith('assets/') ? `../${src}` : src;
+}
+
+function retinaVariant(src) {
+    const variant = src.replace(/(\.\w+)$/, '@2x$1');
+    return variant !== src && fs.existsSync(path.join(ROOT, variant)) ? variant : null;
+}
+
+/**
+ * Front matter: `key: value` lines, with [a, b] lists, quoted strings and true/false
+ */
+function parseValue(value) {
+    if (/^\[.*\]$/.test(value)) {
+        return value.slice(1, -1).split(',').map(item => parseValue(item.trim())).filter(item => item !== '');
+    }
+    if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+}
+
+function parseFrontMatter(source, file) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) throw new Error(`${file}: missing front matter`);
+
+    const data = {};
+    match[1].split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+        if (!pair) throw new Error(`${file}: unreadable front matter on line ${i + 2}: ${line}`);
+        data[pair[1]] = parseValue(pair[2].trim());
+    });
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Markdown
+ */
+function renderInline(text, lang) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (all, label, href) => {
+            const external = /^https?:/i.test(href) && !href.startsWith(SITE_URL);
+            const attrs = external ? ' target="_blank" rel="noopener noreferrer"' : '';
+            return `<a href="${localPath(href, lang)}"${attrs}>${label}</a>`;
+        });
+}
+
+// The data-video options for a YouTube or Vimeo link (assets/js/video.js), or null
+function videoSource(url) {
+    const youtube = url.match(/(?:youtube(?:-nocookie)?\.com\/(?:watch\?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/);
+    if (youtube) return { youtube: youtube[1] };
+
+    const vimeo = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+    return vimeo ? { vimeo: vimeo[1] } : null;
+}
+
+// A line holding only an image, or only a linked image (video)
+function parseMedia(line) {
+    const image = '!\\[([^\\]]*)\\]\\(([^)\\s]+)(?:\\s+"([^"]*)")?\\)';
+    let match = line.match(new RegExp(`^\\[${image}\\]\\(([^)\\s]+)\\)$`));
+    if (match) {
+        return { type: 'video', alt: match[1], src: match[2], caption: match[3] || '', url: match[4], source: videoSource(match[4]) };
+    }
+    match = line.match(new RegExp(`^${image}$`));
+    if (match) {
+        return { type: 'image', alt: match[1], src: match[2], caption: match[3] || '' };
+    }
+    return null;
+}
+
+function parseBlocks(markdown) {
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    const isBlockStart = line => /^(#{2,3}\s|>|[-*]\s)/.test(line);
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const heading = line.match(/^(#{2,3})\s+(.*)$/);
+
+        if (!line.trim()) {
+            i++;
+        } else if (heading) {
+            blocks.push({ type: heading[1].length === 2 ? 'heading' : 'subheading', text: heading[2].trim() });
+            i++;
+        } else if (line.startsWith('>')) {
+            const quote = [];
+            while (i < lines.length && lines[i].startsWith('>')) {
+                quote.push(lines[i].replace(/^>\s?/, ''));
+                i++;
+            }
+            blocks.push({ type: 'quote', lines: quote });
+        } else if (/^[-*]\s/.test(line)) {
+            const items = [];
+            while (i < lines.length && lines[i].trim() && (isBlockStart(lines[i]) ? /^[-*]\s/.test(lines[i]) : true)) {
+                if (/^[-*]\s/.test(lines[i])) {
+                    items.push(lines[i].replace(/^[-*]\s+/, ''));
+                } else {
+                    items[items.length - 1] += ` ${lines[i].trim()}`;
+                }
+                i++;
+            }
+            blocks.push({ type: 'list', items });
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+
+            const media = paragraph.map(parseMedia);
+            if (!media.every(Boolean)) {
+                blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            } else {
+                // Videos stand alone; runs of images become a figure or a gallery
+                let images = [];
+                const flush = () => {
+                    if (images.length) blocks.push({ type: 'images', images });
+                    images = [];
+                };
+                media.forEach(item => {
+                    if (item.type === 'video') {
+                        flush();
+                        blocks.push(item);
+                    } else {
+                        images.push(item);
+                    }
+                });
+                flush();
+            }
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Article markup, matching the hand-written insider-article.html layout
+ */
+// The featured image is the page's largest paint: fetched first instead of lazily
+function renderFigure(image, lang, modifier = '', featured = false) {
+    const { strings } = LOCALES[lang];
+    const loading = featured ? 'fetchpriority="high"' : 'loading="lazy"';
+    return [
+        '<figure class="article-figure">',
+        `    <div class="article-figure__image${modifier}">`,
+        `        <img src="${escapeHtml(localPath(image.src, lang))}" alt="${escapeHtml(image.alt)}" ${loading}>`,
+        `        <button type="button" class="article-figure__expand" data-lightbox="gallery" aria-label="${strings.expand}">`,
+        ...indent(EXPAND_ICON, 12),
+        '        </button>',
+        '    </div>',
+        ...(image.caption ? [`    <figcaption>${renderInline(image.caption, lang)}</figcaption>`] : []),
+        '</figure>'
+    ];
+}
+
+function renderImages(images, lang) {
+    if (images.length === 1) return renderFigure(images[0], lang);
+
+    return [
+        '<div class="image-grid image-grid--2col">',
+        ...indent([].concat(...images.map(image => renderFigure(image, lang, ' article-figure__image--2col'))), 4),
+        '</div>'
+    ];
+}
+
+function renderVideo(video, lang) {
+    const { strings } = LOCALES[lang];
+    return [
+        `<figure class="article-video" data-video='${JSON.stringify(video.source)}'>`,
+        '    <div class="article-video__wrapper">',
+        `        <img src="${escapeHtml(localPath(video.src, lang))}" alt="${escapeHtml(video.alt)}" loading="lazy">`,
+        `        <button class="article-video__play" aria-label="${strings.play}"></button>`,
+        '    </div>',
+        ...(video.caption ? [`    <figcaption class="article-video__caption">${renderInline(video.caption, lang)}</figcaption>`] : []),
+        '</figure>'
+    ];
+}
+
+function renderQuote(lines, lang) {
+    const attribution = /^(—|--)\s*/.test(lines[lines.length - 1] || '') ? lines.pop() : null;
+    const paragraphs = lines.join('\n').split(/\n\s*\n/).map(text => text.replace(/\s*\n\s*/g, ' ').trim()).filter(Boolean);
+
+    return [
+        '<blockquote class="article-quote">',
+        ...paragraphs.map(text => `    <p>${renderInline(text, lang)}</p>`),
+        ...(attribution ? [`    <span>${renderInline(attribution.replace(/^--\s*/, '— '), lang)}</span>`] : []),
+        '</blockquote>'
+    ];
+}
+
+function renderBody(article) {
+    const { lang } = article;
+    const intro = [];
+    const out = [];
+    let section = null;
+    let started = false;
+
+    const closeSection = () => {
+        if (section) {
+            out.push('', '<section class="article-section">', ...indent(section, 4), '</section>');
+        }
+        section = null;
+    };
+    const text = (lines) => {
+        if (!started) {
+            intro.push(...lines);
+            return;
+        }
+        if (!section) section = [];
+        section.push(...lines);
+    };
+
+    parseBlocks(article.body).forEach(block => {
+        switch (block.type) {
+            case 'heading':
+                closeSection();
+                started = true;
+                section = [`<h2 class="article-section__title">${renderInline(block.text, lang)}</h2>`];
+                break;
+            case 'subheading':
+                started = true;
+                text([`<h3 class="article-section__subtitle">${renderInline(block.text, lang)}</h3>`]);
+                break;
+            case 'paragraph':
+                text([`<p>${renderInline(block.text, lang)}</p>`]);
+                break;
+            case 'list':
+                text(['<ul>', ...block.items.map(item => `    <li>${renderInline(item, lang)}</li>`), '</ul>']);
+                break;
+            case 'images':
+                closeSection();
+                started = true;
+                out.push('', ...renderImages(block.images, lang));
+                break;
+            case 'video':
+                closeSection();
+                started = true;
+                out.push('', ...renderVideo(block, lang));
+                break;
+            case 'quote':
+                closeSection();
+                started = true;
+                out.push('', ...renderQuote(block.lines, lang));
+                break;
+        }
+    });
+    closeSection();
+
+    const header = [
+        '<!-- Article Header -->',
+        '<header class="article-header">',
+        `    <h1 class="article-title">${renderInline(article.title, lang)}</h1>`,
+        ...(article.subtitle ? [`    <h2 class="article-subtitle">${renderInline(article.subtitle, lang)}</h2>`] : []),
+        ...(intro.length ? ['    <div class="article-intro">', ...indent(intro, 8), '    </div>'] : []),
+        '</header>',
+        '',
+        '<!-- Featured Image -->',
+        ...renderFigure({ src: article.hero, alt: article.heroAlt, caption: article.heroCaption || '' }, lang, '', true)
+    ];
+
+    return [
+        '<div class="article-container">',
+        ...indent([...header, ...out], 4),
+        '</div>'
+    ];
+}
+
+/**
+ * Head: title, description, robots, canonical/hreflang, Open Graph and Article JSON-LD
+ */
+function renderJsonLd(article) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'Article',
+        '@id': `${pageUrl(article)}#article`,
+        headline: article.title,
+        description: article.description,
+        image: [`${SITE_URL}/${article.hero}`],
+        datePublished: article.date,
+        dateModified: article.updated || article.date,
+        inLanguage: LOCALES[article.lang].htmlLang,
+        articleSection: article.categories,
+        mainEntityOfPage: {
+            '@type': 'WebPage',
+            '@id': pageUrl(article)
+        },
+        author: {
+            '@type': 'Organization',
+            name: 'DMC Madeira',
+            url: `${SITE_URL}/`
+        },
+        publisher: {
+            '@type': 'Organization',
+            '@id': `${SITE_URL}/#organization`,
+            name: 'DMC Madeira',
+            logo: {
+                '@type': 'ImageObject',
+                url: `${SITE_URL}/assets/logos/header-logo-dmcmadeira.svg`
+            }
+        }
+    };
+    if (article.keywords) data.keywords = article.keywords;
+
+    return JSON.stringify(data, null, 4).replace(/<\//g, '<\\/').split('\n');
+}
+
+function renderPage(article, translation) {
+    const locale = LOCALES[article.lang];
+    let html = read(locale.template);
+
+    const replace = (pattern, replacement, what) => {
+        if (!pattern.test(html)) throw new Error(`${locale.template}: can't find ${what}`);
+        html = html.replace(pattern, replacement);
+    };
+
+    // The translated article rarely shares a file name, so the head partial is told about it
+    const pair = { [article.lang]: article };
+    if (translation) pair[translation.lang] = translation;
+    const translations = {};
+    Object.keys(LOCALES).filter(lang => pair[lang]).forEach(lang => {
+        translations[lang] = pageFile(pair[lang]);
+    });
+    const image = `${SITE_URL}/${article.hero}`;
+    const openGraph = [
+        '<!-- Open Graph -->',
+        `<meta property="og:title" content="${escapeHtml(article.title)}">`,
+        `<meta property="og:description" content="${escapeHtml(article.description)}">`,
+        `<meta property="og:image" content="${image}">`,
+        `<meta property="og:url" content="${pageUrl(article)}">`,
+        '<meta property="og:type" content="article">',
+        ''
+    ];
+    const jsonLd = [
+        '',
+        '<!-- Schema JSON-LD -->',
+        '<script type="application/ld+json">',
+        ...renderJsonLd(article),
+        '</script>'
+    ];
+
+    replace(/<!DOCTYPE html>\n/i, `<!DOCTYPE html>\n<!-- ${GENERATED_NOTE} from ${article.file}. Edit the Markdown, not this page. -->\n`, 'doctype');
+    replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(article.title)} | DMC Madeira Insider</title>`, '<title>');
+    replace(/<meta name="description"[\s\S]*?>/, `<meta name="description"\n            content="${escapeHtml(article.description)}">`, 'meta description');
+    // The layouts are noindex placeholders; published articles drop that, drafts keep it
+    const robots = `<meta name="robots" content="${article.draft ? 'noindex, nofollow' : 'index, follow'}">`;
+    if (/<meta name="robots"[^>]*>/.test(html)) {
+        html = html.replace(/<meta name="robots"[^>]*>/, robots);
+    } else {
+        html = html.replace(/(<meta name="description"[\s\S]*?>)/, `$1\n        ${robots}`);
+    }
+    replace(/<!-- partial:head[^>]*-->/, `<!-- partial:head ${JSON.stringify({ translations })} -->`, 'head partial marker');
+    replace(/([ \t]*)<!-- Styles -->/, (all, pad) => `${indent(openGraph, pad.length).join('\n')}\n${all}`, 'styles comment');
+    replace(/<!-- End Google Tag Manager -->/, (all) => [all, ...indent(jsonLd, 8)].join('\n'), 'GTM comment');
+
+    replace(/([ \t]*)<div class="article-container">[\s\S]*?\n\1<\/div>(?=\s*<\/main>)/, (all, pad) => (
+        indent(renderBody(article), pad.length).join('\n').replace(/^ +/, pad)
+    ), 'article container');
+
+    // Canonical/hreflang links, header, footer and scripts, as build-pages.js renders them;
+    // images with masters, as build-images.js rewrites them
+    return images.rewrite(partials.render(html, pageFile(article)), pageFile(article));
+}
+
+/**
+ * Listing cards
+ */
+function renderCard(article) {
+    const lang = article.lang;
+    const href = path.basename(pageFile(article));
+    const src = article.card || article.hero;
+    const retina = retinaVariant(src);
+    const img = retina
+        ? [
+            `<img src="${escapeHtml(localPath(src, lang))}"`,
+            `    srcset="${escapeHtml(localPath(src, lang))} 1x, ${escapeHtml(localPath(retina, lang))} 2x"`,
+            `    alt="${escapeHtml(article.cardAlt || article.heroAlt)}" loading="lazy">`
+        ]
+        : [`<img src="${escapeHtml(localPath(src, lang))}" alt="${escapeHtml(article.cardAlt || article.heroAlt)}" loading="lazy">`];
+    const keywords = article.keywords ? ` data-keywords="${escapeHtml(article.keywords)}"` : '';
+
+    return [
+        `<article class="article-card" data-category="${escapeHtml(article.categories.join(' '))}"${keywords}>`,
+        `    <a href="${href}" class="article-card__image">`,
+        ...indent(img, 8),
+        '    </a>',
+        `    <h3 class="article-card__title">${renderInline(article.title, lang)}</h3>`,
+        `    <a href="${href}" class="article-card__link">${LOCALES[lang].strings.readMore}</a>`,
+        '</article>'
+    ];
+}
+
+function renderListing(html, file, articles) {
+    const match = html.match(GRID_PATTERN);
+    if (!match) throw new Error(`${file}: missing <!-- insider:articles --> markers`);
+
+    const pad = match[1];
+    const cards = [];
+    articles.forEach(article => cards.push(...renderCard(article), ''));
+
+    const block = [
+        `<!-- insider:articles (${GENERATED_NOTE} from content/insider/, newest first) -->`,
+        ...cards,
+        '<!-- /insider:articles -->'
+    ];
+    return html.replace(GRID_PATTERN, indent(block, pad.length).join('\n'));
+}
+
+/**
+ * Loading and validation
+ */
+function loadArticles(errors) {
+    if (!fs.existsSync(CONTENT_DIR)) return [];
+
+    return fs.readdirSync(CONTENT_DIR)
+        .filter(name => name.endsWith('.md') && name.toLowerCase() !== 'readme.md')
+        .sort()
+        .map(name => {
+            const file = `content/insider/${name}`;
+            try {
+                const { data, body } = parseFrontMatter(read(file), file);
+                return {
+                    ...data,
+                    file,
+                    body,
+                    slug: data.slug || name.replace(/(\.(en|pt))?\.md$/, ''),
+                    categories: [].concat(data.category || []).join(' ').split(/\s+/).filter(Boolean)
+                };
+            } catch (error) {
+                errors.push(error.message);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+function listingFilters(lang) {
+    const filters = new Set();
+    LOCALES[lang].listings.forEach(file => {
+        (read(file).match(/data-filter="[^"]+"/g) || []).forEach(attr => filters.add(attr.slice(13, -1)));
+    });
+    filters.delete('all');
+    return filters;
+}
+
+function validate(articles, errors) {
+    const files = new Map();
+    const translations = new Map();
+    const filters = { en: listingFilters('en'), pt: listingFilters('pt') };
+
+    articles.forEach(article => {
+        const where = article.file;
+
+        REQUIRED_FIELDS.forEach(field => {
+            if (article[field] === undefined || article[field] === '') errors.push(`${where}: missing "${field}"`);
+        });
+        if (!LOCALES[article.lang]) {
+            errors.push(`${where}: lang must be one of ${Object.keys(LOCALES).join(', ')}`);
+            return;
+        }
+        if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(article.slug)) {
+            errors.push(`${where}: slug "${article.slug}" should be lowercase words joined by hyphens`);
+        }
+        ['date', 'updated'].forEach(field => {
+            if (article[field] && !/^\d{4}-\d{2}-\d{2}$/.test(article[field])) {
+                errors.push(`${where}: ${field} must look like 2026-05-01`);
+            }
+        });
+        article.categories.forEach(category => {
+            if (!filters[article.lang].has(category)) {
+                errors.push(`${where}: unknown category "${category}" (Insider filters: ${[...filters[article.lang]].join(', ')})`);
+            }
+        });
+
+        const output = pageFile(article);
+        if (files.has(output)) errors.push(`${where}: writes ${output}, as does ${files.get(output)}`);
+        files.set(output, where);
+
+        const key = `${article.translationKey}:${article.lang}`;
+        if (translations.has(key)) {
+            errors.push(`${where}: translationKey "${article.translationKey}" already has a ${article.lang} version in ${translations.get(key)}`);
+        }
+        translations.set(key, where);
+
+        const images = [article.hero, article.card];
+        parseBlocks(article.body).forEach(block => {
+            if (block.type === 'images') images.push(...block.images.map(image => image.src));
+            if (block.type === 'video') {
+                images.push(block.src);
+                if (!block.source) errors.push(`${where}: only YouTube and Vimeo links can be used as videos (${block.url})`);
+            }
+        });
+        images.filter(src => src && !/^[a-z]+:/i.test(src)).forEach(src => {
+            if (!fs.existsSync(path.join(ROOT, src))) errors.push(`${where}: image not found: ${src}`);
+        });
+    });
+}
+
+function build({ check }) {
+    const errors = [];
+    const articles = loadArticles(errors);
+    validate(articles, errors);
+
+    if (errors.length) {
+        errors.forEach(error => console.error(`✗ ${error}`));
+        process.exit(1);
+    }
+
+    const outputs = new Map();
+    const byKey = new Map();
+    articles.forEach(article => {
+        if (!byKey.has(article.translationKey)) byKey.set(article.translationKey, {});
+        byKey.get(article.translationKey)[article.lang] = article;
+    });
+
+    articles.forEach(article => {
+        const pair = byKey.get(article.translationKey);
+        const translation = pair[article.lang === 'en' ? 'pt' : 'en'] || null;
+        outputs.set(pageFile(article), renderPage(article, translation && !translation.draft ? translation : null));
+    });
+
+    Object.keys(LOCALES).forEach(lang => {
+        const published = articles
+            .filter(article => article.lang === lang && !article.draft)
+            .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+        LOCALES[lang].listings.forEach(file => {
+            outputs.set(file, images.rewrite(renderListing(read(file), file, published), file));
+        });
+    });
+
+    let changed = 0;
+    outputs.forEach((html, file) => {
+        const target = path.join(ROOT, file);
+        const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+        if (current === html) return;
+
+        changed++;
+        if (check) {
+            console.log(`✗ ${file} is out of date`);
+        } else {
+            fs.writeFileSync(target, html);
+            console.log(`✓ ${file}`);
+        }
+    });
+
+    // Pages whose Markdown source was removed are reported rather than deleted
+    Object.values(LOCALES).forEach(locale => {
+        const dir = path.join(ROOT, locale.dir);
+        fs.readdirSync(dir)
+            .filter(name => /^insider-.+\.html$/.test(name))
+            .map(name => (locale.dir ? `${locale.dir}/${name}` : name))
+            .filter(file => !outputs.has(file) && read(file).includes(GENERATED_NOTE))
+            .forEach(file => console.warn(`! ${file} has no Markdown source any more; delete it if it is no longer wanted`));
+    });
+
+    if (check && changed) {
+        console.error(`${changed} file(s) out of date. Run node scripts/build-insider.js`);
+        process.exit(1);
+    }
+    console.log(`${articles.length} article(s), ${changed} file(s) ${check ? 'out of date' : 'written'}`);
+}
+
+build({ check: process.argv.includes('--check') });
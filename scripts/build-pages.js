@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * DMC Madeira - Page build
+ * Re-renders the shared regions of every page (*.html and pt/*.html) from the templates
+ * in partials/ and the strings in partials/locales/. Uses Node built-ins only.
+ *
+ * Usage:
+ *   node scripts/build-pages.js           Rewrite pages whose shared regions changed
+ *   node scripts/build-pages.js --check   Only report out-of-date pages (exit 1 if any)
+ *
+ * Pages are edited in place: only the regions between `<!-- partial:name -->` and
+ * `<!-- /partial:name -->` are touched, so the repository stays the deployable tree
+ * Vercel serves. The markers and their options are described in scripts/lib/partials.js.
+ *
+ * Each page gets:
+ * - its canonical URL and hreflang alternates (en, pt, x-default), from the page's
+ *   file name or the head marker's options
+ * - the header, mobile menu and footer in the page's language, with the language switcher
+ *   pointing at the translated page and the current page highlighted in the navigation
+ * - the cookie banner, WhatsApp button and Tag Manager snippet
+ * - script tags for the components its markup uses (data-carousel, data-accordion, ...)
+ * - its image markup as build-images.js leaves it (variants, sizes, width/height), so
+ *   the shared regions' logos and icons keep theirs
+ *
+ * Insider article pages are generated by build-insider.js, which renders the same partials.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const partials = require('./lib/partials');
+const images = require('./lib/images');
+
+const { ROOT } = partials;
+
+function build({ check }) {
+    const pages = partials.listPages();
+    let changed = 0;
+    let errors = 0;
+
+    pages.forEach(file => {
+        const target = path.join(ROOT, file);
+        const current = fs.readFileSync(target, 'utf8');
+
+        if (!partials.hasPartials(current)) {
+            console.warn(`! ${file} has no partial markers; skipped`);
+            return;
+        }
+
+        let html;
+        try {
+            html = images.rewrite(partials.render(current, file), file);
+        } catch (error) {
+            console.error(`✗ ${error.message}`);
+            errors++;
+            return;
+        }
+        if (html === current) return;
+
+        changed++;
+        if (check) {
+            console.log(`✗ ${file} is out of date`);
+        } else {
+            fs.writeFileSync(target, html);
+            console.log(`✓ ${file}`);
+        }
+    });
+
+    if (errors) process.exit(1);
+    if (check && changed) {
+        console.error(`${changed} page(s) out of date. Run node scripts/build-pages.js`);
+        process.exit(1);
+    }
+    console.log(`${pages.length} page(s), ${changed} ${check ? 'out of date' : 'written'}`);
+}
+
+build({ check: process.argv.includes('--check') });
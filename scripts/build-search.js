@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * DMC Madeira - Search index build
+ * Extracts the text of every page into one compact JSON index per language, which the
+ * header search (assets/js/search.js) loads the first time it opens. Uses Node built-ins
+ * only.
+ *
+ * Usage:
+ *   node scripts/build-search.js           Write assets/search/en.json and pt.json
+ *   node scripts/build-search.js --check   Only report out-of-date indexes (exit 1 if any)
+ *
+ * Run it after build-pages.js and build-insider.js, as it reads the built pages.
+ *
+ * Pages are indexed when they would be in the sitemap: not 404.html, no `noindex` robots
+ * meta and a canonical link pointing at themselves. From each page's <main> it keeps the
+ * headings and the text under them; scripts, styles, SVG, forms, buttons and anything
+ * marked aria-hidden="true" or data-search-ignore are left out. Text is cut into sections
+ * at every heading and accordion trigger, and each section remembers the id of the
+ * nearest element around it (a <section id>, an accordion item...), so results can link
+ * straight to it. An accordion item with an id but no section of its own fails the build.
+ *
+ * Index shape, kept terse as it's downloaded:
+ * {
+ *     "lang": "en",
+ *     "pages": [
+ *         ["golf.html", "Golf", [["discover", "Heading", "Text under it..."], ...]],
+ *         ...
+ *     ]
+ * }
+ * Page URLs are relative to the language's folder, like the links between its pages. A
+ * section with no id around it has "" and links to the page itself.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const partials = require('./lib/partials');
+
+const { ROOT, LOCALES } = partials;
+const OUTPUT_DIR = 'assets/search';
+const EXCLUDED = ['404.html'];
+// Longest text kept per section; the rest adds little but weight
+const MAX_SECTION_TEXT = 2000;
+
+const SKIPPED_ELEMENTS = ['script', 'style', 'svg', 'noscript', 'template', 'form', 'button', 'select', 'textarea', 'iframe'];
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+// Text inside these joins the words around it; every other tag separates words
+const INLINE_ELEMENTS = ['a', 'abbr', 'b', 'cite', 'em', 'i', 'mark', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u'];
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ndash: '–', mdash: '—', hellip: '…' };
+
+/**
+ * Helpers
+ */
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (all, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : all;
+    });
+}
+
+function clean(text) {
+    return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+// Works on a whole tag or on its attributes alone, where the last one ends the string
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}(?:="([^"]*)"|='([^']*)')?(?=[\\s/>]|$)`));
+    if (!match) return null;
+    return match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : '');
+}
+
+// Same rule as the sitemap (build-sitemap.js)
+function isIndexable(file, html) {
+    if (EXCLUDED.includes(path.posix.basename(file))) return false;
+
+    const head = (html.match(/<head>[\s\S]*?<\/head>/) || [html])[0];
+    const robots = head.match(/<meta name="robots"[^>]*>/);
+    if (robots && /noindex/i.test(attribute(robots[0], 'content') || '')) return false;
+
+    const canonical = (head.match(/<link\s[^>]*>/g) || []).find(link => attribute(link, 'rel') === 'canonical');
+    return !!canonical && attribute(canonical, 'href') === partials.pageUrl(file);
+}
+
+// "Golf - DMC Madeira | Where the Ocean Meets the Fairway" -> "Golf"
+function pageTitle(html) {
+    const title = clean((html.match(/<title>([\s\S]*?)<\/title>/) || ['', ''])[1]);
+    return title.split(' | ')[0].replace(/ - DMC Madeira$/, '').trim() || title;
+}
+
+/**
+ * Sections: the text of <main>, cut at every heading
+ * Throws when an accordion item ends up without a section of its own, as search results
+ * couldn't open it
+ */
+function extractSections(html, file) {
+    const main = (html.match(/<main[\s>][\s\S]*?<\/main>/) || [''])[0];
+    const sections = [];
+    // Open elements, each with its id and whether its content is skipped
+    const stack = [];
+    const accordionItems = [];
+    let section = { id: '', heading: '', text: '' };
+    let heading = null;
+
+    const anchor = () => {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (stack[i].id) return stack[i].id;
+        }
+        return '';
+    };
+    const skipping = () => stack.some(entry => entry.skip);
+    const flush = () => {
+        const text = clean(section.text);
+        if (section.heading || text) {
+            sections.push({ id: section.id, heading: section.heading, text: text.slice(0, MAX_SECTION_TEXT) });
+        }
+    };
+
+    const pattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)/g;
+    let match;
+    while ((match = pattern.exec(main))) {
+        const [all, closing, rawName, attributes, text] = match;
+
+        if (text !== undefined) {
+            if (skipping()) continue;
+            if (heading) {
+                heading.text += text;
+            } else {
+                section.text += text;
+            }
+            continue;
+        }
+        if (!rawName) continue;
+
+        const name = rawName.toLowerCase();
+        const separator = INLINE_ELEMENTS.includes(name) ? '' : ' ';
+        if (heading) {
+            heading.text += separator;
+        } else {
+            section.text += separator;
+        }
+
+        if (closing) {
+            const index = stack.map(entry => entry.name).lastIndexOf(name);
+            if (index === -1) continue;
+            stack.length = index;
+
+            if (heading && stack.length < heading.depth) {
+                section.heading = clean(heading.text);
+                heading = null;
+            }
+            continue;
+        }
+
+        if (VOID_ELEMENTS.includes(name) || all.endsWith('/>')) continue;
+
+        // Matched on the whole tag, so these don't rely on attribute()
+        const isTrigger = /\sdata-accordion-trigger[\s=>]/.test(all);
+        const isItem = /\sdata-accordion-item[\s=>]/.test(all);
+        // A trigger may be a <button>, and its text is still the item's title
+        const skip = (SKIPPED_ELEMENTS.includes(name) && !isTrigger)
+            || attribute(attributes, 'aria-hidden') === 'true'
+            || attribute(attributes, 'data-search-ignore') !== null;
+        const id = attribute(attributes, 'id') || '';
+        stack.push({ name, id, skip });
+        if (skipping()) continue;
+
+        if (id && isItem) accordionItems.push(id);
+
+        // An accordion trigger is its item's heading, whether or not it holds an <h3>
+        if (!heading && (/^h[1-6]$/.test(name) || isTrigger)) {
+            flush();
+            section = { id: anchor(), heading: '', text: '' };
+            heading = { depth: stack.length, text: '' };
+        }
+    }
+    flush();
+
+    const anchors = new Set(sections.map(entry => entry.id));
+    const missing = accordionItems.filter(id => !anchors.has(id));
+    if (missing.length) {
+        throw new Error(`${file}: no section for accordion item(s) ${missing.map(id => `#${id}`).join(', ')}`);
+    }
+
+    return sections;
+}
+
+function buildIndex(lang) {
+    const dir = LOCALES[lang].dir;
+    const pages = partials.listPages()
+        .filter(file => partials.pageLang(file) === lang)
+        .map(file => ({ file, html: read(file) }))
+        .filter(page => isIndexable(page.file, page.html))
+        .map(page => [
+            dir ? page.file.slice(dir.length + 1) : page.file,
+            pageTitle(page.html),
+            extractSections(page.html, page.file).map(entry => [entry.id, entry.heading, entry.text])
+        ]);
+
+    return { index: `${JSON.stringify({ lang, pages })}\n`, count: pages.length };
+}
+
+function build({ check }) {
+    let changed = 0;
+    let total = 0;
+
+    Object.keys(LOCALES).forEach(lang => {
+        const file = `${OUTPUT_DIR}/${lang}.json`;
+        const target = path.join(ROOT, file);
+        const { index, count } = buildIndex(lang);
+        total += count;
+
+        const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+        if (current === index) return;
+
+        changed++;
+        if (check) {
+            console.log(`✗ ${file} is out of date`);
+        } else {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, index);
+            console.log(`✓ ${file} (${(Buffer.byteLength(index) / 1024).toFixed(1)} KB)`);
+        }
+    });
+
+    if (check && changed) {
+        console.error(`${changed} index(es) out of date. Run node scripts/build-search.js`);
+        process.exit(1);
+    }
+    console.log(`${total} page(s) indexed, ${changed} index(es) ${check ? 'out of date' : 'written'}`);
+}
+
+build({ check: process.argv.includes('--check') });
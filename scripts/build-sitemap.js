@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * DMC Madeira - Sitemap build
+ * Crawls every page (*.html and pt/*.html), checks its canonical and hreflang links and
+ * writes sitemap.xml from them. Uses Node built-ins and git only.
+ *
+ * Usage:
+ *   node scripts/build-sitemap.js           Validate the pages and write sitemap.xml
+ *   node scripts/build-sitemap.js --check   Validate, and fail if sitemap.xml is missing
+ *                                           pages or lists ones that shouldn't be there
+ *
+ * A page is listed when it is indexable: not 404.html, no `noindex` robots meta and a
+ * canonical link pointing at itself. Its <xhtml:link> alternates are the page's own
+ * hreflang links, and <lastmod> is the date of the last commit that touched the file
+ * (today for uncommitted changes). --check only warns about stale dates, as they move
+ * with every commit.
+ *
+ * The build fails when:
+ * - a page has no canonical link, or the canonical or an hreflang link points at a
+ *   file that doesn't exist
+ * - hreflang links aren't reciprocal: page A lists B as its `pt` version but B doesn't
+ *   list A as its `en` version (and the same the other way), or a page leaves itself out
+ * - an indexable page is missing x-default, or has an alternate that is noindex
+ * - (--check) sitemap.xml doesn't match the indexable pages
+ *
+ * Canonical and hreflang links themselves are rendered by build-pages.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const partials = require('./lib/partials');
+
+const { ROOT, SITE_URL } = partials;
+const SITEMAP = 'sitemap.xml';
+const EXCLUDED = ['404.html'];
+
+// Sitemap sections in order; pages not listed here go under "Other Pages"
+const SECTIONS = [
+    { title: 'Homepage', pages: ['index.html'], changefreq: 'weekly', priority: '1.0' },
+    { title: 'Experiences Hub', pages: ['experiences.html'], changefreq: 'monthly', priority: '0.9' },
+    {
+        title: 'Experience Pages',
+        pages: [
+            'cultural-discovery.html', 'gastronomy-wine.html', 'golf.html', 'family-adventures.html',
+            'madeira-by-sea.html', 'nature-wellness.html', 'photography-birdwatching.html', 'private-wine-tourism.html'
+        ],
+        changefreq: 'monthly',
+        priority: '0.8'
+    },
+    { title: 'Corporate Services', pages: ['groups-incentives.html', 'shorex.html'], changefreq: 'monthly', priority: '0.8' },
+    {
+        title: 'Company Pages',
+        pages: ['our-story.html', 'sustainability.html', 'contact-us.html'],
+        changefreq: 'monthly',
+        priority: { 'sustainability.html': '0.7' },
+        defaultPriority: '0.8'
+    },
+    {
+        title: 'Member Programs & Content',
+        pages: ['loyalty-program.html', 'press-partners.html'],
+        changefreq: 'monthly',
+        priority: { 'loyalty-program.html': '0.7', 'press-partners.html': '0.6' }
+    },
+    { title: 'Insider Articles', pages: /^insider-.+\.html$/, changefreq: 'monthly', priority: '0.6' },
+    {
+        title: 'Legal Pages',
+        pages: ['privacy-policy.html', 'terms-and-conditions.html', 'security-csirt.html'],
+        changefreq: 'yearly',
+        priority: '0.3'
+    },
+    { title: 'Other Pages', pages: /./, changefreq: 'monthly', priority: '0.5' }
+];
+
+/**
+ * Helpers
+ */
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// https://www.dmcmadeira.pt/pt/ -> pt/index.html; null for other sites
+function urlToFile(url) {
+    if (!url.startsWith(`${SITE_URL}/`)) return null;
+    const file = decodeURIComponent(url.slice(SITE_URL.length + 1).split(/[?#]/)[0]);
+    return !file || file.endsWith('/') ? `${file}index.html` : file;
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Page metadata: canonical, hreflang links and robots
+ */
+function parsePage(file) {
+    const html = read(file);
+    const head = (html.match(/<head>[\s\S]*?<\/head>/) || [html])[0];
+    const links = head.match(/<link\s[^>]*>/g) || [];
+    const robots = (head.match(/<meta name="robots"[^>]*>/) || [])[0];
+    const canonical = links.find(link => attribute(link, 'rel') === 'canonical');
+
+    const alternates = {};
+    links
+        .filter(link => attribute(link, 'rel') === 'alternate' && attribute(link, 'hreflang'))
+        .forEach(link => {
+            alternates[attribute(link, 'hreflang')] = attribute(link, 'href');
+        });
+
+    const page = {
+        file,
+        lang: partials.pageLang(file),
+        url: partials.pageUrl(file),
+        canonical: canonical ? attribute(canonical, 'href') : null,
+        alternates,
+        noindex: !!robots && /noindex/i.test(attribute(robots, 'content') || '')
+    };
+    page.indexable = !EXCLUDED.includes(path.posix.basename(file))
+        && !page.noindex
+        && page.canonical === page.url;
+    return page;
+}
+
+function validate(pages, errors) {
+    const byFile = new Map(pages.map(page => [page.file, page]));
+
+    pages.forEach(page => {
+        const where = page.file;
+
+        if (!page.canonical) {
+            errors.push(`${where}: no canonical link`);
+        } else if (!byFile.has(urlToFile(page.canonical))) {
+            errors.push(`${where}: canonical ${page.canonical} is not a page of this site`);
+        }
+
+        const own = page.alternates[page.lang];
+        if (own !== undefined && own !== page.url) {
+            errors.push(`${where}: hreflang="${page.lang}" should point at the page itself, not ${own}`);
+        } else if (own === undefined && Object.keys(page.alternates).length) {
+            errors.push(`${where}: hreflang links leave out the page itself (${page.lang})`);
+        }
+
+        Object.entries(page.alternates).forEach(([lang, url]) => {
+            const target = byFile.get(urlToFile(url));
+            if (!target) {
+                errors.push(`${where}: hreflang="${lang}" points at ${url}, which is not a page of this site`);
+                return;
+            }
+            if (lang === 'x-default' || target === page) return;
+
+            if (target.alternates[page.lang] !== page.url) {
+                errors.push(`${where}: lists ${target.file} as hreflang="${lang}" but ${target.file} doesn't list it back as hreflang="${page.lang}"`);
+            }
+            if (page.indexable && !target.indexable) {
+                errors.push(`${where}: hreflang="${lang}" points at ${target.file}, which is not indexable`);
+            }
+        });
+
+        if (page.indexable && !page.alternates['x-default']) {
+            errors.push(`${where}: no hreflang="x-default" link`);
+        }
+    });
+}
+
+/**
+ * lastmod from git
+ */
+function gitDates(pages) {
+    const git = (...args) => execFileSync('git', args, { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    const today = new Date().toISOString().slice(0, 10);
+    const dates = new Map();
+
+    let changed = new Set();
+    try {
+        changed = new Set(git('status', '--porcelain', '--', ...pages.map(page => page.file))
+            .split('\n')
+            .filter(Boolean)
+            .map(line => line.slice(3)));
+    } catch (error) {
+        console.warn('! git is not available; using today as lastmod');
+    }
+
+    pages.forEach(page => {
+        let date = '';
+        if (!changed.has(page.file)) {
+            try {
+                date = git('log', '-1', '--format=%cs', '--', page.file).trim();
+            } catch (error) {
+                // Not a git checkout: fall through to today
+            }
+        }
+        dates.set(page.file, date || today);
+    });
+    return dates;
+}
+
+/**
+ * sitemap.xml
+ */
+function sectionFor(file) {
+    const name = path.posix.basename(file);
+    return SECTIONS.find(section => (
+        Array.isArray(section.pages) ? section.pages.includes(name) : section.pages.test(name)
+    ));
+}
+
+function sortKey(page) {
+    const section = sectionFor(page.file);
+    const name = path.posix.basename(page.file);
+    const position = Array.isArray(section.pages) ? section.pages.indexOf(name) : 0;
+    return [SECTIONS.indexOf(section), position];
+}
+
+// EN pages in section order, each followed by its translations
+function orderPages(pages) {
+    const byUrl = new Map(pages.map(page => [page.url, page]));
+    const ordered = [];
+    const seen = new Set();
+    const add = (page) => {
+        if (!page || seen.has(page) || !page.indexable) return;
+        seen.add(page);
+        ordered.push(page);
+    };
+
+    pages
+        .filter(page => page.indexable)
+        .sort((a, b) => {
+            const [sectionA, positionA] = sortKey(a);
+            const [sectionB, positionB] = sortKey(b);
+            return sectionA - sectionB || positionA - positionB
+                || (a.lang === 'en' ? 0 : 1) - (b.lang === 'en' ? 0 : 1) || a.file.localeCompare(b.file);
+        })
+        .forEach(page => {
+            add(page);
+            Object.keys(page.alternates)
+                .filter(lang => lang !== 'x-default')
+                .forEach(lang => add(byUrl.get(page.alternates[lang])));
+        });
+
+    return ordered;
+}
+
+function renderSitemap(pages, dates) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!-- Generated by scripts/build-sitemap.js -->',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+        '        xmlns:xhtml="http://www.w3.org/1999/xhtml">'
+    ];
+    let section = null;
+
+    orderPages(pages).forEach(page => {
+        const current = sectionFor(page.file);
+        const name = path.posix.basename(page.file);
+        const priority = typeof current.priority === 'object'
+            ? current.priority[name] || current.defaultPriority
+            : current.priority;
+
+        if (current !== section) {
+            section = current;
+            lines.push('', `  <!-- ${section.title} -->`);
+        } else if (page.lang === 'en') {
+            lines.push('');
+        }
+
+        lines.push('  <url>', `    <loc>${escapeXml(page.url)}</loc>`);
+        Object.entries(page.alternates).forEach(([lang, url]) => {
+            lines.push(`    <xhtml:link rel="alternate" hreflang="${lang}" href="${escapeXml(url)}"/>`);
+        });
+        lines.push(
+            `    <lastmod>${dates.get(page.file)}</lastmod>`,
+            `    <changefreq>${current.changefreq}</changefreq>`,
+            `    <priority>${priority}</priority>`,
+            '  </url>'
+        );
+    });
+
+    lines.push('', '</urlset>', '');
+    return lines.join('\n');
+}
+
+// <loc> -> its alternates, ignoring dates, for --check
+function sitemapEntries(xml) {
+    const entries = new Map();
+    (xml.match(/<url>[\s\S]*?<\/url>/g) || []).forEach(entry => {
+        const loc = (entry.match(/<loc>([^<]*)<\/loc>/) || [])[1];
+        const lastmod = (entry.match(/<lastmod>([^<]*)<\/lastmod>/) || [])[1];
+        const alternates = (entry.match(/<xhtml:link[^>]*>/g) || []).sort().join('\n');
+        if (loc) entries.set(loc, { alternates, lastmod });
+    });
+    return entries;
+}
+
+function compare(current, expected, errors) {
+    const have = sitemapEntries(current);
+    const want = sitemapEntries(expected);
+    let stale = 0;
+
+    want.forEach((entry, loc) => {
+        if (!have.has(loc)) {
+            errors.push(`${SITEMAP}: missing ${loc}`);
+        } else if (have.get(loc).alternates !== entry.alternates) {
+            errors.push(`${SITEMAP}: alternates for ${loc} don't match the page`);
+        } else if (have.get(loc).lastmod !== entry.lastmod) {
+            stale++;
+        }
+    });
+    have.forEach((entry, loc) => {
+        if (!want.has(loc)) errors.push(`${SITEMAP}: lists ${loc}, which is not an indexable page`);
+    });
+
+    if (stale) console.warn(`! ${stale} <lastmod> date(s) in ${SITEMAP} are out of date`);
+}
+
+function build({ check }) {
+    const errors = [];
+    const pages = partials.listPages().map(parsePage);
+    validate(pages, errors);
+
+    const xml = renderSitemap(pages, gitDates(pages));
+    const current = fs.existsSync(path.join(ROOT, SITEMAP)) ? read(SITEMAP) : '';
+    if (check) compare(current, xml, errors);
+
+    if (errors.length) {
+        errors.forEach(error => console.error(`✗ ${error}`));
+        console.error(`${errors.length} problem(s) found`);
+        process.exit(1);
+    }
+
+    const listed = pages.filter(page => page.indexable).length;
+    if (!check && xml !== current) {
+        fs.writeFileSync(path.join(ROOT, SITEMAP), xml);
+        console.log(`✓ ${SITEMAP}`);
+    }
+    console.log(`${pages.length} page(s) checked, ${listed} in ${SITEMAP}`);
+}
+
+build({ check: process.argv.includes('--check') });
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * DMC Madeira - Link and asset check
+ * Parses every page (*.html and pt/*.html) and the stylesheets, and checks that what
+ * they point at exists. Works offline: links to other sites are not fetched. Uses Node
+ * built-ins only.
+ *
+ * Usage:
+ *   node scripts/check-links.js            Report problems, exit 1 if anything is broken
+ *   node scripts/check-links.js --strict   Also exit 1 on warnings
+ *
+ * Errors (always fail):
+ * - href, src, srcset, poster, data-src(set), data-bg, data-lightbox-src(set) and inline
+ *   style url() pointing at a file that doesn't exist, including each srcset candidate
+ *   (@2x pairs)
+ * - url() and @import in assets/css pointing at a missing file
+ * - fragments (#id, page.html#id) with no matching id or name on the target page
+ * - mailto: links that aren't valid addresses, tel: links that aren't dialable
+ * - links that only work because of a redirect in vercel.json (link the destination)
+ *
+ * Warnings:
+ * - placeholder links (href="#") outside the menus that open submenus
+ * - images under assets/images that nothing uses. Pages, stylesheets, scripts, partials
+ *   and content/ all count, and an @2x image counts as used when its 1x image is.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const partials = require('./lib/partials');
+
+const { ROOT, SITE_URL } = partials;
+const CSS_DIR = 'assets/css';
+const IMAGES_DIR = 'assets/images';
+// Other places that may name an image: scripts, templates and Markdown sources
+const TEXT_SOURCES = ['assets/js', 'partials', 'content'];
+const SITE_HOSTS = [new URL(SITE_URL).host, new URL(SITE_URL).host.replace(/^www\./, '')];
+
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'data-src', 'data-bg', 'data-lightbox-src'];
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset', 'data-lightbox-srcset'];
+// href="#" is how these open a dropdown or submenu rather than a placeholder
+const TOGGLE_CLASSES = ['header__nav-link', 'header__mobile-link'];
+
+const EMAIL_PATTERN = /^[^\s@,;<>()]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/i;
+const TEL_PATTERN = /^\+?[0-9][0-9\-.()]*$/;
+
+/**
+ * Helpers
+ */
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function exists(file) {
+    const target = path.join(ROOT, file);
+    return fs.existsSync(target) && fs.statSync(target).isFile();
+}
+
+function walk(dir) {
+    if (!fs.existsSync(path.join(ROOT, dir))) return [];
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(entry => {
+        const file = `${dir}/${entry.name}`;
+        return entry.isDirectory() ? walk(file) : [file];
+    });
+}
+
+function lineOf(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>');
+}
+
+// Blank out comments and script/style bodies, keeping offsets so line numbers still match
+function blank(html) {
+    const spaces = (match) => match.replace(/[^\n]/g, ' ');
+    return html
+        .replace(/<!--[\s\S]*?-->/g, spaces)
+        .replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi, (all, open, body, close) => open + spaces(body) + close);
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attributes[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attributes;
+}
+
+function parseTags(html) {
+    const tags = [];
+    const pattern = /<([a-zA-Z][\w-]*)(\s[^>]*)?>/g;
+    const source = blank(html);
+    let match;
+    while ((match = pattern.exec(source))) {
+        tags.push({
+            name: match[1].toLowerCase(),
+            attributes: parseAttributes(match[2] || ''),
+            line: lineOf(source, match.index)
+        });
+    }
+    return tags;
+}
+
+function parseSrcset(value) {
+    return value.split(',')
+        .map(candidate => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean);
+}
+
+function cssUrls(css) {
+    const urls = [];
+    const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)|@import\s+(['"])([^'"]+)\3/g;
+    let match;
+    while ((match = pattern.exec(css))) {
+        urls.push({ url: (match[2] || match[4]).trim(), index: match.index });
+    }
+    return urls;
+}
+
+/**
+ * Redirects from vercel.json, as patterns on the site path (/optitravel/:path*)
+ */
+function loadRedirects() {
+    if (!exists('vercel.json')) return [];
+    const config = JSON.parse(read('vercel.json'));
+    return (config.redirects || []).map(redirect => ({
+        ...redirect,
+        pattern: new RegExp(`^${redirect.source
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\/:\w+\*/g, '(?:/.*)?')
+            .replace(/:\w+/g, '[^/]+')}/?$`)
+    }));
+}
+
+/**
+ * Resolving a reference from a file to a site file
+ * Returns { file, hash } for our own files, { external } for other sites, or a scheme
+ */
+function resolve(reference, from) {
+    const value = reference.trim();
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (scheme && !/^https?$/i.test(scheme[1])) return { scheme: scheme[1].toLowerCase(), value };
+
+    let url;
+    try {
+        url = new URL(value, `https://${SITE_HOSTS[0]}/${from}`);
+    } catch (error) {
+        return { invalid: value };
+    }
+    if (!SITE_HOSTS.includes(url.host)) return { external: value };
+
+    const sitePath = decodeURIComponent(url.pathname);
+    const file = sitePath.replace(/^\//, '');
+    return {
+        sitePath,
+        file: !file || file.endsWith('/') ? `${file}index.html` : file,
+        hash: decodeURIComponent(url.hash.slice(1))
+    };
+}
+
+/**
+ * Checks
+ */
+function collectIds(html) {
+    const ids = new Set();
+    parseTags(html).forEach(tag => {
+        if (tag.attributes.id) ids.add(tag.attributes.id);
+        if (tag.name === 'a' && tag.attributes.name) ids.add(tag.attributes.name);
+    });
+    return ids;
+}
+
+function checkReference(reference, context, state) {
+    const { from, where, kind } = context;
+    const { errors, used, redirects, ids } = state;
+
+    if (!reference || reference.startsWith('{{')) return;
+    const target = resolve(reference, from);
+
+    if (target.invalid) {
+        errors.push(`${where}: invalid URL ${reference}`);
+        return;
+    }
+    if (target.external) return;
+    if (target.scheme) {
+        if (target.scheme === 'mailto') {
+            const addresses = decodeURIComponent(target.value.slice(7).split('?')[0]).split(',');
+            if (!addresses.every(address => EMAIL_PATTERN.test(address.trim()))) {
+                errors.push(`${where}: invalid e-mail link ${reference}`);
+            }
+        } else if (target.scheme === 'tel') {
+            if (!TEL_PATTERN.test(target.value.slice(4))) {
+                errors.push(`${where}: invalid phone link ${reference} (digits, optional +, no spaces)`);
+            }
+        }
+        return;
+    }
+
+    const redirect = redirects.find(rule => rule.pattern.test(target.sitePath));
+    if (redirect) {
+        errors.push(`${where}: ${reference} only works through the vercel.json redirect to ${redirect.destination}`);
+        return;
+    }
+
+    if (!exists(target.file)) {
+        errors.push(`${where}: ${kind} ${reference} not found (${target.file})`);
+        return;
+    }
+    used.add(target.file);
+
+    if (target.hash && target.file.endsWith('.html')) {
+        if (!ids.has(target.file)) ids.set(target.file, collectIds(read(target.file)));
+        if (!ids.get(target.file).has(target.hash)) {
+            errors.push(`${where}: no id="${target.hash}" on ${target.file} for ${reference}`);
+        }
+    }
+}
+
+function checkPage(file, state) {
+    const html = read(file);
+    const tags = parseTags(html);
+
+    tags.forEach(tag => {
+        const where = `${file}:${tag.line}`;
+        const { attributes } = tag;
+
+        URL_ATTRIBUTES.forEach(name => {
+            const value = attributes[name];
+            if (value === undefined) return;
+            if (name === 'href' && value === '#') {
+                const classes = (attributes.class || '').split(/\s+/);
+                if (!TOGGLE_CLASSES.some(toggle => classes.includes(toggle))) {
+                    state.warnings.push(`${where}: placeholder link href="#"`);
+                }
+                return;
+            }
+            checkReference(value, { from: file, where, kind: name }, state);
+        });
+
+        SRCSET_ATTRIBUTES.forEach(name => {
+            if (attributes[name] === undefined) return;
+            parseSrcset(attributes[name]).forEach(url => {
+                checkReference(url, { from: file, where, kind: `${name} candidate` }, state);
+            });
+        });
+
+        if (attributes.style) {
+            cssUrls(attributes.style).forEach(({ url }) => {
+                checkReference(url, { from: file, where, kind: 'style url()' }, state);
+            });
+        }
+
+        // Social preview images are absolute URLs on our own domain
+        if (tag.name === 'meta' && /^og:image$/.test(attributes.property || '')) {
+            checkReference(attributes.content, { from: file, where, kind: 'og:image' }, state);
+        }
+    });
+}
+
+function checkStylesheets(state) {
+    walk(CSS_DIR).filter(file => file.endsWith('.css')).forEach(file => {
+        const css = read(file);
+        cssUrls(css).forEach(({ url, index }) => {
+            checkReference(url, { from: file, where: `${file}:${lineOf(css, index)}`, kind: 'url()' }, state);
+        });
+    });
+}
+
+// Images named anywhere outside the HTML/CSS references already followed
+function unusedImages(used) {
+    const text = TEXT_SOURCES
+        .flatMap(dir => walk(dir))
+        .filter(file => /\.(js|html|md|json)$/.test(file))
+        .map(read)
+        .join('\n');
+
+    const isUsed = (file) => used.has(file) || text.includes(file.slice('assets/'.length));
+
+    return walk(IMAGES_DIR)
+        .filter(file => !/(^|\/)\./.test(file))
+        .filter(file => !isUsed(file) && !isUsed(file.replace(/@2x(\.\w+)$/, '$1')))
+        .sort();
+}
+
+function run({ strict }) {
+    const state = {
+        errors: [],
+        warnings: [],
+        used: new Set(),
+        ids: new Map(),
+        redirects: loadRedirects()
+    };
+
+    const pages = partials.listPages();
+    pages.forEach(file => checkPage(file, state));
+    checkStylesheets(state);
+    unusedImages(state.used).forEach(file => state.warnings.push(`${file}: not used anywhere`));
+
+    state.warnings.forEach(warning => console.warn(`! ${warning}`));
+    state.errors.forEach(error => console.error(`✗ ${error}`));
+    console.log(`${pages.length} page(s) checked: ${state.errors.length} error(s), ${state.warnings.length} warning(s)`);
+
+    if (state.errors.length || (strict && state.warnings.length)) process.exit(1);
+}
+
+run({ strict: process.argv.includes('--strict') });
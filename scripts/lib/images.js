@@ -0,0 +1,418 @@
+/**
+ * DMC Madeira - Responsive images
+ * The manifest of generated image variants and the markup rewrite that uses them.
+ * Used by build-images.js (every page) and build-insider.js (the pages it generates).
+ *
+ * Masters, the full-size originals, live in images/ (left out of deploys by .vercelignore),
+ * one file per picture: images/experience-golf-intro.jpg. build-images.js turns each into
+ * assets/images/generated/<name>-<width>.avif and .webp at the WIDTHS up to the master's
+ * own width, and records it in assets/images/generated/manifest.json:
+ *
+ *   "experience-golf-intro": { "width": 2400, "height": 1600, "widths": [480, ...],
+ *       "placeholder": "data:image/webp;base64,...", "hash": "..." }
+ *
+ * Pages go on referencing images as they always have, a hand-exported
+ * assets/images/<name>.webp (or its @2x), or by now a generated variant. Wherever <name>
+ * has a master, the markup is rewritten:
+ * - <img>, alone or in a <picture>: an AVIF <source> and the WebP variants on the <img>,
+ *   all with w descriptors and sizes, plus width/height from the master and, on lazy
+ *   images, data-placeholder (see assets/js/lazy-load.js). A bare <img> gets a <picture>.
+ * - <source media=".."> (art-directed crops such as <name>-mobile / <name>-desktop, each
+ *   its own master): an AVIF and a WebP source per media query, with the crop's
+ *   width/height.
+ * - data-lightbox-src / data-lightbox-srcset: the largest WebP / every WebP width.
+ * - data-bg: the WebP at BACKGROUND_WIDTH.
+ * <name>-thumb and <name>-expanded use the master of <name> when they have none of their
+ * own, so one master serves a lightbox thumbnail and its full-size view.
+ *
+ * sizes is kept when the markup has one. Otherwise it is worked out once from the
+ * hand-exported 1x file, which was cut at the image's desktop display width:
+ * "(max-width: 768px) 100vw, <width>px", or "100vw" when there is no such file.
+ *
+ * Images with no master (and icons, logos) keep their markup, but an <img> without
+ * width/height gets them from the file it shows (its src, else the first srcset
+ * candidate), and so does an art-directed <source media="..">, so the browser reserves
+ * the box before the file arrives. That is the file's own size, which the browser would
+ * have shown anyway; remote and missing files are left alone.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const MASTERS_DIR = 'images';
+const OUTPUT_DIR = 'assets/images/generated';
+const MANIFEST_FILE = `${OUTPUT_DIR}/manifest.json`;
+const MASTER_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.webp'];
+
+// Variant widths; each master gets those up to its own width
+const WIDTHS = [480, 768, 1080, 1440, 1920, 2560];
+const FORMATS = ['avif', 'webp'];
+// The <img> src for browsers that ignore srcset
+const FALLBACK_WIDTH = 1080;
+const BACKGROUND_WIDTH = 1920;
+const SHARED_SUFFIX = /-(thumb|expanded)$/;
+
+let manifest = null;
+
+/**
+ * Manifest
+ */
+function loadManifest() {
+    if (manifest) return manifest;
+
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(ROOT, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+        manifest = {};
+    }
+    return manifest;
+}
+
+function saveManifest(entries) {
+    const sorted = {};
+    Object.keys(entries).sort().forEach(name => {
+        sorted[name] = entries[name];
+    });
+    fs.mkdirSync(path.join(ROOT, OUTPUT_DIR), { recursive: true });
+    fs.writeFileSync(path.join(ROOT, MANIFEST_FILE), `${JSON.stringify(sorted, null, 4)}\n`);
+    manifest = sorted;
+}
+
+// Master files as { name, file }, file relative to the site root
+function listMasters() {
+    const dir = path.join(ROOT, MASTERS_DIR);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(name => MASTER_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .map(name => ({ name: path.basename(name, path.extname(name)), file: `${MASTERS_DIR}/${name}` }));
+}
+
+function variantFile(name, width, format) {
+    return `${OUTPUT_DIR}/${name}-${width}.${format}`;
+}
+
+/**
+ * Pixel size from the file header (PNG, JPEG, WebP), or the width and height of an SVG's
+ * root element (when it has them in pixels), or null
+ */
+function imageSize(file) {
+    let buffer;
+    try {
+        buffer = fs.readFileSync(path.join(ROOT, file));
+    } catch (error) {
+        return null;
+    }
+
+    if (/\.svg$/i.test(file)) {
+        const root = /<svg\b[^>]*>/.exec(buffer.toString('utf8'));
+        const length = (name) => {
+            const match = root && new RegExp(`\\s${name}="(\\d+(?:\\.\\d+)?)(?:px)?"`).exec(root[0]);
+            return match ? Math.round(Number(match[1])) : 0;
+        };
+        return length('width') && length('height') ? { width: length('width'), height: length('height') } : null;
+    }
+
+    if (buffer.length > 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (buffer.length > 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+        }
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+        }
+        return null;
+    }
+
+    // JPEG: walk the segments to the frame header
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+            const marker = buffer[offset + 1];
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+/**
+ * Image URLs in pages
+ */
+
+// { name, entry, original } for an image URL, entry being its master's manifest entry (or null)
+function resolve(url) {
+    if (!url) return null;
+
+    let name = null;
+    let original = null;
+    const generated = /^(?:\.\.\/)*assets\/images\/generated\/([a-z0-9-]+)-\d+\.(?:avif|webp)$/i.exec(url);
+    const exported = /^(?:\.\.\/)*assets\/images\/([a-z0-9-]+?)(?:@2x)?\.(webp|jpe?g|png)$/i.exec(url);
+
+    if (generated) {
+        name = generated[1];
+    } else if (exported) {
+        name = exported[1];
+        original = `assets/images/${exported[1]}.${exported[2]}`;
+    } else {
+        return null;
+    }
+
+    const entries = loadManifest();
+    if (!entries[name] && SHARED_SUFFIX.test(name) && entries[name.replace(SHARED_SUFFIX, '')]) {
+        name = name.replace(SHARED_SUFFIX, '');
+    }
+    return { name, entry: entries[name] || null, original };
+}
+
+function firstCandidate(srcset) {
+    return srcset ? srcset.trim().split(/\s+/)[0].replace(/,$/, '') : null;
+}
+
+function srcset(image, format, prefix) {
+    return image.entry.widths.map(width => `${prefix}${image.name}-${width}.${format} ${width}w`).join(', ');
+}
+
+// The smallest WebP at least `width` wide, else the largest there is
+function variantUrl(image, width, prefix) {
+    const { widths } = image.entry;
+    const chosen = widths.find(candidate => candidate >= width) || widths[widths.length - 1];
+    return `${prefix}${image.name}-${chosen}.webp`;
+}
+
+function defaultSizes(image, media) {
+    if (/max-width/.test(media)) return '100vw';
+
+    const size = image.original && imageSize(image.original);
+    if (!size) return '100vw';
+    return /min-width/.test(media) ? `${size.width}px` : `(max-width: 768px) 100vw, ${size.width}px`;
+}
+
+/**
+ * Tags
+ */
+function parseTag(tag) {
+    const attributes = [];
+    const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    const body = tag.replace(/^<[a-z]+/i, '').replace(/\/?>$/, '');
+    let match;
+    while ((match = pattern.exec(body))) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes.push([match[1].toLowerCase(), value === undefined ? null : value]);
+    }
+    return attributes;
+}
+
+function attribute(attributes, name) {
+    const found = attributes.find(([key]) => key === name);
+    return found ? found[1] : null;
+}
+
+function formatAttribute([name, value]) {
+    if (value === null) return name;
+    return value.includes('"') ? `${name}='${value}'` : `${name}="${value}"`;
+}
+
+// A tag with each group of attributes on its own line, continuation lines indented
+function formatTag(name, groups) {
+    const lines = groups
+        .map(group => group.filter(([, value]) => value !== undefined && value !== ''))
+        .filter(group => group.length)
+        .map(group => group.map(formatAttribute).join(' '));
+
+    return [`<${name} ${lines[0]}`, ...lines.slice(1).map(line => `    ${line}`)]
+        .join('\n')
+        .concat('>')
+        .split('\n');
+}
+
+// A tag kept as written, re-indented relative to its first line
+function keepTag(tag) {
+    return tag.split('\n').map((line, index) => (index ? `    ${line.trim()}` : line.trim()));
+}
+
+function renderSources(image, media, sizes, prefix, formats) {
+    return formats.flatMap(format => formatTag('source', [
+        [['media', media || undefined], ['type', `image/${format}`]],
+        [['srcset', srcset(image, format, prefix)]],
+        // A crop's own dimensions, so its box is reserved too
+        [['sizes', sizes], ['width', media ? String(image.entry.width) : undefined], ['height', media ? String(image.entry.height) : undefined]]
+    ]));
+}
+
+const IMG_REWRITTEN = ['src', 'srcset', 'sizes', 'width', 'height', 'data-src', 'data-srcset', 'data-sizes', 'data-placeholder'];
+
+function renderImg(attributes, image, sizes, prefix) {
+    const rest = attributes.filter(([name]) => name !== 'class' && !IMG_REWRITTEN.includes(name));
+    const lazy = attribute(attributes, 'loading') === 'lazy' && attribute(attributes, 'fetchpriority') !== 'high';
+
+    return formatTag('img', [
+        [['class', attribute(attributes, 'class') || undefined], ['src', variantUrl(image, FALLBACK_WIDTH, prefix)]],
+        [['srcset', srcset(image, 'webp', prefix)]],
+        [['sizes', sizes], ['width', String(image.entry.width)], ['height', String(image.entry.height)]],
+        rest,
+        [['data-placeholder', lazy ? image.entry.placeholder : undefined]]
+    ]);
+}
+
+/**
+ * Markup rewrite
+ */
+
+// A <picture> block as lines (first line unindented), or null when nothing in it has a master
+function rewritePicture(block, prefix) {
+    const open = /^<picture[^>]*>/.exec(block)[0];
+    const tags = block.match(/<(?:source|img)\b[^>]*>/g) || [];
+    const imgTag = tags.find(tag => tag.startsWith('<img'));
+    if (!imgTag) return null;
+
+    const img = parseTag(imgTag);
+    const imgImage = resolve(attribute(img, 'src') || attribute(img, 'data-src') || firstCandidate(attribute(img, 'srcset')));
+    const hasMaster = (image) => !!(image && image.entry);
+
+    const seen = new Set();
+    const sources = [];
+    tags.filter(tag => tag.startsWith('<source')).forEach(tag => {
+        const attributes = parseTag(tag);
+        const media = attribute(attributes, 'media') || '';
+        const image = resolve(firstCandidate(attribute(attributes, 'srcset') || attribute(attributes, 'data-srcset')));
+
+        if (hasMaster(image)) {
+            // The <img>'s own AVIF, and the second format of a media query, are written again below
+            if (!media || seen.has(media)) return;
+            seen.add(media);
+        }
+        sources.push({ tag, attributes, media, image });
+    });
+
+    if (!hasMaster(imgImage) && !sources.some(source => hasMaster(source.image))) return null;
+
+    const children = [];
+    sources.forEach(({ tag, attributes, media, image }) => {
+        if (!hasMaster(image)) {
+            children.push(...keepTag(tag));
+            return;
+        }
+        const sizes = attribute(attributes, 'sizes') || defaultSizes(image, media);
+        children.push(...renderSources(image, media, sizes, prefix, FORMATS));
+    });
+
+    if (hasMaster(imgImage)) {
+        const sizes = attribute(img, 'sizes') || defaultSizes(imgImage, '');
+        children.push(...renderSources(imgImage, '', sizes, prefix, ['avif']));
+        children.push(...renderImg(img, imgImage, sizes, prefix));
+    } else {
+        children.push(...keepTag(imgTag));
+    }
+
+    return [open, ...children.map(line => `    ${line}`), '</picture>'];
+}
+
+function rewriteImg(tag, prefix) {
+    const attributes = parseTag(tag);
+    const image = resolve(attribute(attributes, 'src') || attribute(attributes, 'data-src') || firstCandidate(attribute(attributes, 'srcset')));
+    if (!image || !image.entry) return null;
+
+    return rewritePicture(`<picture>${tag}</picture>`, prefix);
+}
+
+function rewriteAttributes(html, prefix) {
+    return html.replace(/(\s)(data-lightbox-src|data-lightbox-srcset|data-bg)="([^"]*)"/g, (all, space, name, value) => {
+        const image = resolve(firstCandidate(value));
+        if (!image || !image.entry) return all;
+
+        const { widths } = image.entry;
+        let rewritten;
+        if (name === 'data-lightbox-srcset') {
+            rewritten = srcset(image, 'webp', prefix);
+        } else if (name === 'data-bg') {
+            rewritten = variantUrl(image, BACKGROUND_WIDTH, prefix);
+        } else {
+            rewritten = variantUrl(image, widths[widths.length - 1], prefix);
+        }
+        return `${space}${name}="${rewritten}"`;
+    });
+}
+
+// The site file a URL in `page` points at, or null for remote and data URLs
+function localFile(url, page) {
+    if (!url || /^([a-z]+:|\/\/)/i.test(url)) return null;
+
+    const file = url.startsWith('/')
+        ? url.slice(1)
+        : path.posix.normalize(path.posix.join(path.posix.dirname(page), url));
+    return file.startsWith('..') ? null : decodeURIComponent(file.split(/[?#]/)[0]);
+}
+
+// <img> and <source media> tags in a block given width/height from their files, when missing
+function addSizes(block, page) {
+    return block.replace(/<(img|source)\b[^>]*>/g, (tag, name) => {
+        const attributes = parseTag(tag);
+        if (attribute(attributes, 'width') !== null || attribute(attributes, 'height') !== null) return tag;
+        if (name === 'source' && !attribute(attributes, 'media')) return tag;
+
+        const url = attribute(attributes, 'src') || attribute(attributes, 'data-src')
+            || firstCandidate(attribute(attributes, 'srcset') || attribute(attributes, 'data-srcset'));
+        const file = localFile(url, page);
+        const size = file && imageSize(file);
+        if (!size) return tag;
+
+        return tag.replace(/(\s*\/?>)$/, ` width="${size.width}" height="${size.height}"$1`);
+    });
+}
+
+// Leading whitespace of the line `offset` is on
+function lineIndent(html, offset) {
+    const start = html.lastIndexOf('\n', offset - 1) + 1;
+    return /^[ \t]*/.exec(html.slice(start))[0];
+}
+
+/**
+ * Rewrites a page's image markup for the masters in the manifest, and sizes the rest.
+ * `file` is the page's path from the site root (pt/golf.html), for relative URLs. Pages
+ * with nothing to rewrite come back unchanged.
+ */
+function rewrite(html, file) {
+    const prefix = `${path.posix.relative(path.posix.dirname(file), OUTPUT_DIR)}/`;
+
+    const rewritten = html.replace(/<!--[\s\S]*?-->|<picture\b[^>]*>[\s\S]*?<\/picture>|<img\b[^>]*>/g, (block, offset) => {
+        if (block.startsWith('<!--')) return block;
+
+        const lines = block.startsWith('<picture') ? rewritePicture(block, prefix) : rewriteImg(block, prefix);
+        if (!lines) return addSizes(block, file);
+
+        const pad = lineIndent(html, offset);
+        return lines.map((line, index) => (index ? `${pad}${line}` : line)).join('\n');
+    });
+
+    return rewriteAttributes(rewritten, prefix);
+}
+
+module.exports = {
+    ROOT,
+    MASTERS_DIR,
+    OUTPUT_DIR,
+    MANIFEST_FILE,
+    WIDTHS,
+    FORMATS,
+    loadManifest,
+    saveManifest,
+    listMasters,
+    variantFile,
+    imageSize,
+    rewrite
+};
@@ -0,0 +1,332 @@
+/**
+ * DMC Madeira - Shared page partials
+ * Renders the regions every page shares (canonical/hreflang links, Tag Manager, header,
+ * footer, cookie banner, WhatsApp button and component scripts) from partials/ and the
+ * per-locale strings in partials/locales/. Used by build-pages.js and build-insider.js.
+ *
+ * A page marks each region with a pair of comments; everything between them is replaced:
+ *
+ *   <!-- partial:header {"class": "header--transparent"} -->
+ *   ...
+ *   <!-- /partial:header -->
+ *
+ * The optional JSON after the name configures that region:
+ * - head: canonical (site-root file the page canonicalises to, e.g. "insider-soon.html")
+ *         and translations ({"en": "...", "pt": "pt/..."} when the files aren't named alike,
+ *         also used by the language switchers in the header and footer)
+ * - header: class (modifiers added after `header`)
+ * - whatsapp: topic (what the prefilled message says the visitor is interested in, in the
+ *             page's language) and off (true leaves the page without the button)
+ * - scripts: include (extra files in assets/js/, loaded after the detected components)
+ *
+ * The WhatsApp number, office hours and holidays live in partials/whatsapp.json; the
+ * header's shortlist button takes the number and e-mail address from there too.
+ *
+ * Templates use {{key}} placeholders. Locale strings are looked up by dot path
+ * ({{nav.ourStory}}) and inserted as written, so they may contain markup. A placeholder
+ * alone on a line may hold several lines (canonical links, script tags); an empty one
+ * drops the line.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const PARTIALS_DIR = path.join(ROOT, 'partials');
+const SITE_URL = 'https://www.dmcmadeira.pt';
+const GTM_ID = 'GTM-TXHQKGVN';
+
+const LOCALES = {
+    en: { dir: '', htmlLang: 'en' },
+    pt: { dir: 'pt', htmlLang: 'pt-PT' }
+};
+
+// Loaded when the markup uses the attribute, in this order, between lazy-load.js and main.js.
+// A script several components need is listed for each of them and loaded once.
+const COMPONENT_SCRIPTS = [
+    ['data-carousel', 'autoplay.js'],
+    ['data-marquee', 'autoplay.js'],
+    ['data-carousel', 'carousel.js'],
+    ['data-lightbox', 'lightbox.js'],
+    ['data-accordion', 'accordion.js'],
+    ['data-article-list', 'article-list.js'],
+    ['data-enquiry-form', 'enquiry-form.js'],
+    ['data-video', 'video.js'],
+    ['data-marquee', 'marquee.js']
+];
+
+// Pages that highlight a navigation entry other than their own file
+const NAV_SECTIONS = [
+    [/^insider/, 'insider-soon.html']
+];
+
+const MARKER_PATTERN = /([ \t]*)<!-- partial:([a-z-]+)(?: (\{.*?\}))? -->[\s\S]*?<!-- \/partial:\2 -->/g;
+
+let cache = null;
+
+/**
+ * Templates and strings, read once per run
+ */
+function load() {
+    if (cache) return cache;
+
+    const templates = {};
+    fs.readdirSync(PARTIALS_DIR)
+        .filter(name => name.endsWith('.html'))
+        .forEach(name => {
+            templates[name.replace(/\.html$/, '')] = fs.readFileSync(path.join(PARTIALS_DIR, name), 'utf8').replace(/\n$/, '');
+        });
+
+    const strings = {};
+    Object.keys(LOCALES).forEach(lang => {
+        strings[lang] = JSON.parse(fs.readFileSync(path.join(PARTIALS_DIR, 'locales', `${lang}.json`), 'utf8'));
+    });
+
+    const whatsapp = JSON.parse(fs.readFileSync(path.join(PARTIALS_DIR, 'whatsapp.json'), 'utf8'));
+
+    cache = { templates, strings, whatsapp };
+    return cache;
+}
+
+/**
+ * Page paths. `file` is always relative to the site root with forward slashes (pt/golf.html)
+ */
+function pageLang(file) {
+    return Object.keys(LOCALES).find(lang => LOCALES[lang].dir && file.startsWith(`${LOCALES[lang].dir}/`)) || 'en';
+}
+
+// Every page of the site, EN then PT, as root-relative paths
+function listPages() {
+    return Object.values(LOCALES).flatMap(locale => (
+        fs.readdirSync(path.join(ROOT, locale.dir))
+            .filter(name => name.endsWith('.html'))
+            .sort()
+            .map(name => (locale.dir ? `${locale.dir}/${name}` : name))
+    ));
+}
+
+function localeFile(lang, name) {
+    return LOCALES[lang].dir ? `${LOCALES[lang].dir}/${name}` : name;
+}
+
+function exists(file) {
+    return fs.existsSync(path.join(ROOT, file));
+}
+
+// index.html is served as its directory
+function pageUrl(file) {
+    return `${SITE_URL}/${file.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+// Link from one page to another, relative to the linking page
+function relativeHref(from, to) {
+    return path.posix.relative(path.posix.dirname(from), to) || path.posix.basename(to);
+}
+
+// The same page in every locale: explicit translations first, else a file of the same name
+function translations(file, options) {
+    const name = path.posix.basename(file);
+    const result = {};
+    Object.keys(LOCALES).forEach(lang => {
+        const candidate = (options.translations && options.translations[lang]) || localeFile(lang, name);
+        if (lang === pageLang(file)) {
+            result[lang] = file;
+        } else if (exists(candidate)) {
+            result[lang] = candidate;
+        }
+    });
+    return result;
+}
+
+/**
+ * Templates
+ */
+function lookup(values, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), values);
+}
+
+function fill(template, values, where) {
+    const lines = [];
+
+    template.split('\n').forEach(line => {
+        const alone = line.match(/^([ \t]*)\{\{([\w.]+)\}\}$/);
+        if (alone && Array.isArray(lookup(values, alone[2]))) {
+            lookup(values, alone[2]).forEach(value => lines.push(value ? alone[1] + value : value));
+            return;
+        }
+
+        lines.push(line.replace(/\{\{([\w.]+)\}\}/g, (all, key) => {
+            const value = lookup(values, key);
+            if (value == null || typeof value === 'object') {
+                throw new Error(`${where}: no value for {{${key}}}`);
+            }
+            return value;
+        }));
+    });
+
+    return lines.join('\n');
+}
+
+function indent(text, pad) {
+    return text.split('\n').map(line => (line ? pad + line : line)).join('\n');
+}
+
+/**
+ * Region values
+ */
+function headValues(file, options) {
+    const own = translations(file, options);
+    const canonical = options.canonical || file;
+    const alternates = Object.keys(LOCALES)
+        .filter(lang => own[lang])
+        .map(lang => `<link rel="alternate" hreflang="${lang}" href="${pageUrl(own[lang])}">`);
+    alternates.push(`<link rel="alternate" hreflang="x-default" href="${pageUrl(own.en || file)}">`);
+
+    return {
+        canonical: pageUrl(canonical),
+        alternates
+    };
+}
+
+// Language switcher: the other locale's copy of this page, or its home page
+function languageValues(file, options) {
+    const lang = pageLang(file);
+    const own = translations(file, options);
+    const href = {};
+    const current = {};
+
+    Object.keys(LOCALES).forEach(other => {
+        href[other] = relativeHref(file, own[other] || localeFile(other, 'index.html'));
+        current[other] = other === lang ? ' class="active" aria-current="true"' : '';
+    });
+
+    return { href, current };
+}
+
+// Highlights the links to this page, and the dropdown parent when the page sits in one
+function markActive(header, file) {
+    const name = path.posix.basename(file);
+    const section = NAV_SECTIONS.find(([pattern]) => pattern.test(name));
+    const target = section ? section[1] : name;
+
+    const marked = header.replace(
+        /<a href="([^"]+)" class="(header__(?:nav|dropdown|mobile)-link)">(?!\s*<div class="header__dropdown-link--viewall")/g,
+        (all, href, className) => (href === target ? `<a href="${href}" class="${className} active" aria-current="page">` : all)
+    );
+
+    return marked.replace(/<li class="header__nav-item">[\s\S]*?<\/li>/g, (item) => (
+        item.includes('header__dropdown-link active')
+            ? item.replace('class="header__nav-link"', 'class="header__nav-link active"')
+            : item
+    ));
+}
+
+// Where the shortlist drawer sends the list (shortlist.js)
+function shortlistValues(config, strings) {
+    const settings = { email: config.email, number: config.number };
+    return {
+        ...strings.shortlist,
+        options: JSON.stringify(settings).replace(/'/g, '&#39;')
+    };
+}
+
+// Chat link with a message in the page language, plus the hours whatsapp.js needs
+function whatsappValues(config, strings, options) {
+    const text = options.topic
+        ? strings.whatsapp.message.replace('{topic}', options.topic)
+        : strings.whatsapp.messageDefault;
+    const settings = {
+        email: config.email,
+        timeZone: config.timeZone,
+        hours: config.hours,
+        holidays: config.holidays
+    };
+
+    return {
+        ...strings.whatsapp,
+        href: `https://wa.me/${config.number}?text=${encodeURIComponent(text)}`,
+        options: JSON.stringify(settings).replace(/'/g, '&#39;')
+    };
+}
+
+function scriptValues(html, options) {
+    const components = COMPONENT_SCRIPTS
+        .filter(([attribute]) => new RegExp(`\\s${attribute}[\\s=>]`).test(html))
+        .map(([, script]) => script)
+        .filter((script, index, all) => all.indexOf(script) === index);
+    (options.include || []).forEach(script => {
+        if (!components.includes(script)) components.push(script);
+    });
+    return components;
+}
+
+function parseOptions(json, where) {
+    if (!json) return {};
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        throw new Error(`${where}: invalid options (${error.message})`);
+    }
+}
+
+/**
+ * Renders every marked region of a page
+ */
+function render(html, file) {
+    const { templates, strings, whatsapp } = load();
+    const lang = pageLang(file);
+    const root = LOCALES[lang].dir ? '../' : '';
+    // Component detection only looks at the page's own markup, not at what the partials add
+    const own = html.replace(MARKER_PATTERN, '');
+    const head = html.match(/<!-- partial:head (\{.*?\}) -->/);
+    const pageOptions = parseOptions(head && head[1], `${file}: partial:head`);
+
+    return html.replace(MARKER_PATTERN, (all, pad, name, json) => {
+        const where = `${file}: partial:${name}`;
+        if (!templates[name]) throw new Error(`${where}: no partials/${name}.html`);
+
+        const options = parseOptions(json, where);
+
+        const values = {
+            ...strings[lang],
+            root,
+            gtmId: GTM_ID,
+            ...languageValues(file, pageOptions)
+        };
+
+        if (name === 'head') Object.assign(values, headValues(file, pageOptions));
+        if (name === 'header') {
+            values.headerClass = ['header', options.class].filter(Boolean).join(' ');
+            values.shortlist = shortlistValues(whatsapp, strings[lang]);
+        }
+        if (name === 'whatsapp') values.whatsapp = whatsappValues(whatsapp, strings[lang], options);
+        if (name === 'scripts') {
+            values.components = scriptValues(own, options).map(script => `<script src="${root}assets/js/${script}"></script>`);
+        }
+
+        let content = name === 'whatsapp' && options.off ? '' : fill(templates[name], values, where);
+        if (name === 'header') content = markActive(content, file);
+
+        const marker = json ? `<!-- partial:${name} ${json} -->` : `<!-- partial:${name} -->`;
+        const body = content ? `\n${indent(content, pad)}` : '';
+        return `${pad}${marker}${body}\n${pad}<!-- /partial:${name} -->`;
+    });
+}
+
+function hasPartials(html) {
+    MARKER_PATTERN.lastIndex = 0;
+    return MARKER_PATTERN.test(html);
+}
+
+module.exports = {
+    ROOT,
+    SITE_URL,
+    LOCALES,
+    listPages,
+    pageLang,
+    pageUrl,
+    hasPartials,
+    render
+};